@@ -0,0 +1,325 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+/**
+ * Accessories for CatModel - a bow tie, a collar with a bell, a top hat and
+ * glasses built from primitives, or any glTF model, worn on named sockets.
+ *
+ * A socket is a point on a part's surface (neck, head top, face, ears, tail
+ * tip, paws). It hangs from the part's joint and is placed from the part's
+ * current transform every update, so accessories follow clips, head tracking
+ * and body-shape morphs without taking on the part's squash. In a socket's
+ * frame +y points out of the surface, and accessories are built around that.
+ */
+
+/**
+ * Sockets by name: the part they sit on, a point and turn in that part's own
+ * (unscaled) frame, and how big accessories are worn there
+ */
+export const ACCESSORY_SOCKETS = {
+    neck: { label: 'Neck', part: 'head', position: [0, -0.34, -0.14], rotation: [Math.PI * 0.75, 0, 0], size: 1 },
+    headTop: { label: 'Head Top', part: 'head', position: [0, 0.37, -0.06], rotation: [-0.15, 0, 0], size: 1 },
+    face: { label: 'Face', part: 'head', position: [0, 0.02, 0.44], rotation: [Math.PI / 2, 0, 0], size: 1 },
+    leftEar: { label: 'Left Ear', part: 'leftEar', position: [0, -0.06, 0.1], rotation: [Math.PI / 2, 0, 0], size: 0.6 },
+    rightEar: { label: 'Right Ear', part: 'rightEar', position: [0, -0.06, 0.1], rotation: [Math.PI / 2, 0, 0], size: 0.6 },
+    tailTip: { label: 'Tail Tip', part: 'tailTip', position: [0, 0.1, 0], rotation: [0, 0, 0], size: 0.6 },
+    frontLeftPaw: { label: 'Front Left Paw', part: 'frontLeftPaw', position: [0, 0.13, 0.08], rotation: [Math.PI / 2, 0, 0], size: 0.45 },
+    frontRightPaw: { label: 'Front Right Paw', part: 'frontRightPaw', position: [0, 0.13, 0.08], rotation: [Math.PI / 2, 0, 0], size: 0.45 },
+    backLeftPaw: { label: 'Back Left Paw', part: 'backLeftPaw', position: [0, 0.13, 0.08], rotation: [Math.PI / 2, 0, 0], size: 0.5 },
+    backRightPaw: { label: 'Back Right Paw', part: 'backRightPaw', position: [0, 0.13, 0.08], rotation: [Math.PI / 2, 0, 0], size: 0.5 },
+};
+
+const PAWS = ['frontLeftPaw', 'frontRightPaw', 'backLeftPaw', 'backRightPaw'];
+
+// Longest side of a glTF accessory at socket size 1, after it is scaled to fit
+const GLTF_FIT = 0.3;
+
+const mesh = (geometry, material, { position = [0, 0, 0], rotation = [0, 0, 0], scale = [1, 1, 1] } = {}) => {
+    const object = new THREE.Mesh(geometry, material);
+    object.position.fromArray(position);
+    object.rotation.set(...rotation);
+    object.scale.fromArray(scale);
+    object.castShadow = true;
+    return object;
+};
+
+/**
+ * Accessories by name: label, the sockets they suit, colour params (like the
+ * coat patterns') and `build(materials)`, which returns the object in socket
+ * space. Each colour param gets a material of its own in `materials`.
+ * 'gltf' is loaded from a URL instead; its one colour tints the model.
+ */
+export const ACCESSORIES = {
+    bowTie: {
+        label: 'Bow Tie',
+        sockets: ['neck', 'headTop', 'leftEar', 'rightEar', 'tailTip'],
+        params: { color: { type: 'color', label: 'Colour', default: '#b01c2e' } },
+        build({ color }) {
+            const group = new THREE.Group();
+            // Two flattened wings pointing in at a knot
+            [-1, 1].forEach((side) => {
+                group.add(mesh(new THREE.ConeGeometry(0.06, 0.12, 16), color, {
+                    position: [side * 0.065, 0.025, 0],
+                    rotation: [0, 0, side * Math.PI / 2],
+                    scale: [0.45, 1, 1],
+                }));
+            });
+            group.add(mesh(new THREE.SphereGeometry(0.03, 16, 12), color, { position: [0, 0.03, 0], scale: [1, 0.7, 1.2] }));
+            return group;
+        },
+    },
+    collar: {
+        label: 'Collar & Bell',
+        sockets: ['neck', ...PAWS],
+        params: {
+            color: { type: 'color', label: 'Band', default: '#c0392b' },
+            bell: { type: 'color', label: 'Bell', default: '#e8c547' },
+        },
+        build({ color, bell }) {
+            const radius = 0.21;
+            const group = new THREE.Group();
+            // A band round the socket's z axis, touching the surface at the socket
+            group.add(mesh(new THREE.TorusGeometry(radius, 0.022, 12, 48), color, { position: [0, -radius + 0.01, 0] }));
+            group.add(mesh(new THREE.SphereGeometry(0.042, 20, 16), bell, { position: [0, 0.05, 0] }));
+            group.add(mesh(new THREE.TorusGeometry(0.014, 0.005, 8, 16), bell, { position: [0, 0.03, 0], rotation: [0, Math.PI / 2, 0] }));
+            return group;
+        },
+    },
+    hat: {
+        label: 'Top Hat',
+        sockets: ['headTop'],
+        params: {
+            color: { type: 'color', label: 'Hat', default: '#1c1c22' },
+            band: { type: 'color', label: 'Band', default: '#b01c2e' },
+        },
+        build({ color, band }) {
+            const group = new THREE.Group();
+            group.add(mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.015, 40), color, { position: [0, 0.008, 0] }));
+            group.add(mesh(new THREE.CylinderGeometry(0.125, 0.135, 0.22, 40), color, { position: [0, 0.125, 0] }));
+            group.add(mesh(new THREE.CylinderGeometry(0.137, 0.138, 0.04, 40), band, { position: [0, 0.035, 0] }));
+            return group;
+        },
+    },
+    glasses: {
+        label: 'Glasses',
+        sockets: ['face'],
+        params: {
+            frame: { type: 'color', label: 'Frame', default: '#1e1e1e' },
+            lens: { type: 'color', label: 'Lens Tint', default: '#9fd3ff' },
+        },
+        build({ frame, lens }) {
+            Object.assign(lens, { transparent: true, opacity: 0.35, metalness: 0.2, roughness: 0.1, depthWrite: false });
+            const group = new THREE.Group();
+            [-1, 1].forEach((side) => {
+                // Rims and lenses face out along +y; the arms run back into the fur
+                group.add(mesh(new THREE.TorusGeometry(0.075, 0.01, 8, 32), frame, { position: [side * 0.16, 0, 0], rotation: [Math.PI / 2, 0, 0] }));
+                group.add(mesh(new THREE.CircleGeometry(0.072, 32), lens, { position: [side * 0.16, 0, 0], rotation: [-Math.PI / 2, 0, 0] }));
+                group.add(mesh(new THREE.BoxGeometry(0.012, 0.3, 0.012), frame, { position: [side * 0.235, -0.15, 0] }));
+            });
+            group.add(mesh(new THREE.CylinderGeometry(0.008, 0.008, 0.09, 8), frame, { rotation: [0, 0, Math.PI / 2] }));
+            return group;
+        },
+    },
+    gltf: {
+        label: 'glTF Model',
+        sockets: Object.keys(ACCESSORY_SOCKETS),
+        params: { color: { type: 'color', label: 'Tint', default: '#ffffff' } },
+    },
+};
+
+/**
+ * Params of accessory `name` with the defaults filled in
+ */
+export function accessoryParams(name, params = {}) {
+    const defaults = Object.entries(ACCESSORIES[name].params).map(([key, param]) => [key, param.default]);
+    return { ...Object.fromEntries(defaults), ...params };
+}
+
+/**
+ * Loads a .glb / .gltf from a URL (blob URLs too) as a glTF result
+ */
+export function loadAccessoryGLTF(url) {
+    return new GLTFLoader().loadAsync(url);
+}
+
+// Frees an accessory's geometry, materials and their textures
+function disposeAccessory(object) {
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+        child.geometry.dispose();
+        [child.material].flat().forEach((material) => {
+            Object.values(material).forEach((value) => {
+                if (value?.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+    });
+}
+
+// A glTF scene scaled so its longest side is GLTF_FIT and standing on the socket
+function fitGLTF(scene) {
+    const box = new THREE.Box3().setFromObject(scene);
+    const size = box.getSize(new THREE.Vector3());
+    const scale = GLTF_FIT / Math.max(size.x, size.y, size.z, 1e-6);
+    scene.scale.setScalar(scale);
+    scene.position.set(-(box.min.x + size.x / 2) * scale, -box.min.y * scale, -(box.min.z + size.z / 2) * scale);
+
+    const group = new THREE.Group();
+    group.add(scene);
+    return group;
+}
+
+/**
+ * CatAccessories - owned by a CatModel (`cat.accessories`); at most one
+ * accessory per socket
+ */
+export class CatAccessories {
+    constructor(model) {
+        this.model = model;
+        this.sockets = {};
+        this.worn = {};
+        this.loading = {};
+    }
+
+    // The socket's object, made on first use under its part's joint
+    socket(name) {
+        if (this.sockets[name]) return this.sockets[name];
+        const definition = ACCESSORY_SOCKETS[name];
+        const part = definition && this.model.getPart(definition.part);
+        if (!part?.parent) throw new Error(`Unknown accessory socket: ${name}`);
+
+        const socket = new THREE.Group();
+        socket.name = `socket:${name}`;
+        part.parent.add(socket);
+        this.sockets[name] = socket;
+        this.place(name);
+        return socket;
+    }
+
+    /**
+     * Puts `item` (an ACCESSORIES name) on `socket`, replacing what was there.
+     * `params` are its colours; 'gltf' also needs `url`. Resolves once it is worn,
+     * or once a later set or remove on the socket has overtaken it.
+     */
+    async set(socket, item, { params = {}, url } = {}) {
+        if (!ACCESSORIES[item]) throw new Error(`Unknown accessory: ${item}`);
+        const object = this.socket(socket);
+        if (!ACCESSORIES[item].sockets.includes(socket)) throw new Error(`Accessory ${item} does not fit socket ${socket}`);
+        const worn = this.worn[socket];
+
+        // Same accessory: only the colours change
+        if (worn?.item === item && worn.url === url) {
+            this.setParams(socket, params);
+            return;
+        }
+
+        let content;
+        if (item === 'gltf') {
+            if (!url) throw new Error('A glTF accessory needs a url');
+            const token = {};
+            this.loading[socket] = token;
+            let gltf;
+            try {
+                gltf = await loadAccessoryGLTF(url);
+            } catch (error) {
+                // Nobody waits for a load that was overtaken
+                if (this.loading[socket] !== token) return;
+                delete this.loading[socket];
+                throw error;
+            }
+            // Something else went on this socket while it loaded
+            if (this.loading[socket] !== token) {
+                disposeAccessory(gltf.scene);
+                return;
+            }
+            delete this.loading[socket];
+            content = fitGLTF(gltf.scene);
+        }
+
+        this.remove(socket);
+        const materials = {};
+        if (item === 'gltf') {
+            // Each mesh gets its own copy of its material, so the tint can multiply its colour
+            content.traverse((child) => {
+                if (!child.isMesh) return;
+                child.castShadow = true;
+                child.material = child.material.clone();
+                child.userData.baseColor = child.material.color.clone();
+            });
+        } else {
+            Object.keys(ACCESSORIES[item].params).forEach((key) => {
+                materials[key] = new THREE.MeshStandardMaterial({ roughness: 0.5, metalness: 0 });
+            });
+            content = ACCESSORIES[item].build(materials);
+        }
+        content.name = `accessory:${socket}`;
+        object.add(content);
+        this.worn[socket] = { item, url, object: content, materials, params: {} };
+        this.setParams(socket, params);
+    }
+
+    setParams(socket, params) {
+        const worn = this.worn[socket];
+        if (!worn) return;
+        worn.params = accessoryParams(worn.item, params);
+
+        if (worn.item === 'gltf') {
+            const tint = new THREE.Color(worn.params.color);
+            worn.object.traverse((child) => {
+                if (child.isMesh) child.material.color.copy(child.userData.baseColor).multiply(tint);
+            });
+            return;
+        }
+        Object.entries(worn.materials).forEach(([key, material]) => material.color.set(worn.params[key]));
+    }
+
+    /**
+     * Takes the accessory off `socket`, if any
+     */
+    remove(socket) {
+        delete this.loading[socket];
+        const worn = this.worn[socket];
+        if (!worn) return;
+        worn.object.removeFromParent();
+        disposeAccessory(worn.object);
+        delete this.worn[socket];
+    }
+
+    /**
+     * What is worn where, as `{ [socket]: { item, params, url? } }`
+     */
+    getState() {
+        return Object.fromEntries(Object.entries(this.worn).map(([socket, { item, params, url }]) => [
+            socket,
+            url ? { item, params: { ...params }, url } : { item, params: { ...params } },
+        ]));
+    }
+
+    // Sets the socket's transform from its part's current one
+    place(name) {
+        const definition = ACCESSORY_SOCKETS[name];
+        const part = this.model.getPart(definition.part);
+        const socket = this.sockets[name];
+        const base = this.model.morph.base.parts.find(candidate => candidate.name === definition.part);
+
+        socket.position.fromArray(definition.position).multiply(part.scale).applyQuaternion(part.quaternion).add(part.position);
+        socket.quaternion.copy(part.quaternion).multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(...definition.rotation)));
+
+        // Accessories grow and shrink with their part, but keep their proportions
+        const [x, y, z] = base?.scale ?? [1, 1, 1];
+        socket.scale.setScalar(definition.size * Math.cbrt((part.scale.x * part.scale.y * part.scale.z) / (x * y * z)));
+    }
+
+    /**
+     * Moves every socket to its part; call once per frame after the pose
+     */
+    update() {
+        Object.keys(this.sockets).forEach(name => this.place(name));
+    }
+
+    dispose() {
+        Object.keys(this.worn).forEach(socket => this.remove(socket));
+        Object.values(this.sockets).forEach(socket => socket.removeFromParent());
+        this.sockets = {};
+    }
+}
@@ -0,0 +1,291 @@
+import * as THREE from 'three';
+
+/**
+ * Clip system for CatModel - named keyframe tracks over joint and part
+ * transforms, played through THREE.AnimationMixer so clips stay exportable.
+ */
+
+export const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => t * t * (3 - 2 * t),
+};
+
+const quaternionFromEuler = (rotation) => new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation));
+
+/**
+ * Static clip holding a spec pose (joint offsets from rest).
+ * Joints the pose does not mention fall back to their rest transform.
+ */
+export function createPoseClip(model, name, pose, duration = 1) {
+    const times = [0, duration];
+    const tracks = [];
+
+    Object.entries(pose).forEach(([jointName, offset]) => {
+        const rest = model.restPose[jointName];
+        if (!rest) return;
+
+        const position = rest.position.clone();
+        if (offset.position) position.add(new THREE.Vector3(...offset.position));
+        const quaternion = rest.quaternion.clone();
+        if (offset.rotation) quaternion.multiply(quaternionFromEuler(offset.rotation));
+
+        tracks.push(new THREE.VectorKeyframeTrack(`${jointName}.position`, times, [...position.toArray(), ...position.toArray()]));
+        tracks.push(new THREE.QuaternionKeyframeTrack(`${jointName}.quaternion`, times, [...quaternion.toArray(), ...quaternion.toArray()]));
+    });
+
+    return new THREE.AnimationClip(name, duration, tracks);
+}
+
+// Rest rotation/position/scale of a joint or part, before any clip runs
+function restTransform(model, name) {
+    const rest = model.restPose[name];
+    if (rest) return { position: rest.position, quaternion: rest.quaternion, scale: new THREE.Vector3(1, 1, 1) };
+    const part = model.getPart(name);
+    return part ? { position: part.position, quaternion: part.quaternion, scale: part.scale } : null;
+}
+
+/**
+ * Samples procedural offsets into a clip. Each map goes from a joint or part
+ * name to a function of time: `rotations` return an Euler offset from rest,
+ * `positions` an offset added to rest and `scales` a multiplier of rest.
+ * Names missing from the model are skipped so variants without a part still work.
+ */
+export function createProceduralClip(model, name, duration, { rotations = {}, positions = {}, scales = {} }, fps = 30) {
+    const frames = Math.max(1, Math.round(duration * fps));
+    const times = Array.from({ length: frames + 1 }, (_, i) => (i / frames) * duration);
+    const tracks = [];
+
+    Object.entries(rotations).forEach(([target, offsetAt]) => {
+        const rest = restTransform(model, target);
+        if (!rest) return;
+        const values = times.flatMap(t => rest.quaternion.clone().multiply(quaternionFromEuler(offsetAt(t))).toArray());
+        tracks.push(new THREE.QuaternionKeyframeTrack(`${target}.quaternion`, times, values));
+    });
+    Object.entries(positions).forEach(([target, offsetAt]) => {
+        const rest = restTransform(model, target);
+        if (!rest) return;
+        const values = times.flatMap(t => rest.position.clone().add(new THREE.Vector3(...offsetAt(t))).toArray());
+        tracks.push(new THREE.VectorKeyframeTrack(`${target}.position`, times, values));
+    });
+    Object.entries(scales).forEach(([target, multiplierAt]) => {
+        const rest = restTransform(model, target);
+        if (!rest) return;
+        const values = times.flatMap(t => rest.scale.clone().multiply(new THREE.Vector3(...multiplierAt(t))).toArray());
+        tracks.push(new THREE.VectorKeyframeTrack(`${target}.scale`, times, values));
+    });
+
+    return new THREE.AnimationClip(name, duration, tracks);
+}
+
+/**
+ * Idle loop: breathing on the body and a lazy sway travelling down the tail.
+ * The duration is a common period of both so the loop is seamless.
+ */
+export function createIdleClip(model, fps = 15) {
+    const duration = Math.PI * 4;
+    const frames = Math.round(duration * fps);
+    const times = [];
+    const scales = [];
+
+    const body = model.getPart('body');
+    const tailJoints = ['tail1', 'tail2', 'tail3']
+        .filter(name => model.restPose[name])
+        .map(name => ({ name, rest: model.restPose[name], rotations: [] }));
+
+    for (let i = 0; i <= frames; i++) {
+        const time = (i / frames) * duration;
+        times.push(time);
+
+        // Subtle breathing animation
+        if (body) {
+            const breathe = Math.sin(time * 2) * 0.01; // Reduced amplitude for bulkier body
+            scales.push(body.scale.x, body.scale.y + breathe, body.scale.z);
+        }
+
+        // Tail sway, swishing further down the chain a little later each joint
+        tailJoints.forEach(({ rest, rotations }, i) => {
+            const lag = i * 0.7;
+            const sway = quaternionFromEuler([Math.sin(time * 1.5 - lag) * 0.08, Math.cos(time - lag) * 0.05 * (i + 1), 0]);
+            rotations.push(...rest.quaternion.clone().multiply(sway).toArray());
+        });
+    }
+
+    const tracks = [];
+    if (body) tracks.push(new THREE.VectorKeyframeTrack('body.scale', times, scales));
+    tailJoints.forEach(({ name, rotations }) => {
+        tracks.push(new THREE.QuaternionKeyframeTrack(`${name}.quaternion`, times, rotations));
+    });
+
+    return new THREE.AnimationClip('idle', duration, tracks);
+}
+
+/**
+ * Plays named clips on a model with eased crossfades, looping and speed control
+ */
+export class CatAnimator {
+    constructor(root) {
+        this.mixer = new THREE.AnimationMixer(root);
+        this.clips = new Map();
+        this.loops = new Map();
+        this.additive = new Set();
+        this.still = new Set();
+        this.fades = [];
+        this.current = null;
+    }
+
+    /**
+     * Registers a clip. Additive clips are one-shot overlays (see trigger)
+     * that layer on top of whatever base clip is playing.
+     */
+    addClip(clip, { loop = true, additive = false } = {}) {
+        if (additive) {
+            THREE.AnimationUtils.makeClipAdditive(clip);
+            this.additive.add(clip.name);
+        }
+        this.clips.set(clip.name, clip);
+        this.loops.set(clip.name, loop);
+
+        // Clips that hold one pose throughout (sit, stand) don't move anything while they play
+        const still = clip.tracks.every(({ values, times }) => {
+            const size = values.length / times.length;
+            return values.every((value, i) => value === values[i % size]);
+        });
+        if (still) this.still.add(clip.name);
+        return clip;
+    }
+
+    getClip(name) {
+        return this.clips.get(name) || null;
+    }
+
+    getClips() {
+        return [...this.clips.values()];
+    }
+
+    getAction(name) {
+        const clip = this.getClip(name);
+        return clip ? this.mixer.clipAction(clip) : null;
+    }
+
+    /**
+     * Crossfades from whatever is playing to the named clip
+     */
+    play(name, { fadeDuration = 0.5, easing = 'easeInOut', loop, timeScale = 1 } = {}) {
+        const clip = this.getClip(name);
+        if (!clip || this.additive.has(name)) {
+            throw new Error(`Unknown animation clip: ${name}`);
+        }
+
+        const action = this.mixer.clipAction(clip);
+        const looping = loop ?? this.loops.get(name);
+        action.setLoop(looping ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        action.clampWhenFinished = !looping;
+        action.timeScale = timeScale;
+
+        if (this.current !== name || !action.isRunning()) {
+            const startWeight = action.isRunning() ? action.getEffectiveWeight() : 0;
+            if (!action.isRunning()) action.reset().play();
+            this.fadeAction(action, startWeight, 1, fadeDuration, easing);
+        }
+
+        // Fade out every other base clip that is still contributing
+        this.clips.forEach((other) => {
+            const otherAction = this.mixer.existingAction(other);
+            if (other !== clip && !this.additive.has(other.name) && otherAction && otherAction.isRunning()) {
+                this.fadeAction(otherAction, otherAction.getEffectiveWeight(), 0, fadeDuration, easing);
+            }
+        });
+
+        this.current = name;
+        return action;
+    }
+
+    /**
+     * Plays an additive clip once on top of the current base clip
+     */
+    trigger(name, { timeScale = 1 } = {}) {
+        const clip = this.getClip(name);
+        if (!clip || !this.additive.has(name)) {
+            throw new Error(`Unknown additive clip: ${name}`);
+        }
+
+        const action = this.mixer.clipAction(clip);
+        action.setLoop(THREE.LoopOnce, 1);
+        action.timeScale = timeScale;
+        action.reset().play();
+        return action;
+    }
+
+    /**
+     * Whether the clips are changing the pose: a crossfade, or a running clip that isn't still
+     */
+    isMoving() {
+        return this.fades.length > 0
+            || this.getClips().some(clip => !this.still.has(clip.name) && this.mixer.existingAction(clip)?.isRunning() === true);
+    }
+
+    fadeAction(action, from, to, duration, easing) {
+        this.fades = this.fades.filter(fade => fade.action !== action);
+        if (duration <= 0) {
+            this.setWeight(action, to);
+            return;
+        }
+        action.setEffectiveWeight(from);
+        this.fades.push({ action, from, to, duration, elapsed: 0, ease: EASINGS[easing] || EASINGS.linear });
+    }
+
+    setWeight(action, weight) {
+        action.setEffectiveWeight(weight);
+        if (weight === 0) action.stop();
+    }
+
+    // Global playback speed (1 = normal)
+    setSpeed(speed) {
+        this.mixer.timeScale = speed;
+    }
+
+    getSpeed() {
+        return this.mixer.timeScale;
+    }
+
+    update(delta) {
+        // Fades run in scaled time so slow motion slows the crossfade too
+        const scaledDelta = delta * this.mixer.timeScale;
+        this.fades = this.fades.filter((fade) => {
+            fade.elapsed += scaledDelta;
+            const t = Math.min(fade.elapsed / fade.duration, 1);
+
+            // Only a finished fade-out stops its action; a fade-in starting at 0 must keep running
+            if (t < 1) {
+                fade.action.setEffectiveWeight(fade.from + (fade.to - fade.from) * fade.ease(t));
+            } else {
+                this.setWeight(fade.action, fade.to);
+            }
+            return t < 1;
+        });
+
+        this.mixer.update(delta);
+    }
+
+    /**
+     * Forgets every clip and action, e.g. before the clips are rebuilt for a new shape
+     */
+    clear() {
+        this.mixer.stopAllAction();
+        this.clips.forEach(clip => this.mixer.uncacheClip(clip));
+        this.clips.clear();
+        this.loops.clear();
+        this.additive.clear();
+        this.still.clear();
+        this.fades = [];
+        this.current = null;
+    }
+
+    dispose() {
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.mixer.getRoot());
+        this.fades = [];
+    }
+}
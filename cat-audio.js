@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+
+/**
+ * Cat audio - purring and meows synthesised with Web Audio nodes (no samples).
+ *
+ * The voices are plain functions of a BaseAudioContext, so they render the
+ * same into an OfflineAudioContext for tests as into the live context:
+ *
+ *   const context = new OfflineAudioContext(1, 44100, 44100);
+ *   playMeow(context, context.destination);
+ *   const buffer = await context.startRendering();
+ *
+ * CatAudio plays them through a THREE.PositionalAudio on the cat's skull,
+ * so they pan and fade with the camera.
+ */
+
+// Purr: a ~25 Hz rumble of filtered noise, louder on the out-breath
+export const PURR = { rate: 25, breath: 0.45, cutoff: 380, level: 0.5 };
+
+// Meow: a voiced sawtooth gliding up and down through "mi-a-ow" formants
+export const MEOW = { duration: 0.75, pitch: 560, level: 0.35 };
+
+function noiseBuffer(context, seconds, random) {
+    const buffer = context.createBuffer(1, Math.ceil(context.sampleRate * seconds), context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = random() * 2 - 1;
+    return buffer;
+}
+
+/**
+ * Starts a continuous purr into `destination`; returns `stop(fade)` to fade it out
+ */
+export function startPurr(context, destination, { when = context.currentTime, fade = 0.4, random = Math.random, ...options } = {}) {
+    const { rate, breath, cutoff, level } = { ...PURR, ...options };
+
+    const noise = context.createBufferSource();
+    noise.buffer = noiseBuffer(context, 2, random);
+    noise.loop = true;
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = cutoff;
+    filter.Q.value = 0.7;
+
+    // Each rumble pulse is the noise gated by a rectified low sine
+    const pulse = context.createGain();
+    pulse.gain.value = 0.5;
+    const rumble = context.createOscillator();
+    rumble.frequency.value = rate;
+    const rumbleDepth = context.createGain();
+    rumbleDepth.gain.value = 0.5;
+    rumble.connect(rumbleDepth).connect(pulse.gain);
+
+    // Breathing swells the whole purr
+    const breathing = context.createGain();
+    breathing.gain.value = 0.7;
+    const lungs = context.createOscillator();
+    lungs.frequency.value = breath;
+    const lungsDepth = context.createGain();
+    lungsDepth.gain.value = 0.3;
+    lungs.connect(lungsDepth).connect(breathing.gain);
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0, when);
+    envelope.gain.linearRampToValueAtTime(level, when + fade);
+
+    noise.connect(filter).connect(pulse).connect(breathing).connect(envelope).connect(destination);
+    const sources = [noise, rumble, lungs];
+    sources.forEach(source => source.start(when));
+
+    let stopped = false;
+    return {
+        stop(release = fade) {
+            if (stopped) return;
+            stopped = true;
+            const now = context.currentTime;
+            envelope.gain.cancelScheduledValues(now);
+            envelope.gain.setValueAtTime(envelope.gain.value, now);
+            envelope.gain.linearRampToValueAtTime(0, now + release);
+            sources.forEach(source => source.stop(now + release + 0.05));
+        },
+    };
+}
+
+/**
+ * Schedules one meow into `destination`; returns the time it ends
+ */
+export function playMeow(context, destination, { when = context.currentTime, ...options } = {}) {
+    const { duration, pitch, level } = { ...MEOW, ...options };
+    const end = when + duration;
+
+    const voice = context.createOscillator();
+    voice.type = 'sawtooth';
+    voice.frequency.setValueAtTime(pitch * 0.85, when);
+    voice.frequency.linearRampToValueAtTime(pitch * 1.35, when + duration * 0.35);
+    voice.frequency.exponentialRampToValueAtTime(pitch * 0.7, end);
+
+    // Two formants opening from "mi" through "a" and closing to "ow"
+    const formants = [[700, 1100, 500], [1800, 1600, 900]].map(([start, open, close]) => {
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 6;
+        filter.frequency.setValueAtTime(start, when);
+        filter.frequency.linearRampToValueAtTime(open, when + duration * 0.4);
+        filter.frequency.linearRampToValueAtTime(close, end);
+        voice.connect(filter);
+        return filter;
+    });
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0, when);
+    envelope.gain.linearRampToValueAtTime(level, when + 0.05);
+    envelope.gain.setValueAtTime(level, end - duration * 0.3);
+    envelope.gain.linearRampToValueAtTime(0, end);
+    formants.forEach(filter => filter.connect(envelope));
+    envelope.connect(destination);
+
+    voice.start(when);
+    voice.stop(end + 0.05);
+    return end;
+}
+
+/**
+ * CatAudio - the cat's voice as a positional sound heard from `camera`
+ */
+export class CatAudio {
+    constructor(camera, { volume = 0.6, muted = true } = {}) {
+        this.listener = new THREE.AudioListener();
+        camera.add(this.listener);
+        this.context = this.listener.context;
+
+        // Every voice mixes into one node that feeds the positional source
+        this.voice = this.context.createGain();
+        this.sound = new THREE.PositionalAudio(this.listener);
+        this.sound.setNodeSource(this.voice);
+        this.sound.setRefDistance(2);
+        this.sound.setRolloffFactor(1.5);
+
+        this.purr = null;
+        this.setVolume(volume, muted);
+    }
+
+    /**
+     * Moves the sound onto a cat's skull (or its group when it has none)
+     */
+    attach(model) {
+        const head = model.getJoint('skull') ?? model.getGroup();
+        head.add(this.sound);
+    }
+
+    setVolume(volume, muted = this.muted) {
+        this.volume = volume;
+        this.muted = muted;
+        this.sound.setVolume(muted ? 0 : volume);
+        if (muted) this.setPurring(false);
+    }
+
+    /**
+     * Browsers start audio suspended until a user gesture; call from one
+     */
+    resume() {
+        // A context that can't start (closed, or not allowed yet) just stays silent
+        if (this.context.state === 'suspended') this.context.resume().catch(() => {});
+    }
+
+    setPurring(purring) {
+        if (purring && !this.purr && !this.muted) {
+            this.purr = startPurr(this.context, this.voice);
+        } else if (!purring && this.purr) {
+            this.purr.stop();
+            this.purr = null;
+        }
+    }
+
+    meow(options) {
+        if (this.muted) return null;
+        return playMeow(this.context, this.voice, options);
+    }
+
+    dispose() {
+        this.setPurring(false);
+        this.sound.disconnect();
+        this.sound.removeFromParent();
+        this.listener.removeFromParent();
+    }
+}
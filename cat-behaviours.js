@@ -0,0 +1,245 @@
+import { createProceduralClip } from './cat-animation.js';
+
+/**
+ * Procedural behaviours for CatModel: a walk cycle, stretch and grooming as
+ * base clips, plus blinks, ear twitches and tail flicks as additive
+ * micro-behaviours fired by IdleBehaviourScheduler, and the touch reactions
+ * (purr-squint, ear flatten, paw swipe) fired by CatInteraction.
+ */
+
+const TAU = Math.PI * 2;
+
+// 0 → 1 → 0 bump over a normalised time, used by the one-shot behaviours
+const pulse = (t) => Math.sin(Math.PI * Math.min(Math.max(t, 0), 1));
+
+// Smooth ramp from 0 at `start` to 1 at `end`
+const ramp = (t, start, end) => {
+    const x = Math.min(Math.max((t - start) / (end - start), 0), 1);
+    return x * x * (3 - 2 * x);
+};
+
+// Lateral-sequence gait: each foot lands a quarter cycle after the previous one
+const GAIT = [
+    { shoulder: 'backLeftHip', paw: 'backLeftAnkle', phase: 0 },
+    { shoulder: 'frontLeftShoulder', paw: 'frontLeftWrist', phase: 0.25 },
+    { shoulder: 'backRightHip', paw: 'backRightAnkle', phase: 0.5 },
+    { shoulder: 'frontRightShoulder', paw: 'frontRightWrist', phase: 0.75 },
+];
+
+/**
+ * Looping walk in place; legs swing with their gait phase and paws lift on the forward swing
+ */
+export function createWalkClip(model, duration = 1.2) {
+    const rotations = {};
+    GAIT.forEach(({ shoulder, paw, phase }) => {
+        const angle = (t) => TAU * (t / duration + phase);
+        rotations[shoulder] = (t) => [Math.sin(angle(t)) * 0.35, 0, 0];
+        rotations[paw] = (t) => [Math.max(0, -Math.cos(angle(t))) * 0.6, 0, 0];
+    });
+
+    // Two steps per cycle for the body bob, one for the roll and tail sway
+    const step = (t) => TAU * 2 * (t / duration);
+    const stride = (t) => TAU * (t / duration);
+    rotations.spine = (t) => [0, 0, Math.sin(stride(t)) * 0.03];
+    rotations.skull = (t) => [Math.sin(step(t)) * -0.03, 0, 0];
+    rotations.tail1 = (t) => [0.15, Math.sin(stride(t)) * 0.12, 0];
+    rotations.tail2 = (t) => [0, Math.sin(stride(t) - 0.6) * 0.15, 0];
+
+    return createProceduralClip(model, 'walk', duration, {
+        rotations,
+        positions: {
+            hips: (t) => [0, Math.abs(Math.sin(step(t) / 2)) * 0.02, 0],
+        },
+    });
+}
+
+/**
+ * One-shot full-body stretch: a play bow with front legs reaching forward, then back to rest
+ */
+export function createStretchClip(model, duration = 3) {
+    const amount = (t) => ramp(t, 0, 0.8) - ramp(t, 2, duration);
+
+    return createProceduralClip(model, 'stretch', duration, {
+        rotations: {
+            spine: (t) => [0.25 * amount(t), 0, 0],
+            neck: (t) => [-0.35 * amount(t), 0, 0],
+            frontLeftShoulder: (t) => [-0.9 * amount(t), 0, 0],
+            frontRightShoulder: (t) => [-0.9 * amount(t), 0, 0],
+            frontLeftWrist: (t) => [0.5 * amount(t), 0, 0],
+            frontRightWrist: (t) => [0.5 * amount(t), 0, 0],
+            backLeftHip: (t) => [0.2 * amount(t), 0, 0],
+            backRightHip: (t) => [0.2 * amount(t), 0, 0],
+            tail1: (t) => [0.3 * amount(t), 0, 0],
+        },
+        positions: {
+            hips: (t) => [0, 0.08 * amount(t), 0],
+        },
+    });
+}
+
+/**
+ * Looping groom: sits, raises the front right paw to the mouth and licks it
+ */
+export function createGroomClip(model, duration = 2.4) {
+    const sit = model.spec.poses?.sit ?? {};
+    const lick = (t) => Math.sin(TAU * 2 * (t / duration));
+
+    // Start from the sit pose and layer the grooming motion on top of it
+    const rotations = {};
+    const positions = {};
+    Object.entries(sit).forEach(([joint, offset]) => {
+        if (offset.rotation) rotations[joint] = () => offset.rotation;
+        if (offset.position) positions[joint] = () => offset.position;
+    });
+
+    const sitRotation = (joint) => sit[joint]?.rotation ?? [0, 0, 0];
+    rotations.frontRightShoulder = (t) => {
+        const [x, y, z] = sitRotation('frontRightShoulder');
+        return [x - 1.7 + lick(t) * 0.1, y, z];
+    };
+    rotations.frontRightWrist = () => [-0.6, 0, 0];
+    rotations.neck = (t) => {
+        const [x, y, z] = sitRotation('neck');
+        return [x + 0.35 + lick(t) * 0.08, y + 0.2, z];
+    };
+    rotations.skull = () => [0, 0, -0.15];
+
+    return createProceduralClip(model, 'groom', duration, { rotations, positions });
+}
+
+/**
+ * Additive blink: squashes the eyes and pupils shut and open again
+ */
+export function createBlinkClip(model, duration = 0.25) {
+    const lid = (t) => [1, 1 - 0.9 * pulse(t / duration), 1];
+    return createProceduralClip(model, 'blink', duration, {
+        scales: { leftEye: lid, rightEye: lid, leftPupil: lid, rightPupil: lid },
+    });
+}
+
+/**
+ * Additive ear twitch on one side: a quick flick back and out
+ */
+export function createEarTwitchClip(model, side, duration = 0.35) {
+    const flick = (t) => {
+        const amount = pulse(t / duration);
+        return [-0.4 * amount, (side === 'left' ? 0.3 : -0.3) * amount, 0];
+    };
+    return createProceduralClip(model, `earTwitch${side === 'left' ? 'Left' : 'Right'}`, duration, {
+        rotations: { [`${side}Ear`]: flick, [`${side}InnerEar`]: flick },
+    });
+}
+
+/**
+ * Additive tail flick: a fast side-to-side snap travelling down the tail
+ */
+export function createTailFlickClip(model, duration = 0.6) {
+    const snap = (t, lag) => [0, Math.sin(TAU * (t / duration) - lag) * 0.5 * pulse(t / duration), 0];
+    return createProceduralClip(model, 'tailFlick', duration, {
+        rotations: {
+            tail2: (t) => snap(t, 0),
+            tail3: (t) => snap(t, 0.8),
+        },
+    });
+}
+
+/**
+ * Additive purr-squint: eyes narrow to slits and the head tilts into the touch
+ */
+export function createPurrSquintClip(model, duration = 1.8) {
+    const squint = (t) => ramp(t, 0, 0.3) - ramp(t, duration - 0.4, duration);
+    const lid = (t) => [1, 1 - 0.6 * squint(t), 1];
+    const ear = (side) => (t) => [-0.15 * squint(t), 0, (side === 'left' ? 0.15 : -0.15) * squint(t)];
+    return createProceduralClip(model, 'purrSquint', duration, {
+        rotations: {
+            skull: (t) => [0.08 * squint(t), 0, 0.12 * squint(t)],
+            leftEar: ear('left'),
+            leftInnerEar: ear('left'),
+            rightEar: ear('right'),
+            rightInnerEar: ear('right'),
+        },
+        scales: { leftEye: lid, rightEye: lid, leftPupil: lid, rightPupil: lid },
+    });
+}
+
+/**
+ * Additive ear flatten: both ears pinned back and out, held, then relaxed
+ */
+export function createEarFlattenClip(model, duration = 1.2) {
+    const flat = (t) => ramp(t, 0, 0.15) - ramp(t, duration - 0.35, duration);
+    const ear = (side) => (t) => [-0.9 * flat(t), (side === 'left' ? 0.4 : -0.4) * flat(t), (side === 'left' ? 0.5 : -0.5) * flat(t)];
+    return createProceduralClip(model, 'earFlatten', duration, {
+        rotations: {
+            leftEar: ear('left'),
+            leftInnerEar: ear('left'),
+            rightEar: ear('right'),
+            rightInnerEar: ear('right'),
+            neck: (t) => [0.1 * flat(t), 0, 0],
+        },
+    });
+}
+
+/**
+ * Additive paw swipe: the front right leg lifts, bats sideways and drops back
+ */
+export function createPawSwipeClip(model, duration = 0.7) {
+    const lift = (t) => pulse(t / duration);
+    const bat = (t) => Math.sin(TAU * (t / duration)) * lift(t);
+    return createProceduralClip(model, 'pawSwipe', duration, {
+        rotations: {
+            frontRightShoulder: (t) => [-1.1 * lift(t), 0, 0.5 * bat(t)],
+            frontRightWrist: (t) => [-0.7 * lift(t), 0, 0],
+            spine: (t) => [0, 0, -0.05 * lift(t)],
+        },
+    });
+}
+
+export const DEFAULT_IDLE_BEHAVIOURS = [
+    { clip: 'blink', weight: 4 },
+    { clip: 'earTwitchLeft', weight: 1 },
+    { clip: 'earTwitchRight', weight: 1 },
+    { clip: 'tailFlick', weight: 2 },
+];
+
+/**
+ * Fires idle micro-behaviours (blinks, twitches, flicks) at random intervals,
+ * drawn from the model's seeded random stream when it has one
+ */
+export class IdleBehaviourScheduler {
+    constructor(model, {
+        behaviours = DEFAULT_IDLE_BEHAVIOURS,
+        minInterval = 1.5,
+        maxInterval = 5,
+        random = model.random ? model.random.fork('behaviours').next : Math.random,
+    } = {}) {
+        this.model = model;
+        this.minInterval = minInterval;
+        this.maxInterval = maxInterval;
+        this.random = random;
+        this.enabled = true;
+
+        // Only schedule behaviours this model actually has clips for
+        this.behaviours = behaviours.filter(b => model.animator.getClip(b.clip));
+        this.schedule();
+    }
+
+    schedule() {
+        this.timer = this.minInterval + this.random() * (this.maxInterval - this.minInterval);
+    }
+
+    pick() {
+        const total = this.behaviours.reduce((sum, b) => sum + b.weight, 0);
+        let roll = this.random() * total;
+        return this.behaviours.find(b => (roll -= b.weight) < 0) ?? this.behaviours[0];
+    }
+
+    update(delta) {
+        if (!this.enabled || this.behaviours.length === 0) return;
+
+        this.timer -= delta;
+        if (this.timer <= 0) {
+            this.model.trigger(this.pick().clip);
+            this.schedule();
+        }
+    }
+}
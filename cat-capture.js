@@ -0,0 +1,225 @@
+import * as THREE from 'three';
+
+/**
+ * Capture for CatViewer - PNG snapshots at any size, turntable videos (WebM
+ * through MediaRecorder) and sprite sheets with a JSON atlas.
+ *
+ * While a capture runs the viewer's own loop stands still and the capture
+ * steps the scene at a fixed timestep, so frame N always shows the same
+ * pose whatever the machine's frame rate.
+ */
+
+// WebM codecs tried in order; VP9 and VP8 keep the alpha channel in Chrome
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const toBlob = (canvas, type = 'image/png') => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the capture'))), type);
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * ViewerCapture - owned by a CatViewer (`viewer.capture`); one capture at a time
+ */
+export class ViewerCapture {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.busy = false;
+    }
+
+    /**
+     * Renders the current view to a PNG of `width` × `height` (the canvas size by default)
+     */
+    async snapshot({ width, height, transparent = false } = {}) {
+        this.begin({ width, height, transparent });
+        try {
+            this.render();
+            return await toBlob(this.viewer.canvas);
+        } finally {
+            this.end();
+        }
+    }
+
+    /**
+     * Records the camera circling the cat `turns` times over `duration` seconds
+     * to a WebM. Frames are stepped at exactly 1 / fps and paced in real time
+     * for MediaRecorder; `onProgress(done)` goes from 0 to 1.
+     */
+    async recordTurntable({ duration = 6, fps = 30, turns = 1, width, height, transparent = false, onProgress } = {}) {
+        if (typeof MediaRecorder === 'undefined' || !this.viewer.canvas.captureStream) {
+            throw new Error('Video recording is not supported in this browser');
+        }
+        const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('This browser cannot record WebM');
+        }
+
+        this.begin({ width, height, transparent });
+        try {
+            // A stream without its own frame rate only takes the frames we request
+            const stream = this.viewer.canvas.captureStream(0);
+            const [track] = stream.getVideoTracks();
+            const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+            const chunks = [];
+            recorder.ondataavailable = e => chunks.push(e.data);
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+            recorder.start();
+
+            const frames = Math.round(duration * fps);
+            const start = this.orbitAngle();
+            for (let i = 0; i < frames; i++) {
+                if (i > 0) this.viewer.advance(1 / fps);
+                this.orbit(start + (i / frames) * turns * Math.PI * 2);
+                this.render();
+                track.requestFrame?.();
+                onProgress?.((i + 1) / frames);
+                await wait(1000 / fps);
+            }
+
+            recorder.stop();
+            await stopped;
+            stream.getTracks().forEach(t => t.stop());
+            return new Blob(chunks, { type: 'video/webm' });
+        } finally {
+            this.end();
+        }
+    }
+
+    /**
+     * Renders `angles` views round the cat (rows, starting from the front) ×
+     * `frames` evenly spaced frames of `pose` (columns) into one PNG, with an
+     * atlas describing each cell. Resolves to `{ image, atlas }`.
+     */
+    async spriteSheet({ pose = this.viewer.state.pose, angles = 8, frames = 12, size = 256, transparent = true } = {}) {
+        const model = this.viewer.catModel;
+        const clip = model.animator.getClip(pose);
+        if (!clip) {
+            throw new Error(`Unknown animation clip: ${pose}`);
+        }
+
+        const sheet = document.createElement('canvas');
+        sheet.width = frames * size;
+        sheet.height = angles * size;
+        const context = sheet.getContext('2d');
+        const atlas = {
+            frames: {},
+            meta: { image: `${pose}.png`, size: { w: sheet.width, h: sheet.height }, pose, angles, frames, duration: clip.duration },
+        };
+
+        this.begin({ width: size, height: size, transparent });
+        try {
+            // Restart the clip so frame 0 is its first frame; one step per column after that
+            const step = clip.duration / frames;
+            model.play(pose, { fadeDuration: 0 });
+            model.animator.getAction(pose).time = 0;
+            this.viewer.advance(0);
+
+            for (let frame = 0; frame < frames; frame++) {
+                if (frame > 0) this.viewer.advance(step);
+                for (let angle = 0; angle < angles; angle++) {
+                    const degrees = (360 / angles) * angle;
+                    this.orbit(THREE.MathUtils.degToRad(degrees));
+                    this.render();
+                    context.clearRect(frame * size, angle * size, size, size);
+                    context.drawImage(this.viewer.canvas, frame * size, angle * size, size, size);
+                    atlas.frames[`${pose}_${angle}_${frame}`] = {
+                        frame: { x: frame * size, y: angle * size, w: size, h: size },
+                        angle: degrees,
+                        time: frame * step,
+                    };
+                }
+            }
+            return { image: await toBlob(sheet), atlas };
+        } finally {
+            this.end();
+            if (pose !== this.viewer.state.pose) this.viewer.applyModelState(model, { ...this.viewer.state, pose });
+        }
+    }
+
+    // Takes over the viewer: fixed size, no background if asked, nothing moving on its own
+    begin({ width, height, transparent }) {
+        if (this.busy) {
+            throw new Error('A capture is already running');
+        }
+        const { renderer, camera, scene, catModel } = this.viewer;
+        const size = renderer.getSize(new THREE.Vector2());
+
+        this.saved = {
+            pixelRatio: renderer.getPixelRatio(),
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            background: scene.background,
+            behaviours: catModel.behaviours?.enabled,
+            interaction: catModel.interaction?.enabled,
+        };
+        this.busy = true;
+
+        // A failure part way leaves the viewer as it was, free for the next capture
+        try {
+            // Sizes are in pixels, capped at what the GPU can render in one go
+            const max = renderer.capabilities.maxTextureSize;
+            renderer.setPixelRatio(1);
+            renderer.setSize(
+                Math.min(width ?? Math.round(size.x * this.saved.pixelRatio), max),
+                Math.min(height ?? Math.round(size.y * this.saved.pixelRatio), max),
+                false
+            );
+            const target = renderer.getSize(new THREE.Vector2());
+            camera.aspect = target.x / target.y;
+            camera.updateProjectionMatrix();
+            if (transparent) scene.background = null;
+
+            // Random idle behaviours and the pointer would make captures differ run to run
+            if (catModel.behaviours) catModel.behaviours.enabled = false;
+            if (catModel.interaction) {
+                catModel.interaction.enabled = false;
+                catModel.interaction.lookAt(null);
+            }
+
+            // Captures get the full geometry, whatever the viewer is showing at the moment
+            catModel.setDetail('high');
+        } catch (error) {
+            this.end();
+            throw error;
+        }
+    }
+
+    end() {
+        const { renderer, camera, scene, catModel } = this.viewer;
+        const saved = this.saved;
+
+        this.busy = false;
+        this.saved = null;
+
+        // Back to the container's size (it may have changed meanwhile)
+        renderer.setPixelRatio(saved.pixelRatio);
+        this.viewer.onResize();
+        camera.position.copy(saved.position);
+        camera.quaternion.copy(saved.quaternion);
+        scene.background = saved.background;
+        if (catModel.behaviours) catModel.behaviours.enabled = saved.behaviours;
+        if (catModel.interaction) catModel.interaction.enabled = saved.interaction;
+    }
+
+    // Camera angle round the orbit target, 0 in front of the cat
+    orbitAngle() {
+        const offset = this.viewer.camera.position.clone().sub(this.viewer.controls.target);
+        return Math.atan2(offset.x, offset.z);
+    }
+
+    /**
+     * Puts the camera at `angle` round the orbit target, keeping its distance and height
+     */
+    orbit(angle) {
+        const { camera, controls } = this.viewer;
+        const offset = this.saved.position.clone().sub(controls.target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta = angle;
+        camera.position.setFromSpherical(spherical).add(controls.target);
+        camera.lookAt(controls.target);
+    }
+
+    render() {
+        this.viewer.renderer.render(this.viewer.scene, this.viewer.camera);
+    }
+}
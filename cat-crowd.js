@@ -0,0 +1,292 @@
+import * as THREE from 'three';
+import { CatModel } from './cat-model.js';
+import { DEFAULT_CAT_SPEC } from './cat-spec.js';
+import { generateCat } from './cat-generator.js';
+import { KITTEN } from './cat-morph.js';
+import { SeededRandom } from './random.js';
+
+/**
+ * Cat crowd - many generated cats (see cat-generator.js) drawn with one
+ * instanced mesh per body part, so a few hundred cats cost about as many
+ * draw calls as one:
+ *
+ *   const crowd = new CatCrowd(seedRange(1, 120));
+ *   scene.add(crowd.group);
+ *   crowd.update(delta); // every frame
+ *
+ * Posing is shared: one CatModel (low detail, no shell fur) plays each pose
+ * once while the crowd is built, and every frame of it is baked - part
+ * matrices, and the vertices of parts whose geometry changes as they move
+ * (spline-deformed legs and tail, whiskers). Crowd cats are light records
+ * that only look up their frame, so no cat is animated, morphed or
+ * interacted with per frame. Baked parts go into the instanced meshes, the
+ * rest into one shared buffer per material, each placed by the cat's own
+ * matrix. Crowd cats share one body shape, scaled to their age, and show
+ * their base coat and eye colours, as coat patterns are per-material shaders.
+ */
+
+// Poses crowd cats are given, each starting at its own point of the clip
+export const CROWD_POSES = ['idle', 'sit', 'stand', 'walk', 'groom'];
+
+// Baked frames per second of a pose; a cat between two frames shows the earlier one
+export const CROWD_FRAME_RATE = 30;
+
+// Grid spacing across (x) and along (z) the cats
+const SPACING = [2.2, 4.4];
+
+// Most a cat is turned off the grid's axis (radians)
+const MAX_TURN = 0.4;
+
+// Writes the vectors in `source` into `target` from `offset` on, moved by `matrix`
+// (or only turned by it, without `translate`)
+function transformInto(source, matrix, target, offset, translate = true) {
+    const e = matrix.elements;
+    const w = translate ? 1 : 0;
+    for (let i = 0; i < source.length; i += 3) {
+        const x = source[i];
+        const y = source[i + 1];
+        const z = source[i + 2];
+        target[offset + i] = e[0] * x + e[4] * y + e[8] * z + e[12] * w;
+        target[offset + i + 1] = e[1] * x + e[5] * y + e[9] * z + e[13] * w;
+        target[offset + i + 2] = e[2] * x + e[6] * y + e[10] * z + e[14] * w;
+    }
+}
+
+/**
+ * CatCrowd - `group` holds everything to draw; `cats[i]` is the cat for
+ * `seeds[i]`, as `{ seed, traits, pose, offset, matrix, frame }`
+ */
+export class CatCrowd {
+    constructor(seeds, { columns = Math.ceil(Math.sqrt(seeds.length)), spacing = SPACING, poses = CROWD_POSES, detail = 'low' } = {}) {
+        this.seeds = seeds;
+        this.group = new THREE.Group();
+        this.group.name = 'catCrowd';
+        this.animate = true;
+        this.time = 0;
+
+        // The one cat every pose is baked from
+        this.template = new CatModel(DEFAULT_CAT_SPEC, { detail, fur: { quality: 'low' } });
+
+        const rows = Math.ceil(seeds.length / columns);
+        this.cats = seeds.map((seed, i) => {
+            const traits = generateCat(seed);
+
+            // Each cat gets its own pose and moment in it, so the crowd doesn't move in step
+            const random = new SeededRandom(seed).fork('crowd');
+            const pose = poses[random.int(0, poses.length - 1)];
+            const offset = random.next() * this.template.animator.getClip(pose).duration;
+
+            const column = i % columns;
+            const row = Math.floor(i / columns);
+            const turn = new THREE.Matrix4().makeRotationY(random.range(-MAX_TURN, MAX_TURN));
+            const size = THREE.MathUtils.lerp(KITTEN.size, 1, traits.morph.age);
+            const matrix = new THREE.Matrix4()
+                .makeScale(size, size, size)
+                .premultiply(turn)
+                .setPosition((column - (columns - 1) / 2) * spacing[0], 0, (row - (rows - 1) / 2) * spacing[1]);
+            return { seed, traits, pose, offset, matrix, turn, frame: -1 };
+        });
+
+        this.materials = {};
+        this.instanced = [];
+        this.copies = [];
+        this.build();
+        this.bake();
+        this.update(0);
+    }
+
+    // Crowd material standing in for a cat material; instance or vertex colours supply the colour
+    material(name, { vertexColors = false } = {}) {
+        const key = vertexColors ? `${name}:vertex` : name;
+        if (this.materials[key]) return this.materials[key];
+
+        const source = this.template.materials[name];
+        const material = source.isLineBasicMaterial
+            ? new THREE.LineBasicMaterial({ color: source.color, opacity: source.opacity, transparent: source.transparent })
+            : new THREE.MeshStandardMaterial({
+                roughness: source.roughness,
+                metalness: source.metalness,
+                normalMap: source.normalMap,
+                normalScale: source.normalScale,
+                vertexColors,
+            });
+        this.materials[key] = material;
+        return material;
+    }
+
+    // Colour of a cat material on `cat`: coat and eyes are its own, the rest as on the template
+    color(cat, name) {
+        if (name === 'blackFurMaterial') return new THREE.Color(cat.traits.coat.color);
+        if (name === 'eyeMaterial') return new THREE.Color(cat.traits.eyes);
+        return this.template.materials[name].color;
+    }
+
+    build() {
+        const { template } = this;
+        const deformed = new Set(template.deformers.map(deformer => deformer.mesh.name));
+        const copied = new Map();
+
+        template.spec.parts.forEach((part) => {
+            const object = template.getPart(part.name);
+
+            // The same shape on every cat: one instanced mesh, coloured per cat
+            if (object.isMesh && !deformed.has(part.name)) {
+                const mesh = new THREE.InstancedMesh(object.geometry.clone(), this.material(part.material), this.cats.length);
+                mesh.name = part.name;
+                mesh.castShadow = object.castShadow;
+                mesh.receiveShadow = object.receiveShadow;
+                this.cats.forEach((cat, i) => mesh.setColorAt(i, this.color(cat, part.material)));
+                this.instanced.push(mesh);
+                this.group.add(mesh);
+                return;
+            }
+
+            // A shape that changes as it moves: copied into one buffer per material
+            if (!copied.has(part.material)) copied.set(part.material, []);
+            copied.get(part.material).push(part.name);
+        });
+
+        copied.forEach((names, material) => this.buildCopies(material, names));
+
+        // The crowd is looked at as a whole; bounds would only go stale as the cats move
+        this.group.traverse((object) => { object.frustumCulled = false; });
+    }
+
+    // One buffer holding the template's `names` parts once per cat, refilled by update()
+    buildCopies(material, names) {
+        const parts = names.map(name => this.template.getPart(name));
+        const lines = parts[0].isLineSegments;
+        const stride = parts.reduce((total, object) => total + object.geometry.attributes.position.count, 0);
+        const count = stride * this.cats.length;
+        const geometry = new THREE.BufferGeometry();
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        if (!lines) {
+            geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(count * 3), 3).setUsage(THREE.DynamicDrawUsage));
+
+            // Vertex colours carry each cat's coat colour; the index is fixed
+            const colors = new Float32Array(count * 3);
+            const index = [];
+            this.cats.forEach((cat, i) => {
+                const color = this.color(cat, material);
+                for (let vertex = i * stride; vertex < (i + 1) * stride; vertex++) color.toArray(colors, vertex * 3);
+                let offset = i * stride;
+                parts.forEach((object) => {
+                    object.geometry.index.array.forEach(vertex => index.push(offset + vertex));
+                    offset += object.geometry.attributes.position.count;
+                });
+            });
+            geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+            geometry.setIndex(index);
+        }
+
+        const mesh = lines
+            ? new THREE.LineSegments(geometry, this.material(material))
+            : new THREE.Mesh(geometry, this.material(material, { vertexColors: true }));
+        mesh.name = names.join('+');
+        mesh.castShadow = parts[0].castShadow;
+        mesh.receiveShadow = parts[0].receiveShadow;
+        this.copies.push({ mesh, parts, stride });
+        this.group.add(mesh);
+    }
+
+    /**
+     * Plays every pose the crowd uses on the template and keeps each frame
+     * as `{ matrices, copies }`: the instanced parts' model-space matrices,
+     * and per shared buffer the model-space positions and normals of its parts
+     */
+    bake() {
+        const { template } = this;
+        const vertex = new THREE.Vector3();
+        const normalMatrix = new THREE.Matrix3();
+        this.frames = {};
+
+        new Set(this.cats.map(cat => cat.pose)).forEach((pose) => {
+            const action = template.play(pose, { fadeDuration: 0 });
+            const count = Math.max(1, Math.round(template.animator.getClip(pose).duration * CROWD_FRAME_RATE));
+            this.frames[pose] = Array.from({ length: count }, (_, frame) => {
+                action.time = frame / CROWD_FRAME_RATE;
+                template.animator.update(0);
+                template.updateDeformers();
+
+                const matrices = new Float32Array(this.instanced.length * 16);
+                this.instanced.forEach((mesh, i) => template.getPart(mesh.name).matrixWorld.toArray(matrices, i * 16));
+
+                const copies = this.copies.map(({ mesh, parts, stride }) => {
+                    const position = new Float32Array(stride * 3);
+                    const normal = mesh.geometry.attributes.normal ? new Float32Array(stride * 3) : null;
+                    let offset = 0;
+                    parts.forEach((object) => {
+                        const source = object.geometry.attributes;
+                        normalMatrix.getNormalMatrix(object.matrixWorld);
+                        for (let i = 0; i < source.position.count; i++) {
+                            vertex.fromBufferAttribute(source.position, i).applyMatrix4(object.matrixWorld).toArray(position, (offset + i) * 3);
+                            if (normal) vertex.fromBufferAttribute(source.normal, i).applyMatrix3(normalMatrix).normalize().toArray(normal, (offset + i) * 3);
+                        }
+                        offset += source.position.count;
+                    });
+                    return { position, normal };
+                });
+                return { matrices, copies };
+            });
+        });
+    }
+
+    /**
+     * Moves the crowd on by `delta` seconds (unless `animate` is off) and
+     * writes each cat whose frame changed into the instanced meshes and shared buffers
+     */
+    update(delta) {
+        if (this.animate) this.time += delta;
+
+        const matrix = new THREE.Matrix4();
+        let changed = false;
+        this.cats.forEach((cat, i) => {
+            const frames = this.frames[cat.pose];
+            const frame = Math.floor((this.time + cat.offset) * CROWD_FRAME_RATE) % frames.length;
+            if (frame === cat.frame) return;
+            cat.frame = frame;
+            changed = true;
+
+            const baked = frames[frame];
+            this.instanced.forEach((mesh, part) => {
+                mesh.setMatrixAt(i, matrix.fromArray(baked.matrices, part * 16).premultiply(cat.matrix));
+            });
+            this.copies.forEach(({ mesh, stride }, copy) => {
+                const { position, normal } = mesh.geometry.attributes;
+                transformInto(baked.copies[copy].position, cat.matrix, position.array, i * stride * 3);
+                if (normal) transformInto(baked.copies[copy].normal, cat.turn, normal.array, i * stride * 3, false);
+            });
+        });
+        if (!changed) return;
+
+        this.instanced.forEach((mesh) => { mesh.instanceMatrix.needsUpdate = true; });
+        this.copies.forEach(({ mesh }) => {
+            mesh.geometry.attributes.position.needsUpdate = true;
+            if (mesh.geometry.attributes.normal) mesh.geometry.attributes.normal.needsUpdate = true;
+        });
+    }
+
+    /**
+     * The cat under a ray, as `{ index, seed, cat, part }`, or null.
+     * Only the instanced parts answer; legs, tail and whiskers don't.
+     */
+    pick(raycaster) {
+        const hit = raycaster.intersectObjects(this.instanced, false)[0];
+        if (!hit) return null;
+        return { index: hit.instanceId, seed: this.seeds[hit.instanceId], cat: this.cats[hit.instanceId], part: hit.object.name };
+    }
+
+    /**
+     * Frees the crowd's buffers and materials and the template cat
+     */
+    dispose() {
+        this.group.removeFromParent();
+        [...this.instanced, ...this.copies.map(({ mesh }) => mesh)].forEach((mesh) => {
+            mesh.geometry.dispose();
+            mesh.dispose?.();
+        });
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.template.dispose();
+    }
+}
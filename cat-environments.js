@@ -0,0 +1,474 @@
+import * as THREE from 'three';
+import { Reflector } from 'three/addons/objects/Reflector.js';
+import { SeededRandom } from './random.js';
+
+/**
+ * Environments - the world around the cat: a floor and set dressing per
+ * scene, props the cat reacts to, a soft contact shadow and an optional
+ * planar reflection. Every scene keeps its floor at y = 0.
+ */
+
+// Soft round or square falloff as an alpha texture (no canvas needed)
+function falloffTexture({ size = 64, square = false, color = [255, 255, 255] } = {}) {
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const u = (x + 0.5) / size * 2 - 1;
+            const v = (y + 0.5) / size * 2 - 1;
+            const distance = square ? Math.max(Math.abs(u), Math.abs(v)) : Math.hypot(u, v);
+            const alpha = THREE.MathUtils.smoothstep(1 - distance, 0, 0.6);
+            data.set([...color, Math.round(alpha * 255)], (y * size + x) * 4);
+        }
+    }
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Stripes of varying shade, for floorboards and the rug
+function stripeTexture(colors, { size = 128, stripes = 8, rings = false, random }) {
+    const shades = Array.from({ length: stripes }, (_, i) => {
+        const color = new THREE.Color(colors[i % colors.length]).multiplyScalar(0.85 + random() * 0.3);
+        return [color.r, color.g, color.b].map(c => Math.round(c * 255));
+    });
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const t = rings ? Math.hypot(x / size - 0.5, y / size - 0.5) * 2 : x / size;
+            data.set([...shades[Math.min(Math.floor(t * stripes), stripes - 1)], 255], (y * size + x) * 4);
+        }
+    }
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+function box(size, position, material) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size), material);
+    mesh.position.set(...position);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+function floor(geometry, material) {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.receiveShadow = true;
+    mesh.userData.floor = true;
+    return mesh;
+}
+
+/**
+ * Scenes: `build(random)` returns the set as a Group; the mesh flagged
+ * `userData.floor` is the one the planar reflection replaces
+ */
+export const CAT_ENVIRONMENTS = {
+    void: {
+        label: 'Void',
+        build() {
+            const group = new THREE.Group();
+
+            // A subtle reflective ground
+            group.add(floor(new THREE.CircleGeometry(20, 64), new THREE.MeshStandardMaterial({
+                color: 0x0a0a0f,
+                roughness: 0.1,
+                metalness: 0.5,
+            })));
+
+            // Grid helper (very subtle)
+            const grid = new THREE.GridHelper(20, 40, 0x1f1f2e, 0x13131f);
+            grid.position.y = 0.01;
+            group.add(grid);
+            return group;
+        },
+    },
+    livingRoom: {
+        label: 'Living Room Rug',
+        build(random) {
+            const group = new THREE.Group();
+
+            const boards = stripeTexture([0x7a5236, 0x6b4529, 0x84603f], { stripes: 10, random });
+            boards.repeat.set(6, 1);
+            group.add(floor(new THREE.PlaneGeometry(20, 20), new THREE.MeshStandardMaterial({ map: boards, roughness: 0.55 })));
+
+            const weave = stripeTexture([0x9c3d2e, 0xd9b77a, 0x2f4a5e, 0xd9b77a], { stripes: 9, rings: true, random });
+            const rug = floor(new THREE.CircleGeometry(2.6, 64), new THREE.MeshStandardMaterial({ map: weave, roughness: 1 }));
+            rug.position.y = 0.005;
+            group.add(rug);
+
+            // Back wall with a skirting board, and a sofa against it
+            const wall = new THREE.Mesh(new THREE.PlaneGeometry(20, 6), new THREE.MeshStandardMaterial({ color: 0xd8cfc4, roughness: 0.9 }));
+            wall.position.set(0, 3, -5);
+            wall.receiveShadow = true;
+            group.add(wall);
+            group.add(box([20, 0.2, 0.05], [0, 0.1, -4.97], new THREE.MeshStandardMaterial({ color: 0xf2ede6 })));
+
+            const fabric = new THREE.MeshStandardMaterial({ color: 0x4b5d6b, roughness: 0.95 });
+            group.add(box([4, 0.8, 1.4], [0, 0.4, -4.2], fabric));
+            group.add(box([4, 1.1, 0.35], [0, 1.2, -4.75], fabric));
+            group.add(box([0.35, 1.1, 1.4], [-2.15, 0.75, -4.2], fabric));
+            group.add(box([0.35, 1.1, 1.4], [2.15, 0.75, -4.2], fabric));
+            return group;
+        },
+    },
+    windowsill: {
+        label: 'Windowsill',
+        build() {
+            const group = new THREE.Group();
+            const paint = new THREE.MeshStandardMaterial({ color: 0xeeeae2, roughness: 0.7 });
+
+            // The sill is the floor here: the cat sits on its top face
+            const sill = floor(new THREE.PlaneGeometry(5, 2.4), new THREE.MeshStandardMaterial({ color: 0xf4f1ea, roughness: 0.4 }));
+            sill.position.set(0, 0, 0.2);
+            group.add(sill);
+            group.add(box([5.2, 0.12, 2.5], [0, -0.061, 0.2], paint));
+            group.add(box([8, 4, 0.2], [0, -2.12, 1.3], paint));
+
+            // Wall around the window opening behind the cat
+            group.add(box([2.4, 5, 0.3], [-3.7, 1.5, -1.1], paint));
+            group.add(box([2.4, 5, 0.3], [3.7, 1.5, -1.1], paint));
+            group.add(box([5, 1.2, 0.3], [0, 3.4, -1.1], paint));
+            const frame = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.5 });
+            group.add(box([5, 0.1, 0.12], [0, 2.8, -1.0], frame));
+            group.add(box([0.1, 2.8, 0.12], [0, 1.4, -1.0], frame));
+
+            // Sky beyond the glass
+            const sky = new THREE.Mesh(new THREE.PlaneGeometry(30, 15), new THREE.MeshBasicMaterial({ color: 0x9fc7ee, fog: false }));
+            sky.position.set(0, 3, -12);
+            group.add(sky);
+
+            // Sun shining through the window onto the sill, with a warm patch where it lands
+            const sun = new THREE.SpotLight(0xffe2b0, 40, 12, 0.45, 0.6, 1.5);
+            sun.position.set(1.5, 5, -5);
+            sun.target.position.set(0.4, 0, 0.4);
+            group.add(sun, sun.target);
+
+            const patch = floor(new THREE.PlaneGeometry(1.8, 1.1), new THREE.MeshBasicMaterial({
+                map: falloffTexture({ square: true, color: [255, 214, 150] }),
+                transparent: true,
+                opacity: 0.5,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+            }));
+            patch.userData.floor = false;
+            patch.position.set(0.4, 0.004, 0.4);
+            patch.rotation.z = 0.3;
+            group.add(patch);
+            return group;
+        },
+    },
+    garden: {
+        label: 'Garden',
+        build(random) {
+            const group = new THREE.Group();
+            group.add(floor(new THREE.CircleGeometry(20, 64), new THREE.MeshStandardMaterial({ color: 0x3f6b2f, roughness: 1 })));
+
+            // Grass blades, kept clear of where the cat stands
+            const count = 1500;
+            const blades = new THREE.InstancedMesh(
+                new THREE.ConeGeometry(0.025, 0.3, 3).translate(0, 0.15, 0),
+                new THREE.MeshStandardMaterial({ roughness: 1 }),
+                count
+            );
+            const matrix = new THREE.Matrix4();
+            const color = new THREE.Color();
+            for (let i = 0; i < count; i++) {
+                const angle = random() * Math.PI * 2;
+                const radius = 2.6 + Math.sqrt(random()) * 7;
+                const height = 0.6 + random() * 0.9;
+                matrix.compose(
+                    new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius),
+                    new THREE.Quaternion().setFromEuler(new THREE.Euler((random() - 0.5) * 0.4, random() * Math.PI, (random() - 0.5) * 0.4)),
+                    new THREE.Vector3(1, height, 1)
+                );
+                blades.setMatrixAt(i, matrix);
+                blades.setColorAt(i, color.setHSL(0.25 + random() * 0.06, 0.5, 0.25 + random() * 0.15));
+            }
+            blades.receiveShadow = true;
+            group.add(blades);
+
+            // Stones and a fence along the back
+            const stone = new THREE.MeshStandardMaterial({ color: 0x8a8a84, roughness: 0.9 });
+            for (let i = 0; i < 6; i++) {
+                const rock = new THREE.Mesh(new THREE.DodecahedronGeometry(0.15 + random() * 0.2), stone);
+                const angle = random() * Math.PI * 2;
+                rock.position.set(Math.cos(angle) * (3 + random() * 3), 0.05, Math.sin(angle) * (3 + random() * 3));
+                rock.scale.y = 0.6;
+                rock.castShadow = true;
+                group.add(rock);
+            }
+            const wood = new THREE.MeshStandardMaterial({ color: 0x8b6a48, roughness: 0.9 });
+            for (let x = -8; x <= 8; x += 0.8) {
+                group.add(box([0.35, 1.6, 0.08], [x, 0.8, -7], wood));
+            }
+            group.add(box([17, 0.12, 0.06], [0, 0.5, -7.06], wood));
+            group.add(box([17, 0.12, 0.06], [0, 1.3, -7.06], wood));
+            return group;
+        },
+    },
+};
+
+/**
+ * Props: `create()` returns the object to place; `interact(stage, model)` runs
+ * when it is clicked and may return a partial viewer state and a `meow`;
+ * `update(prop, delta, model)` moves it on and `moving(prop)` says if it still is
+ */
+export const CAT_PROPS = {
+    cushion: {
+        label: 'Cushion',
+        position: [-2.4, 0, 0.6],
+        create() {
+            const group = new THREE.Group();
+            const velvet = new THREE.MeshStandardMaterial({ color: 0x8a2332, roughness: 0.8 });
+            const pad = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), velvet);
+            pad.scale.set(1.25, 0.22, 1.25);
+            pad.position.y = 0.2;
+            const piping = new THREE.Mesh(new THREE.TorusGeometry(1.22, 0.035, 8, 64), new THREE.MeshStandardMaterial({ color: 0xc9a04a, roughness: 0.5 }));
+            piping.rotation.x = Math.PI / 2;
+            piping.position.y = 0.2;
+            [pad, piping].forEach((mesh) => {
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+            });
+            group.add(pad, piping);
+            group.userData.seat = new THREE.Vector3(0, 0.34, 0);
+            return group;
+        },
+        // Hops on to sit, and off again
+        interact(stage, model, prop) {
+            const seated = stage.seat !== prop;
+            stage.seatOn(seated ? prop : null);
+            return { state: { pose: seated ? 'sit' : 'idle' } };
+        },
+    },
+    yarn: {
+        label: 'Ball of Yarn',
+        position: [1.6, 0, 1.6],
+        create(random) {
+            const group = new THREE.Group();
+            const wool = new THREE.MeshStandardMaterial({ color: 0xd45a8a, roughness: 1 });
+            const ball = new THREE.Mesh(new THREE.SphereGeometry(0.22, 24, 16), wool);
+            for (let i = 0; i < 7; i++) {
+                const wrap = new THREE.Mesh(new THREE.TorusGeometry(0.222, 0.012, 6, 48), wool);
+                wrap.rotation.set(random() * Math.PI, random() * Math.PI, 0);
+                ball.add(wrap);
+            }
+            ball.position.y = 0.22;
+            ball.castShadow = true;
+            group.add(ball);
+
+            // Loose strand trailing over the floor
+            const strand = new THREE.CatmullRomCurve3([
+                [0, 0.05, 0.2], [0.3, 0.01, 0.5], [0.1, 0.01, 0.9], [0.5, 0.01, 1.2],
+            ].map(point => new THREE.Vector3(...point)));
+            group.add(new THREE.Mesh(new THREE.TubeGeometry(strand, 32, 0.012, 6), wool));
+            group.userData.ball = ball;
+            return group;
+        },
+        // A swipe sends it rolling; the cat watches it go. Its speed comes from the cat's seed.
+        interact(stage, model, prop) {
+            model.trigger('pawSwipe');
+            prop.userData.random ??= (model.random ?? new SeededRandom()).fork('yarn').next;
+            prop.userData.velocity = new THREE.Vector3(-0.8 - prop.userData.random() * 0.6, 0, 0.3);
+            return {};
+        },
+        moving: prop => prop.userData.velocity?.lengthSq() >= 1e-4,
+        update(prop, delta, model) {
+            const velocity = prop.userData.velocity;
+            if (!velocity || velocity.lengthSq() < 1e-4) return;
+
+            prop.position.addScaledVector(velocity, delta);
+            prop.userData.ball.rotation.z += velocity.x * -delta / 0.22;
+            prop.userData.ball.rotation.x += velocity.z * delta / 0.22;
+            velocity.multiplyScalar(Math.exp(-1.2 * delta));
+            model.interaction?.lookAt(prop.userData.ball.getWorldPosition(new THREE.Vector3()), { hold: 0.5 });
+        },
+    },
+    bowl: {
+        label: 'Food Bowl',
+        position: [0.9, 0, 2.6],
+        create() {
+            const group = new THREE.Group();
+            const profile = [[0, 0], [0.32, 0], [0.4, 0.04], [0.46, 0.18], [0.42, 0.19], [0.34, 0.06], [0, 0.06]];
+            const bowl = new THREE.Mesh(
+                new THREE.LatheGeometry(profile.map(([x, y]) => new THREE.Vector2(x, y)), 48),
+                new THREE.MeshStandardMaterial({ color: 0xb8bcc4, roughness: 0.25, metalness: 0.9, side: THREE.DoubleSide })
+            );
+            const food = new THREE.Mesh(new THREE.SphereGeometry(0.34, 24, 8, 0, Math.PI * 2, 0, Math.PI / 2), new THREE.MeshStandardMaterial({ color: 0x7a4a2a, roughness: 0.9 }));
+            food.scale.y = 0.25;
+            food.position.y = 0.06;
+            bowl.castShadow = true;
+            bowl.receiveShadow = true;
+            group.add(bowl, food);
+            return group;
+        },
+        // Dinner: a look, a happy squint and a meow
+        interact(stage, model, prop) {
+            model.interaction?.lookAt(prop.getWorldPosition(new THREE.Vector3()), { hold: 2 });
+            model.trigger('purrSquint');
+            return { meow: true };
+        },
+    },
+};
+
+export const DEFAULT_ENVIRONMENT = { name: 'void', props: [], reflection: false, contactShadow: true };
+
+/**
+ * CatStage - builds the chosen scene and props into the scene graph and keeps
+ * the cat's contact shadow and seat in step with it every frame
+ */
+export class CatStage {
+    constructor(scene, { reflectionSize = 1024 } = {}) {
+        this.scene = scene;
+        this.reflectionSize = reflectionSize;
+        this.group = new THREE.Group();
+        this.group.name = 'environment';
+        scene.add(this.group);
+
+        this.props = new Map();
+        this.seat = null;
+        this.catOffset = new THREE.Vector3();
+
+        // Contact shadow: a soft dark blob kept under the hips
+        this.contactShadow = floor(new THREE.PlaneGeometry(1.6, 2.8), new THREE.MeshBasicMaterial({
+            map: falloffTexture({ color: [0, 0, 0] }),
+            transparent: true,
+            opacity: 0.55,
+            depthWrite: false,
+        }));
+        this.contactShadow.raycast = () => {};
+        scene.add(this.contactShadow);
+    }
+
+    /**
+     * Rebuilds the world for an environment state (see DEFAULT_ENVIRONMENT)
+     */
+    set(environment) {
+        const { name, props, reflection, contactShadow } = { ...DEFAULT_ENVIRONMENT, ...environment };
+        const definition = CAT_ENVIRONMENTS[name];
+        if (!definition) {
+            throw new Error(`Unknown environment: ${name}`);
+        }
+
+        this.clear();
+        this.name = name;
+        const random = new SeededRandom(name).next;
+        const set = definition.build(random);
+        if (reflection) this.addReflection(set);
+        this.group.add(set);
+
+        props.filter(prop => CAT_PROPS[prop]).forEach((prop) => {
+            const object = CAT_PROPS[prop].create(new SeededRandom(prop).next);
+            object.name = prop;
+            object.position.set(...CAT_PROPS[prop].position);
+            object.userData.prop = prop;
+            this.group.add(object);
+            this.props.set(prop, object);
+        });
+
+        this.contactShadow.visible = contactShadow;
+        this.state = { name, props: [...this.props.keys()], reflection, contactShadow };
+        return this.state;
+    }
+
+    /**
+     * Swaps the scene's floor for a mirror under a translucent copy of it
+     */
+    addReflection(set) {
+        const floorMesh = set.children.find(child => child.userData.floor);
+        if (!floorMesh) return;
+
+        const mirror = new Reflector(floorMesh.geometry.clone(), {
+            textureWidth: this.reflectionSize,
+            textureHeight: this.reflectionSize,
+            color: 0x889999,
+        });
+        mirror.rotation.x = -Math.PI / 2;
+        mirror.position.y = -0.002;
+        set.add(mirror);
+
+        floorMesh.material.transparent = true;
+        floorMesh.material.opacity = 0.75;
+    }
+
+    /**
+     * Prop object under a raycaster, or null
+     */
+    pickProp(raycaster) {
+        const hit = raycaster.intersectObjects([...this.props.values()], true)[0];
+        let object = hit?.object;
+        while (object && !object.userData.prop) object = object.parent;
+        return object ?? null;
+    }
+
+    /**
+     * Runs a prop's reaction; returns what it asks of the viewer ({ state, meow })
+     */
+    interact(prop, model) {
+        return CAT_PROPS[prop.userData.prop].interact(this, model, prop) ?? {};
+    }
+
+    /**
+     * Sits the cat on a prop with a `seat` (null puts it back on the floor)
+     */
+    seatOn(prop) {
+        this.seat = prop;
+        this.catOffset.set(0, 0, 0);
+        if (prop) this.catOffset.copy(prop.userData.seat).add(prop.position);
+    }
+
+    /**
+     * Whether a prop is moving, or the cat is still gliding to its seat
+     */
+    isMoving(model) {
+        return model.getGroup().position.distanceToSquared(this.catOffset) > 1e-6
+            || [...this.props].some(([name, prop]) => CAT_PROPS[name].moving?.(prop) === true);
+    }
+
+    update(delta, model) {
+        this.props.forEach((prop, name) => CAT_PROPS[name].update?.(prop, delta, model));
+
+        // Glide towards the seat rather than teleporting
+        const group = model.getGroup();
+        group.position.lerp(this.catOffset, 1 - Math.exp(-8 * delta));
+
+        if (this.contactShadow.visible) {
+            const hips = (model.getJoint('hips') ?? group).getWorldPosition(new THREE.Vector3());
+            this.contactShadow.position.set(hips.x, group.position.y + 0.006, hips.z + 0.1);
+            this.contactShadow.rotation.z = -group.rotation.y;
+            this.contactShadow.material.opacity = 0.55 * THREE.MathUtils.clamp(1.2 - (hips.y - group.position.y) * 0.5, 0.2, 1);
+        }
+    }
+
+    clear() {
+        this.seatOn(null);
+        this.props.clear();
+        this.group.traverse((object) => {
+            object.geometry?.dispose();
+            if (object.isReflector) {
+                object.dispose(); // Render target and material
+                return;
+            }
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                if (!material) return;
+                Object.values(material).forEach(value => value?.isTexture && value.dispose());
+                material.dispose();
+            });
+        });
+        this.group.clear();
+    }
+
+    dispose() {
+        this.clear();
+        this.group.removeFromParent();
+        this.contactShadow.geometry.dispose();
+        this.contactShadow.material.map.dispose();
+        this.contactShadow.material.dispose();
+        this.contactShadow.removeFromParent();
+    }
+}
@@ -0,0 +1,67 @@
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+
+/**
+ * glTF 2.0 / GLB export of a CatModel: the current group (joints, parts and
+ * their pose), its materials and the base animation clips.
+ *
+ * Spline tubes are written in their current shape, riding their base joint.
+ * Fur shells and other objects flagged `userData.skipExport` are left out.
+ * Additive micro-behaviours are skipped because their tracks hold deltas,
+ * not transforms other tools can play back.
+ */
+
+// Textures can only be encoded where a real canvas exists (browser or worker)
+const canEncodeImages = () => typeof HTMLCanvasElement !== 'undefined' || typeof OffscreenCanvas !== 'undefined';
+
+// Temporarily removes texture maps so headless exports skip image encoding
+function stripTextures(root) {
+    const restored = [];
+    root.traverse((object) => {
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach((material) => {
+            if (!material) return;
+            ['map', 'normalMap'].forEach((slot) => {
+                if (material[slot]) {
+                    restored.push([material, slot, material[slot]]);
+                    material[slot] = null;
+                }
+            });
+        });
+    });
+    return () => restored.forEach(([material, slot, texture]) => { material[slot] = texture; });
+}
+
+// Temporarily hides objects that only make sense in the viewer (onlyVisible drops them)
+function hideSkipped(root) {
+    const hidden = [];
+    root.traverse((object) => {
+        if (object.userData.skipExport && object.visible) {
+            object.visible = false;
+            hidden.push(object);
+        }
+    });
+    return () => hidden.forEach((object) => { object.visible = true; });
+}
+
+/**
+ * Resolves to an ArrayBuffer (binary GLB) or a glTF JSON object
+ */
+export async function exportCatGLTF(model, { binary = false, animations = true, textures = canEncodeImages() } = {}) {
+    const group = model.getGroup();
+    const clips = animations
+        ? model.animator.getClips().filter(clip => clip.tracks.length > 0 && !model.animator.additive.has(clip.name))
+        : [];
+
+    const restoreTextures = textures ? () => {} : stripTextures(group);
+    const restoreSkipped = hideSkipped(group);
+    try {
+        return await new GLTFExporter().parseAsync(group, {
+            binary,
+            animations: clips,
+            onlyVisible: true,
+        });
+    } finally {
+        restoreTextures();
+        restoreSkipped();
+    }
+}
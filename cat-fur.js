@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+
+/**
+ * Shell-textured fur - stacks of slightly inflated copies of the furry meshes,
+ * each discarding every pixel that is not part of a strand at that height.
+ *
+ * Shells share their part's geometry, so they bend with the spline tail, and
+ * they take the active coat pattern. Strands are placed from the baked
+ * `coatPosition` attribute (see cat-patterns.js), so they stay rooted as the cat moves.
+ */
+
+// Shell layers per quality level; low keeps only the fur normal map
+export const FUR_QUALITY = {
+    low: { layers: 0 },
+    medium: { layers: 12 },
+    high: { layers: 32 },
+};
+
+export const DEFAULT_FUR_OPTIONS = {
+    quality: 'medium',
+    parts: ['body', 'head', 'tail'],
+    length: 0.05, // Strand length, in model units
+    density: 0.65, // Fraction of the surface covered by strands (0-1)
+    thickness: 220, // Strands per model unit
+    gravity: 0.4, // Droop towards the ground at the tips
+    comb: [0, 0, -0.5], // Brushing direction (scene space), strength is its length
+    sheen: 0.6,
+};
+
+/**
+ * Picks a starting quality from what the device reports about itself
+ */
+export function suggestFurQuality() {
+    if (typeof navigator === 'undefined') return DEFAULT_FUR_OPTIONS.quality;
+
+    const cores = navigator.hardwareConcurrency ?? 4;
+    const memory = navigator.deviceMemory ?? 4;
+    const touch = typeof matchMedia !== 'undefined' && matchMedia('(pointer: coarse)').matches;
+    if (cores <= 2 || memory <= 2 || (touch && cores <= 4)) return 'low';
+    return cores >= 8 && !touch ? 'high' : 'medium';
+}
+
+const FUR_VERTEX_PARS = /* glsl */`
+uniform float furLayer;
+uniform float furLength;
+uniform float furGravity;
+uniform vec3 furComb;
+`;
+
+// Pushes the shell out along the normal; tips droop and follow the comb
+const FUR_VERTEX = /* glsl */`
+vec3 furNormal = normalize(mat3(modelMatrix) * objectNormal);
+float furHeight = furLayer * furLength;
+vec3 furOffset = furNormal * furHeight + (vec3(0.0, -furGravity, 0.0) + furComb) * furHeight * furLayer;
+transformed += inverse(mat3(modelMatrix)) * furOffset;
+`;
+
+const FUR_FRAGMENT_PARS = /* glsl */`
+uniform float furLayer;
+uniform float furDensity;
+uniform float furThickness;
+
+float furHash(vec3 p) {
+    p = fract(p * 0.1031);
+    p += dot(p, p.zyx + 31.32);
+    return fract((p.x + p.y) * p.z);
+}
+`;
+
+// Each cell of the rest-position grid holds at most one tapered strand
+const FUR_FRAGMENT = /* glsl */`
+vec3 furCell = vCoatPosition * furThickness;
+vec3 furId = floor(furCell);
+float furStrand = 0.5 + 0.5 * furHash(furId + 11.3);
+float furRadius = length(fract(furCell) - 0.5) * 2.0;
+if (furHash(furId) > furDensity || furLayer > furStrand || furRadius > 1.0 - furLayer / furStrand) discard;
+
+// Roots sit in the shadow of the strands around them
+diffuseColor.rgb *= mix(0.55, 1.0, furLayer);
+`;
+
+/**
+ * FurShells - the shell layers of one CatModel
+ */
+export class FurShells {
+    constructor(model, options = {}) {
+        this.model = model;
+        this.options = { ...DEFAULT_FUR_OPTIONS, ...options };
+        this.uniforms = {
+            furLength: { value: 0 },
+            furDensity: { value: 0 },
+            furThickness: { value: 0 },
+            furGravity: { value: 0 },
+            furComb: { value: new THREE.Vector3() },
+        };
+        this.materials = [];
+        this.shells = [];
+        this.visible = true;
+
+        this.setOptions(this.options);
+    }
+
+    /**
+     * Updates fur settings; changing `quality` or `parts` rebuilds the shells
+     */
+    setOptions(options) {
+        if (options.quality !== undefined && !FUR_QUALITY[options.quality]) {
+            throw new Error(`Unknown fur quality: ${options.quality}`);
+        }
+
+        const rebuild = this.shells.length === 0
+            || (options.quality !== undefined && options.quality !== this.options.quality)
+            || (options.parts !== undefined && options.parts !== this.options.parts);
+        Object.assign(this.options, options);
+
+        this.uniforms.furLength.value = this.options.length;
+        this.uniforms.furDensity.value = this.options.density;
+        this.uniforms.furThickness.value = this.options.thickness;
+        this.uniforms.furGravity.value = this.options.gravity;
+        this.uniforms.furComb.value.fromArray(this.options.comb);
+        this.materials.forEach((material) => {
+            material.sheen = this.options.sheen;
+        });
+
+        if (rebuild) this.build();
+    }
+
+    build() {
+        this.clear();
+
+        const { layers } = FUR_QUALITY[this.options.quality];
+        if (layers === 0) return;
+
+        const layerMaterials = new Map();
+        this.options.parts.forEach((name) => {
+            const part = this.model.getPart(name);
+            if (!part?.isMesh) return;
+
+            // One material per source material and layer; all of them share a program
+            if (!layerMaterials.has(part.material)) {
+                layerMaterials.set(part.material, Array.from({ length: layers }, (_, i) => this.createShellMaterial(part.material, (i + 1) / layers)));
+            }
+
+            const shells = new THREE.Group();
+            shells.name = 'furShells';
+            shells.userData.skipExport = true;
+            shells.visible = this.visible;
+            layerMaterials.get(part.material).forEach((material) => {
+                const shell = new THREE.Mesh(part.geometry, material);
+                shell.raycast = () => {}; // Picking should hit the part, not its fur
+                shells.add(shell);
+            });
+            part.add(shells);
+            this.shells.push(shells);
+        });
+        this.materials = [...layerMaterials.values()].flat();
+    }
+
+    createShellMaterial(source, layer) {
+        const material = new THREE.MeshPhysicalMaterial({
+            roughness: source.roughness,
+            metalness: source.metalness,
+            sheen: this.options.sheen,
+            sheenRoughness: 0.5,
+            sheenColor: new THREE.Color(0xffffff),
+        });
+        material.color = source.color; // Same Color object, so setFurColor reaches the fur
+
+        this.model.coat.extend(material, source);
+        const coatShader = material.onBeforeCompile;
+        material.onBeforeCompile = (shader, renderer) => {
+            coatShader(shader, renderer);
+            Object.assign(shader.uniforms, this.uniforms, { furLayer: { value: layer } });
+
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>\n${FUR_VERTEX_PARS}`)
+                .replace('#include <begin_vertex>', `#include <begin_vertex>\n${FUR_VERTEX}`);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\n${FUR_FRAGMENT_PARS}`)
+                .replace('#include <alphatest_fragment>', `${FUR_FRAGMENT}\n#include <alphatest_fragment>`);
+        };
+        material.customProgramCacheKey = () => 'fur-shell';
+        return material;
+    }
+
+    /**
+     * Points the shells back at their parts' geometry after it was swapped (see CatModel.setDetail)
+     */
+    syncGeometry() {
+        this.shells.forEach((shells) => {
+            shells.children.forEach((shell) => {
+                shell.geometry = shells.parent.geometry;
+            });
+        });
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.shells.forEach((shells) => {
+            shells.visible = visible;
+        });
+    }
+
+    clear() {
+        this.shells.forEach(shells => shells.removeFromParent());
+        this.materials.forEach(material => material.dispose());
+        this.shells = [];
+        this.materials = [];
+    }
+
+    dispose() {
+        this.clear();
+    }
+}
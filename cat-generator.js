@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { DEFAULT_CAT_SPEC } from './cat-spec.js';
+import { COAT_PATTERNS } from './cat-patterns.js';
+import { DEFAULT_MORPH, morphCatSpec } from './cat-morph.js';
+import { SeededRandom } from './random.js';
+
+/**
+ * Cat generator - samples plausible cats from a seed: coat colour and
+ * pattern, eye colour, body shape and whisker layout.
+ *
+ * generateCat() returns plain viewer state (see viewer-state.js), so a
+ * generated cat can be shown, shared by URL or saved as a preset like any
+ * other; `CatModel.random(seed)` builds one directly. Shapes whose parts
+ * would touch or leave the ground are rejected and drawn again.
+ */
+
+// Whisker layout of the default spec, as kept in the viewer state
+export const DEFAULT_WHISKERS = { count: 6, length: 0.35, angleStep: 0.1, lift: 0.1 };
+
+export const DEFAULT_EYE_COLOR = '#ffd700';
+
+// How often each pattern comes up, and the colours natural to it
+const COATS = {
+    tuxedo: { weight: 3, base: ['#1a1a1a', '#2b2b2e', '#3d2b22', '#4a4a52'] },
+    tabby: { weight: 4, base: ['#b07a45', '#c98a4b', '#8c8478', '#a6794f'], stripeColor: 'darker' },
+    calico: { weight: 2, base: ['#1a1a1a', '#2e2e33'], orangeColor: ['#d98c3a', '#e0a060', '#c9742e'], whiteColor: ['#f5f0e8', '#fffaf0'] },
+    tortoiseshell: { weight: 2, base: ['#1a1410', '#2a1d16'], redColor: ['#a0522d', '#c2703d', '#d9a066'] },
+    siamese: { weight: 1, base: ['#efe3cf', '#f3ead8', '#e6d8bf'], pointColor: ['#3b2a22', '#5b6470', '#6b4a3a', '#8a7d86'] },
+};
+
+// Gold, amber, copper, green, hazel and blue; Siamese eyes are always blue
+const EYE_COLORS = ['#ffd700', '#e0a526', '#d97a1a', '#7fbf3f', '#a8b545', '#3d8fd9'];
+const SIAMESE_EYES = ['#3d8fd9', '#5aa8f0'];
+
+// Plausible body shapes: a narrower range than the sliders allow
+const SHAPE_RANGES = {
+    weight: [-0.7, 0.8],
+    legLength: [0.85, 1.15],
+    earSize: [0.8, 1.25],
+    earShape: [-0.7, 0.8],
+    tailLength: [0.75, 1.2],
+    tailFluff: [0.8, 1.6],
+    eyeSize: [0.85, 1.25],
+};
+
+const WHISKER_RANGES = { count: [4, 8], length: [0.28, 0.45], angleStep: [0.06, 0.14], lift: [0.05, 0.15] };
+
+// Shapes are drawn again this many times before falling back to the default
+const MAX_ATTEMPTS = 20;
+
+const pick = (random, list) => list[Math.floor(random.next() * list.length)];
+
+// Leans towards the middle of the range (average of two draws)
+const central = (random, [min, max]) => min + (random.next() + random.next()) / 2 * (max - min);
+
+const round = (value, step = 0.01) => Number((Math.round(value / step) * step).toFixed(4));
+
+/**
+ * A copy of `spec` with the whisker layout replaced (fields missing from `whiskers` are kept)
+ */
+export function withWhiskers(spec, whiskers) {
+    const copy = structuredClone(spec);
+    copy.parts.filter(part => part.shape.type === 'whiskers').forEach((part) => {
+        Object.assign(part.shape, whiskers);
+    });
+    return copy;
+}
+
+/**
+ * Ways the parts of a spec collide or come loose; empty when the cat is fine
+ */
+export function catConstraintErrors(spec) {
+    const errors = [];
+    const part = name => spec.parts.find(candidate => candidate.name === name);
+    const centre = candidate => new THREE.Vector3(...(candidate.position ?? [0, 0, 0]));
+    const scale = candidate => candidate.scale ?? [1, 1, 1];
+    const reach = candidate => candidate.shape.radius * Math.max(...scale(candidate));
+
+    // Pairs of parts that must stay apart
+    [['leftEye', 'rightEye'], ['leftEar', 'rightEar'], ['frontLeftPaw', 'backLeftPaw'], ['frontRightPaw', 'backRightPaw']].forEach(([a, b]) => {
+        const first = part(a);
+        const second = part(b);
+        if (first && second && centre(first).distanceTo(centre(second)) < reach(first) + reach(second)) {
+            errors.push(`${a} and ${b} overlap`);
+        }
+    });
+
+    // Paws stand on the ground; the tail tip stays off it
+    ['frontLeftPaw', 'frontRightPaw', 'backLeftPaw', 'backRightPaw'].map(part).filter(Boolean).forEach((paw) => {
+        const bottom = centre(paw).y - paw.shape.radius * scale(paw)[1];
+        if (Math.abs(bottom) > 0.1) errors.push(`${paw.name} is off the ground`);
+    });
+    const tip = part('tailTip');
+    if (tip && centre(tip).y - reach(tip) < 0) errors.push('tailTip is below the ground');
+
+    return errors;
+}
+
+function sampleShape(random) {
+    const shape = { ...DEFAULT_MORPH };
+    // Mostly grown cats, some kittens and adolescents
+    shape.age = round(random.next() < 0.7 ? random.range(0.7, 1) : random.range(0.1, 0.7));
+    Object.entries(SHAPE_RANGES).forEach(([key, range]) => {
+        shape[key] = round(central(random, range));
+    });
+    return shape;
+}
+
+function sampleCoat(random) {
+    const patterns = Object.keys(COATS);
+    const total = patterns.reduce((sum, name) => sum + COATS[name].weight, 0);
+    let roll = random.next() * total;
+    const pattern = patterns.find(name => (roll -= COATS[name].weight) < 0) ?? patterns[0];
+
+    const coat = COATS[pattern];
+    const color = pick(random, coat.base);
+    const params = {};
+    Object.entries(COAT_PATTERNS[pattern].params).forEach(([key, param]) => {
+        if (param.type === 'color') {
+            // Stripes are a darker shade of the base; other colours come from the palette
+            params[key] = coat[key] === 'darker'
+                ? `#${new THREE.Color(color).lerp(new THREE.Color(0x000000), random.range(0.55, 0.75)).getHexString()}`
+                : pick(random, coat[key]);
+        } else {
+            // Keep to the middle of the slider, away from the extremes
+            const margin = (param.max - param.min) * 0.2;
+            params[key] = round(random.range(param.min + margin, param.max - margin), param.step);
+        }
+    });
+    return { pattern, color, params };
+}
+
+function sampleWhiskers(random) {
+    return {
+        count: random.int(...WHISKER_RANGES.count),
+        length: round(random.range(...WHISKER_RANGES.length)),
+        angleStep: round(random.range(...WHISKER_RANGES.angleStep)),
+        lift: round(random.range(...WHISKER_RANGES.lift)),
+    };
+}
+
+/**
+ * Samples a cat from a seed, as a viewer state partial:
+ * `{ seed, coat, eyes, morph, whiskers }`. The same seed always gives the same cat.
+ */
+export function generateCat(seed, { spec = DEFAULT_CAT_SPEC } = {}) {
+    const random = new SeededRandom(seed).fork('generator');
+
+    const coat = sampleCoat(random.fork('coat'));
+    const eyes = pick(random.fork('eyes'), coat.pattern === 'siamese' ? SIAMESE_EYES : EYE_COLORS);
+    const whiskers = sampleWhiskers(random.fork('whiskers'));
+
+    // Body shapes that break the cat are drawn again
+    const shapes = random.fork('shape');
+    const whiskered = withWhiskers(spec, whiskers);
+    let morph = DEFAULT_MORPH;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const candidate = sampleShape(shapes);
+        if (catConstraintErrors(morphCatSpec(whiskered, candidate)).length === 0) {
+            morph = candidate;
+            break;
+        }
+    }
+
+    return { seed, coat, eyes, morph, whiskers };
+}
@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { CatAnimator } from './cat-animation.js';
+import { exportCatGLTF } from './cat-export.js';
+import { CatInteraction } from './cat-interaction.js';
+
+/**
+ * Imported cats - wraps a user-supplied glTF/GLB so CatViewer can use it in
+ * place of the procedural CatModel, with CatModel's clips retargeted onto its rig.
+ */
+
+// Bone names commonly used for each CatModel joint (compared lower-case, alphanumerics only)
+export const DEFAULT_JOINT_ALIASES = {
+    root: ['root', 'armature'],
+    hips: ['hips', 'pelvis', 'hip'],
+    spine: ['spine', 'spine1', 'chest'],
+    neck: ['neck', 'neck1'],
+    skull: ['head', 'skull'],
+    frontLeftShoulder: ['frontleftshoulder', 'leftarm', 'upperarml', 'lupperarm', 'frontleftleg', 'shoulderl'],
+    frontLeftWrist: ['frontleftwrist', 'lefthand', 'handl', 'lhand', 'frontleftpaw'],
+    frontRightShoulder: ['frontrightshoulder', 'rightarm', 'upperarmr', 'rupperarm', 'frontrightleg', 'shoulderr'],
+    frontRightWrist: ['frontrightwrist', 'righthand', 'handr', 'rhand', 'frontrightpaw'],
+    backLeftHip: ['backlefthip', 'leftupleg', 'thighl', 'lthigh', 'backleftleg'],
+    backLeftAnkle: ['backleftankle', 'leftfoot', 'footl', 'lfoot', 'backleftpaw'],
+    backRightHip: ['backrighthip', 'rightupleg', 'thighr', 'rthigh', 'backrightleg'],
+    backRightAnkle: ['backrightankle', 'rightfoot', 'footr', 'rfoot', 'backrightpaw'],
+    tail1: ['tail1', 'tail', 'tailbase', 'tail01'],
+    tail2: ['tail2', 'tail02'],
+    tail3: ['tail3', 'tail03'],
+    tail4: ['tail4', 'tail04', 'tailtip'],
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/^mixamorig/, '').replace(/[^a-z0-9]/g, '');
+
+/**
+ * Maps CatModel joint names to objects in `root`. Explicit `jointMap`
+ * entries (joint → node name) win; the rest fall back to the aliases.
+ */
+export function resolveJointMap(root, jointMap = {}, aliases = DEFAULT_JOINT_ALIASES) {
+    const nodes = new Map();
+    root.traverse((node) => {
+        const key = normalizeName(node.name);
+        if (key && !nodes.has(key)) nodes.set(key, node);
+    });
+
+    const resolved = {};
+    Object.entries(aliases).forEach(([joint, names]) => {
+        const node = jointMap[joint]
+            ? root.getObjectByName(jointMap[joint]) || nodes.get(normalizeName(jointMap[joint]))
+            : names.map(name => nodes.get(name)).find(Boolean);
+        if (node) resolved[joint] = node;
+    });
+    return resolved;
+}
+
+/**
+ * Rewrites a CatModel clip onto another rig. Rotations are carried over as
+ * deltas from the source rest pose, re-expressed in each target bone's parent
+ * frame so rigs with different bone axes still bend the same way. Positions
+ * are carried as offsets scaled by `scale`; tracks on unmapped joints or parts are dropped.
+ * Each target needs `userData.retargetRest`, as set up by ImportedCat.retargetFrom.
+ */
+export function retargetClip(clip, sourceRest, targets, scale = 1) {
+    const tracks = [];
+    const delta = new THREE.Quaternion();
+    const offset = new THREE.Vector3();
+
+    clip.tracks.forEach((track) => {
+        const [jointName, property] = track.name.split('.');
+        const target = targets[jointName];
+        const rest = sourceRest[jointName];
+        if (!target || !rest) return;
+
+        const { bindQuaternion, bindPosition, parentQuaternion, parentInverse } = target.userData.retargetRest;
+        const values = new Float32Array(track.values.length);
+
+        if (property === 'quaternion') {
+            const restInverse = rest.quaternion.clone().invert();
+            for (let i = 0; i < track.values.length; i += 4) {
+                delta.fromArray(track.values, i).premultiply(restInverse);
+                parentQuaternion.clone().invert().multiply(delta).multiply(parentQuaternion).multiply(bindQuaternion).toArray(values, i);
+            }
+            tracks.push(new THREE.QuaternionKeyframeTrack(`${target.name}.quaternion`, track.times, values));
+        } else if (property === 'position') {
+            for (let i = 0; i < track.values.length; i += 3) {
+                offset.fromArray(track.values, i).sub(rest.position).multiplyScalar(scale).applyMatrix3(parentInverse);
+                offset.add(bindPosition).toArray(values, i);
+            }
+            tracks.push(new THREE.VectorKeyframeTrack(`${target.name}.position`, track.times, values));
+        }
+    });
+
+    return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+}
+
+/**
+ * Loads a .glb/.gltf File (or ArrayBuffer) into a glTF result
+ */
+export async function loadGLTFFile(file) {
+    const buffer = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+    return new GLTFLoader().parseAsync(buffer, '');
+}
+
+/**
+ * ImportedCat - an external mesh with the same surface CatViewer uses on CatModel
+ */
+export class ImportedCat {
+    constructor(gltf, { source, jointMap, name = 'imported-cat', height = 1.6 } = {}) {
+        this.name = name;
+        this.scene = gltf.scene;
+
+        // Normalise the import to the procedural cat's size, standing on the ground
+        this.group = new THREE.Group();
+        this.group.add(this.scene);
+        const box = new THREE.Box3().setFromObject(this.scene);
+        const size = box.getSize(new THREE.Vector3());
+        const scale = height / Math.max(size.x, size.y, size.z, 1e-6);
+        this.scene.scale.setScalar(scale);
+        this.scene.position.set(-(box.min.x + size.x / 2) * scale, -box.min.y * scale, -(box.min.z + size.z / 2) * scale);
+        this.scene.traverse((object) => {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
+        });
+
+        this.animator = new CatAnimator(this.scene);
+        gltf.animations.forEach(clip => this.animator.addClip(clip));
+
+        this.joints = resolveJointMap(this.scene, jointMap);
+        if (source) {
+            this.retargetFrom(source);
+        }
+
+        // Head tracking works through the mapped neck and skull; reactions need CatModel parts
+        this.interaction = new CatInteraction(this);
+    }
+
+    /**
+     * Retargets every base clip of a CatModel onto this rig
+     */
+    retargetFrom(source) {
+        // Rest frames are measured in this.group's space, which matches the source model's space
+        this.group.updateMatrixWorld(true);
+        const toGroup = this.group.matrixWorld.clone().invert();
+        Object.values(this.joints).forEach((bone) => {
+            const parentMatrix = bone.parent.matrixWorld.clone().premultiply(toGroup);
+            bone.userData.retargetRest = {
+                bindQuaternion: bone.quaternion.clone(),
+                bindPosition: bone.position.clone(),
+                parentQuaternion: new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().extractRotation(parentMatrix)),
+                parentInverse: new THREE.Matrix3().setFromMatrix4(parentMatrix).invert(),
+            };
+        });
+
+        // Offsets scale with the ratio of hip heights between the two rigs
+        const hips = this.joints.hips;
+        const sourceHips = source.spec.joints?.find(joint => joint.name === 'hips');
+        const scale = hips && sourceHips
+            ? hips.getWorldPosition(new THREE.Vector3()).applyMatrix4(toGroup).y / sourceHips.position[1]
+            : 1;
+
+        source.animator.getClips()
+            .filter(clip => !source.animator.additive.has(clip.name))
+            .forEach((clip) => {
+                this.animator.addClip(retargetClip(clip, source.restPose, this.joints, scale), {
+                    loop: source.animator.loops.get(clip.name),
+                });
+            });
+    }
+
+    getGroup() {
+        return this.group;
+    }
+
+    getJoint(name) {
+        return this.joints[name] || null;
+    }
+
+    play(name, options) {
+        return this.animator.play(name, options);
+    }
+
+    // Micro-behaviours need CatModel parts, so imports ignore them
+    trigger() {
+        return null;
+    }
+
+    on(type, handler) {
+        return this.interaction.on(type, handler);
+    }
+
+    off(type, handler) {
+        this.interaction.off(type, handler);
+    }
+
+    update(delta) {
+        this.interaction.restore();
+        this.animator.update(delta);
+        this.interaction.update(delta);
+    }
+
+    exportGLTF(options) {
+        return exportCatGLTF(this, options);
+    }
+
+    setFurColor() {
+        // Imported materials are left as authored
+    }
+
+    setEyeColor() {
+    }
+
+    setMorph() {
+        // Morphs reshape a cat spec, which imported models do not have
+    }
+
+    setDetail() {
+        // Imported meshes come at one level of detail
+    }
+
+    setAccessories() {
+        // Accessory sockets sit on the procedural cat's parts, which imports don't have
+        return Promise.resolve([]);
+    }
+
+    getAccessories() {
+        return {};
+    }
+
+    getMorph() {
+        return null;
+    }
+
+    setCoatPattern() {
+        return null;
+    }
+
+    getCoatPattern() {
+        return null;
+    }
+
+    setFurQuality() {
+        // Shell fur needs the procedural cat's coat positions
+    }
+
+    setFurOptions() {
+    }
+
+    toggleWireframe(enabled) {
+        this.scene.traverse((object) => {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                if (material) material.wireframe = enabled;
+            });
+        });
+    }
+
+    dispose() {
+        this.interaction.dispose();
+        this.animator.dispose();
+        this.group.removeFromParent();
+        this.scene.traverse((object) => {
+            object.geometry?.dispose();
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                if (!material) return;
+                Object.values(material).forEach(value => value?.isTexture && value.dispose());
+                material.dispose();
+            });
+        });
+    }
+}
@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+
+/**
+ * Cat interaction - head and eye tracking towards a point, touch regions
+ * with their reactions, and the part-level `touch` event behind
+ * `catModel.on('touch', (part, details) => ...)`.
+ */
+
+// Parts grouped into the regions a touch reacts to; unlisted parts still fire `touch`
+export const TOUCH_REGIONS = {
+    head: ['head', 'snout', 'blaze', 'leftEar', 'leftInnerEar', 'rightEar', 'rightInnerEar', 'leftEye', 'leftPupil', 'rightEye', 'rightPupil', 'nose', 'whiskers'],
+    back: ['body', 'chest'],
+    tail: ['tail', 'tailTip'],
+    paws: ['frontLeftLeg', 'frontRightLeg', 'backLeftLeg', 'backRightLeg', 'frontLeftPaw', 'frontRightPaw', 'backLeftPaw', 'backRightPaw'],
+};
+
+// Additive clip played per region when the pointer rests on it (hover) or clicks it
+export const TOUCH_REACTIONS = {
+    head: { hover: 'purrSquint', click: 'earFlatten' },
+    back: { hover: 'purrSquint', click: 'earFlatten' },
+    tail: { hover: 'tailFlick', click: 'tailFlick' },
+    paws: { hover: null, click: 'pawSwipe' },
+};
+
+// Natural range of the look (radians) split between neck and skull, and of the eyes on top
+const LOOK_LIMITS = { yaw: 0.8, up: 0.4, down: 0.5 };
+const NECK_SHARE = 0.4;
+const EYE_LIMIT = 0.35;
+
+// Targets further round than this are behind the cat: it gives up and looks ahead
+const LOOK_GIVE_UP = 2;
+
+// How far (radians) the look may be from where it is heading and still count as settled
+const LOOK_SETTLED = 1e-3;
+
+// Seconds before the same hover reaction can fire again
+const HOVER_COOLDOWN = 2.5;
+
+/**
+ * Region a part belongs to, or null
+ */
+export function touchRegion(part) {
+    return Object.keys(TOUCH_REGIONS).find(region => TOUCH_REGIONS[region].includes(part)) ?? null;
+}
+
+const clamp = THREE.MathUtils.clamp;
+
+/**
+ * CatInteraction - owned by a cat model; the viewer feeds it look targets and touches
+ */
+export class CatInteraction {
+    constructor(model, { reactions = TOUCH_REACTIONS, lookSpeed = 6 } = {}) {
+        this.model = model;
+        this.reactions = reactions;
+        this.lookSpeed = lookSpeed;
+        this.enabled = true;
+        this.handlers = new Map();
+        this.cooldowns = new Map();
+        this.hovered = null;
+
+        this.target = null;
+        this.hold = 0;
+        this.look = { yaw: 0, pitch: 0 };
+        this.moving = false;
+        this.saved = [];
+        this.bind();
+    }
+
+    /**
+     * Records where the pupils rest on their eyes (again after the eyes are reshaped)
+     */
+    bind() {
+        // Pupils orbit their eye's centre, so record both in the skull's space
+        this.pupils = ['left', 'right'].map((side) => {
+            const pupil = this.model.getPart?.(`${side}Pupil`);
+            const eye = this.model.getPart?.(`${side}Eye`);
+            if (!pupil || !eye || pupil.parent !== eye.parent) return null;
+            return {
+                pupil,
+                centre: eye.position.clone(),
+                offset: pupil.position.clone().sub(eye.position),
+                quaternion: pupil.quaternion.clone(),
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Adds a listener; returns a function that removes it again
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.handlers.get(type)?.delete(handler);
+    }
+
+    emit(type, ...args) {
+        this.handlers.get(type)?.forEach(handler => handler(...args));
+    }
+
+    /**
+     * Points the head and eyes at a world-space point (null looks ahead again).
+     * With `hold` (seconds) the point wins over plain lookAt calls until then.
+     */
+    lookAt(point, { hold = 0 } = {}) {
+        if (hold <= 0 && this.hold > 0) return;
+        this.hold = hold;
+        this.target = point ? point.clone() : null;
+    }
+
+    /**
+     * Reports a touch on a part: `kind` is 'hover' (pointer came to rest on it) or 'click'.
+     * Fires the region's reaction and the `touch` event; returns the reaction played, if any.
+     */
+    touch(part, { kind = 'click', point = null } = {}) {
+        if (kind === 'hover') {
+            if (part === this.hovered) return null;
+            this.hovered = part;
+            if (!part) return null;
+        }
+
+        const region = touchRegion(part);
+        let reaction = this.enabled && region ? this.reactions[region]?.[kind] ?? null : null;
+        if (reaction && kind === 'hover') {
+            if (this.cooldowns.get(reaction) > 0) {
+                reaction = null;
+            } else {
+                this.cooldowns.set(reaction, HOVER_COOLDOWN);
+            }
+        }
+        if (reaction && !this.model.trigger(reaction)) reaction = null;
+
+        this.emit('touch', part, { region, kind, point, reaction });
+        return reaction;
+    }
+
+    /**
+     * Undoes last frame's look so the mixer starts from the animated pose
+     */
+    restore() {
+        this.saved.forEach(({ object, position, quaternion }) => {
+            object.position.copy(position);
+            object.quaternion.copy(quaternion);
+        });
+        this.saved = [];
+    }
+
+    /**
+     * Eases the look towards the target and layers it on top of the animated pose
+     */
+    update(delta) {
+        this.cooldowns.forEach((time, reaction) => this.cooldowns.set(reaction, time - delta));
+        this.hold = Math.max(this.hold - delta, 0);
+
+        const neck = this.model.getJoint('neck');
+        const skull = this.model.getJoint('skull');
+        if (!neck || !skull) return;
+
+        // Angles to the target as seen from the skull, in the neck's space
+        let yaw = 0;
+        let pitch = 0;
+        if (this.enabled && this.target) {
+            const local = neck.worldToLocal(this.target.clone()).sub(skull.position);
+            yaw = Math.atan2(local.x, local.z);
+            pitch = -Math.atan2(local.y, Math.hypot(local.x, local.z));
+            if (Math.abs(yaw) > LOOK_GIVE_UP) {
+                yaw = 0;
+                pitch = 0;
+            }
+        }
+
+        const ease = 1 - Math.exp(-this.lookSpeed * delta);
+        this.look.yaw += (yaw - this.look.yaw) * ease;
+        this.look.pitch += (pitch - this.look.pitch) * ease;
+        this.moving = Math.abs(yaw - this.look.yaw) + Math.abs(pitch - this.look.pitch) > LOOK_SETTLED;
+
+        const headYaw = clamp(this.look.yaw, -LOOK_LIMITS.yaw, LOOK_LIMITS.yaw);
+        const headPitch = clamp(this.look.pitch, -LOOK_LIMITS.up, LOOK_LIMITS.down);
+
+        this.rotate(neck, headYaw * NECK_SHARE, headPitch * NECK_SHARE);
+        this.rotate(skull, headYaw * (1 - NECK_SHARE), headPitch * (1 - NECK_SHARE));
+
+        // Eyes cover what the head could not
+        const eyeYaw = clamp(this.look.yaw - headYaw, -EYE_LIMIT, EYE_LIMIT);
+        const eyePitch = clamp(this.look.pitch - headPitch, -EYE_LIMIT, EYE_LIMIT);
+        const eyeRotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(eyePitch, eyeYaw, 0, 'YXZ'));
+        this.pupils.forEach(({ pupil, centre, offset, quaternion }) => {
+            this.save(pupil);
+            pupil.position.copy(centre).add(offset.clone().applyQuaternion(eyeRotation));
+            pupil.quaternion.copy(eyeRotation).multiply(quaternion);
+        });
+    }
+
+    rotate(joint, yaw, pitch) {
+        this.save(joint);
+        joint.quaternion.multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ')));
+    }
+
+    save(object) {
+        this.saved.push({ object, position: object.position.clone(), quaternion: object.quaternion.clone() });
+    }
+
+    dispose() {
+        this.restore();
+        this.handlers.clear();
+    }
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+/**
+ * Merged parts - draws a cat's static parts as one skinned mesh per material
+ * instead of one mesh each, to cut draw calls.
+ *
+ * A part is static when nothing moves it relative to its joint: no clip
+ * track, no spline deformer, no fur shells, no head or eye tracking, and no
+ * child parts. Each merged vertex is bound rigidly to its part's joint, so the
+ * skeleton still carries it through every pose. The geometry keeps one group
+ * per part (`mesh.userData.parts[i]` names `geometry.groups[i]`).
+ *
+ * The original parts stay in the hierarchy, hidden, so picking, morphs, coat
+ * patterns and detail levels work on them as before; the merge is rebuilt
+ * after they change and set aside while a morph eases in.
+ */
+
+/**
+ * MergedParts - owned by a CatModel (`cat.merged`)
+ */
+export class MergedParts {
+    constructor(model) {
+        this.model = model;
+        this.enabled = false;
+        this.meshes = [];
+        this.built = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled) this.build();
+        else this.clear();
+    }
+
+    /**
+     * Keeps the merge in step with the parts; call once per frame after the pose
+     */
+    update() {
+        if (!this.enabled) return;
+        if (this.model.morph.tween) {
+            this.clear();
+            return;
+        }
+        if (this.built?.spec !== this.model.spec || this.built?.detail !== this.model.detail) this.build();
+    }
+
+    // Names of parts something other than their joint moves
+    animatedParts() {
+        const { model } = this;
+        const names = new Set(model.fur.options.parts);
+        model.animator.getClips().forEach(clip => clip.tracks.forEach(track => names.add(track.name.split('.')[0])));
+        model.deformers.forEach(deformer => names.add(deformer.mesh.name));
+        model.interaction.pupils.forEach(({ pupil }) => names.add(pupil.name));
+        return names;
+    }
+
+    // Static parts grouped by material name; only groups of two or more are worth merging
+    staticParts() {
+        const { model } = this;
+        const animated = this.animatedParts();
+        const buckets = new Map();
+        model.spec.parts.forEach((part) => {
+            const object = model.parts[part.name];
+            if (!object?.isMesh || !part.joint || part.parent || animated.has(part.name)) return;
+            if (object.children.length > 0) return;
+            if (!buckets.has(part.material)) buckets.set(part.material, []);
+            buckets.get(part.material).push(object);
+        });
+        return [...buckets].filter(([, objects]) => objects.length > 1);
+    }
+
+    build() {
+        this.clear();
+        const { model } = this;
+        const group = model.getGroup();
+        group.updateMatrixWorld(true);
+
+        const bones = Object.values(model.joints);
+        const toModel = group.matrixWorld.clone().invert();
+        const matrix = new THREE.Matrix4();
+
+        this.staticParts().forEach(([material, objects]) => {
+            // Each part in the model's space (its baked coat positions come along), bound wholly to its joint
+            const geometries = objects.map((object) => {
+                const geometry = object.geometry.clone().applyMatrix4(matrix.multiplyMatrices(toModel, object.matrixWorld));
+                const count = geometry.attributes.position.count;
+                const bone = bones.indexOf(object.parent);
+                const skinIndex = new Uint16Array(count * 4);
+                const skinWeight = new Float32Array(count * 4);
+                for (let i = 0; i < count; i++) {
+                    skinIndex[i * 4] = bone;
+                    skinWeight[i * 4] = 1;
+                }
+                geometry.setAttribute('skinIndex', new THREE.BufferAttribute(skinIndex, 4));
+                geometry.setAttribute('skinWeight', new THREE.BufferAttribute(skinWeight, 4));
+                return geometry;
+            });
+
+            const mesh = new THREE.SkinnedMesh(mergeGeometries(geometries, true), model.materials[material]);
+            geometries.forEach(geometry => geometry.dispose());
+            mesh.name = `merged:${material}`;
+            mesh.userData.parts = objects.map(object => object.name);
+            mesh.userData.skipExport = true;
+            mesh.castShadow = objects.some(object => object.castShadow);
+            mesh.receiveShadow = objects.some(object => object.receiveShadow);
+
+            // The hidden parts answer raycasts, so picks still name the part
+            mesh.raycast = () => {};
+            // Bounds from the bind pose don't follow the skeleton
+            mesh.frustumCulled = false;
+
+            group.add(mesh);
+            mesh.updateMatrixWorld(true);
+            mesh.bind(new THREE.Skeleton(bones));
+            objects.forEach((object) => { object.visible = false; });
+            this.meshes.push({ mesh, objects });
+        });
+
+        this.built = { spec: model.spec, detail: model.detail };
+    }
+
+    /**
+     * Removes the merged meshes and shows the parts again
+     */
+    clear() {
+        this.meshes.forEach(({ mesh, objects }) => {
+            objects.forEach((object) => { object.visible = true; });
+            mesh.removeFromParent();
+            mesh.geometry.dispose();
+            mesh.skeleton.dispose();
+        });
+        this.meshes = [];
+        this.built = null;
+    }
+}
@@ -1,14 +1,105 @@
 import * as THREE from 'three';
+import { DEFAULT_CAT_SPEC, CatSpecError, validateCatSpec } from './cat-spec.js';
+import { CatAnimator, createIdleClip, createPoseClip } from './cat-animation.js';
+import { DeformableSplineTube } from './spline-tube.js';
+import { exportCatGLTF } from './cat-export.js';
+import { CoatPatterns, bakeCoatPosition } from './cat-patterns.js';
+import { FurShells } from './cat-fur.js';
+import { DEFAULT_SEED, SeededRandom } from './random.js';
+import { CatInteraction } from './cat-interaction.js';
+import { CatMorph } from './cat-morph.js';
+import { MergedParts } from './cat-merge.js';
+import { ACCESSORY_SOCKETS, CatAccessories } from './cat-accessories.js';
+import { generateCat, withWhiskers } from './cat-generator.js';
+import {
+    IdleBehaviourScheduler,
+    createBlinkClip,
+    createEarFlattenClip,
+    createEarTwitchClip,
+    createGroomClip,
+    createPawSwipeClip,
+    createPurrSquintClip,
+    createStretchClip,
+    createTailFlickClip,
+    createWalkClip,
+} from './cat-behaviours.js';
+
+// Geometry detail: share of each spec segment count kept at that level
+export const DETAIL_LEVELS = { high: 1, medium: 0.5, low: 0.25 };
+
+// Fewest segments a shape keeps at any level, so it stays round
+const MIN_SEGMENTS = { width: 8, height: 6, radial: 6, tubular: 8 };
+
+// Local matrix of a part from its model-space spec transform
+function composePartMatrix(part) {
+    return new THREE.Matrix4().compose(
+        new THREE.Vector3(...(part.position ?? [0, 0, 0])),
+        new THREE.Quaternion().setFromEuler(new THREE.Euler(...(part.rotation ?? [0, 0, 0]))),
+        new THREE.Vector3(...(part.scale ?? [1, 1, 1]))
+    );
+}
 
 /**
  * CatModel - Creates an ultrarealistic stylized 3D cat (Tuxedo style)
  * Uses Catmull-Rom splines for smooth, organic shapes
+ *
+ * Every part is described by a cat spec (see cat-spec.js); the Tuxedo cat is
+ * the default, so `new CatModel(spec)` builds any variant without code changes.
+ * `options.fur` configures the shell fur (see cat-fur.js). `options.detail`
+ * ('high', 'medium' or 'low') scales the segment counts; setDetail() switches
+ * it later, e.g. as the camera moves away. `options.merge` draws the static
+ * parts as one mesh per material (see cat-merge.js; setMerged() toggles it).
+ * `options.seed` drives every random step (fur texture, pattern noise, idle
+ * behaviours), so the same spec and seed always give the same cat.
+ * `setMorph` reshapes it (age, weight, legs, ears, tail, eyes; see cat-morph.js),
+ * `setAccessory` dresses it (see cat-accessories.js),
+ * and `CatModel.random(seed)` builds a generated cat (see cat-generator.js).
  */
 export class CatModel {
-    constructor() {
+    constructor(spec = DEFAULT_CAT_SPEC, options = {}) {
         this.group = new THREE.Group();
         this.materials = this.createMaterials();
+
+        const errors = validateCatSpec(spec, { materials: Object.keys(this.materials) });
+        if (errors.length > 0) {
+            throw new CatSpecError(errors);
+        }
+
+        this.spec = spec;
+        this.seed = options.seed ?? DEFAULT_SEED;
+        this.random = new SeededRandom(this.seed);
+        this.detail = options.detail ?? 'high';
+        this.geometries = { [this.detail]: {} };
+        this.parts = {};
+        this.joints = {};
+        this.deformers = [];
         this.buildCat();
+        this.coat = new CoatPatterns(this);
+        this.fur = new FurShells(this, options.fur);
+
+        this.animator = new CatAnimator(this.group);
+        this.createClips();
+        this.behaviours = new IdleBehaviourScheduler(this);
+        this.interaction = new CatInteraction(this);
+        this.morph = new CatMorph(this);
+        this.accessories = new CatAccessories(this);
+        this.merged = new MergedParts(this);
+        if (options.merge) this.setMerged(true);
+    }
+
+    /**
+     * A generated cat for `seed`: coat, eye colour, body shape and whiskers.
+     * What was picked is kept in `cat.traits` (a viewer state partial).
+     */
+    static random(seed = Math.floor(Math.random() * 100000), options = {}) {
+        const traits = generateCat(seed);
+        const cat = new CatModel(withWhiskers(DEFAULT_CAT_SPEC, traits.whiskers), { ...options, seed });
+        cat.setMorph(traits.morph);
+        cat.setFurColor(parseInt(traits.coat.color.replace('#', '0x')));
+        cat.setCoatPattern(traits.coat.pattern, { params: traits.coat.params });
+        cat.setEyeColor(traits.eyes);
+        cat.traits = traits;
+        return cat;
     }
 
     createMaterials() {
@@ -51,6 +142,12 @@ export class CatModel {
             metalness: 0.0,
         });
 
+        // Pupil material
+        const pupilMaterial = new THREE.MeshStandardMaterial({
+            color: 0x000000,
+            roughness: 0,
+        });
+
         // Whiskers material
         const whiskerMaterial = new THREE.LineBasicMaterial({
             color: 0xdddddd,
@@ -58,7 +155,7 @@ export class CatModel {
             transparent: true,
         });
 
-        return { blackFurMaterial, whiteFurMaterial, eyeMaterial, noseMaterial, innerEarMaterial, whiskerMaterial };
+        return { blackFurMaterial, whiteFurMaterial, eyeMaterial, pupilMaterial, noseMaterial, innerEarMaterial, whiskerMaterial };
     }
 
     /**
@@ -77,287 +174,189 @@ export class CatModel {
     }
 
     buildCat() {
-        this.createBody();
-        this.createHead();
-        this.createEars();
-        this.createLegs();
-        this.createTail();
-        this.createEyes();
-        this.createNose();
-        this.createWhiskers();
+        this.createSkeleton();
+        this.spec.parts.forEach(part => this.createPart(part));
+
+        // Shortcuts used by the animation methods
+        this.body = this.parts.body;
+        this.head = this.parts.head;
+        this.tail = this.parts.tail;
+
+        this.updateDeformers();
         this.addFurDetails();
     }
 
-    createBody() {
-        // Main Body (Black)
-        const bodyGeometry = new THREE.SphereGeometry(0.55, 32, 32); // Slightly chunkier
-        const body = new THREE.Mesh(bodyGeometry, this.materials.blackFurMaterial);
-
-        // Scale to create cat body proportions (Chunky sitting feel)
-        body.scale.set(0.85, 0.8, 1.3);
-        body.position.set(0, 0.6, 0.1); // Shifted slightly back
-        body.castShadow = true;
-        body.receiveShadow = true;
-
-        this.group.add(body);
-        this.body = body;
-
-        // White Chest Patch
-        const chestGeometry = new THREE.SphereGeometry(0.4, 32, 16, 0, Math.PI * 2, 0, Math.PI * 0.5);
-        const chest = new THREE.Mesh(chestGeometry, this.materials.whiteFurMaterial);
-        chest.scale.set(0.7, 0.8, 0.5);
-        chest.position.set(0, 0.5, 0.55); // Positioned on front of chest
-        chest.rotation.x = -Math.PI / 4;
-        chest.castShadow = true;
-        chest.receiveShadow = true;
-        this.group.add(chest);
-    }
-
-    createHead() {
-        // Head (Black) - Rounder
-        const headGeometry = new THREE.SphereGeometry(0.38, 32, 32);
-        const head = new THREE.Mesh(headGeometry, this.materials.blackFurMaterial);
-
-        head.scale.set(1, 0.9, 0.9);
-        head.position.set(0, 0.95, 1.2); // Raised slightly
-        head.castShadow = true;
-        head.receiveShadow = true;
-
-        this.group.add(head);
-        this.head = head;
-
-        // Muzzle/Snout (White)
-        const snoutGeometry = new THREE.SphereGeometry(0.16, 24, 24); // Slightly larger muzzle
-        const snout = new THREE.Mesh(snoutGeometry, this.materials.whiteFurMaterial); // White muzzle
-        snout.scale.set(1.1, 0.8, 1.0); // Wider muzzle
-        snout.position.set(0, 0.82, 1.48);
-        snout.castShadow = true;
-        snout.receiveShadow = true;
-        this.group.add(snout);
-
-        // White blaze on forehead (Optional geometric detail for tuxedo look)
-        const blazeGeometry = new THREE.ConeGeometry(0.08, 0.3, 16);
-        const blaze = new THREE.Mesh(blazeGeometry, this.materials.whiteFurMaterial);
-        blaze.position.set(0, 1.1, 1.45);
-        blaze.rotation.x = -0.5;
-        blaze.scale.set(1, 1, 0.5);
-        blaze.receiveShadow = true;
-        this.group.add(blaze);
-    }
-
-    createEars() {
-        // Left ear (Black outer)
-        const leftEarGeometry = new THREE.ConeGeometry(0.12, 0.3, 16); // Wider base
-        const leftEar = new THREE.Mesh(leftEarGeometry, this.materials.blackFurMaterial);
-        leftEar.position.set(-0.25, 1.25, 1.15);
-        leftEar.rotation.z = -0.4;
-        leftEar.rotation.x = 0.2;
-        leftEar.castShadow = true;
-        leftEar.receiveShadow = true;
-        this.group.add(leftEar);
-
-        // Inner ear detail (Pink)
-        const innerEarGeometry = new THREE.ConeGeometry(0.06, 0.2, 16);
-        const leftInnerEar = new THREE.Mesh(innerEarGeometry, this.materials.innerEarMaterial);
-        leftInnerEar.position.set(-0.25, 1.25, 1.22);
-        leftInnerEar.rotation.z = -0.4;
-        leftInnerEar.rotation.x = 0.2;
-        leftInnerEar.castShadow = true;
-        this.group.add(leftInnerEar);
-
-        // Right ear (mirror)
-        const rightEar = leftEar.clone();
-        rightEar.position.set(0.25, 1.25, 1.15);
-        rightEar.rotation.z = 0.4;
-        rightEar.castShadow = true;
-        rightEar.receiveShadow = true;
-        this.group.add(rightEar);
-
-        const rightInnerEar = leftInnerEar.clone();
-        rightInnerEar.position.set(0.25, 1.25, 1.22);
-        rightInnerEar.rotation.z = 0.4;
-        rightInnerEar.castShadow = true;
-        this.group.add(rightInnerEar);
-    }
-
-    createLegs() {
-        // Legs (Black tubes)
-        const legPointsFront = [
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(0, -0.25, 0.05),
-            new THREE.Vector3(0, -0.45, 0),
-        ];
-
-        const legGeometryFront = this.createSplineTube(legPointsFront, 0.09, 12, 32); // Thicker legs
-
-        // Front Left
-        const frontLeftLeg = new THREE.Mesh(legGeometryFront, this.materials.blackFurMaterial);
-        frontLeftLeg.position.set(-0.35, 0.55, 0.8);
-        frontLeftLeg.castShadow = true;
-        frontLeftLeg.receiveShadow = true;
-        this.group.add(frontLeftLeg);
-
-        // Front Right
-        const frontRightLeg = frontLeftLeg.clone();
-        frontRightLeg.position.set(0.35, 0.55, 0.8);
-        frontRightLeg.castShadow = true;
-        frontRightLeg.receiveShadow = true;
-        this.group.add(frontRightLeg);
-
-        // Back Legs (Slightly different shape for sitting)
-        const legPointsBack = [
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(0, -0.2, -0.1),
-            new THREE.Vector3(0, -0.4, 0),
-        ];
-        const legGeometryBack = this.createSplineTube(legPointsBack, 0.11, 12, 32); // Thicker haunches
-
-        // Back Left
-        const backLeftLeg = new THREE.Mesh(legGeometryBack, this.materials.blackFurMaterial);
-        backLeftLeg.position.set(-0.4, 0.45, -0.4);
-        backLeftLeg.rotation.x = -0.3;
-        backLeftLeg.castShadow = true;
-        backLeftLeg.receiveShadow = true;
-        this.group.add(backLeftLeg);
-
-        // Back Right
-        const backRightLeg = backLeftLeg.clone();
-        backRightLeg.position.set(0.4, 0.45, -0.4);
-        backRightLeg.castShadow = true;
-        backRightLeg.receiveShadow = true;
-        this.group.add(backRightLeg);
-
-        // Add Paws (White Socks)
-        this.createPaws();
-    }
-
-    createPaws() {
-        const pawGeometry = new THREE.SphereGeometry(0.12, 16, 16); // Larger paws
-        pawGeometry.scale(1, 0.7, 1.2);
-
-        const positions = [
-            { x: -0.35, y: 0.05, z: 0.8 },  // Front left
-            { x: 0.35, y: 0.05, z: 0.8 },   // Front right
-            { x: -0.4, y: 0.05, z: -0.3 }, // Back left
-            { x: 0.4, y: 0.05, z: -0.3 },  // Back right
-        ];
-
-        positions.forEach(pos => {
-            const paw = new THREE.Mesh(pawGeometry, this.materials.whiteFurMaterial); // White socks
-            paw.position.set(pos.x, pos.y, pos.z);
-            paw.castShadow = true;
-            paw.receiveShadow = true;
-            this.group.add(paw);
+    /**
+     * Re-evaluates joint-driven spline tubes (tail, legs) against the current skeleton
+     */
+    updateDeformers() {
+        if (this.deformers.length === 0) return;
+        this.group.updateMatrixWorld(true);
+        this.deformers.forEach(deformer => deformer.update());
+    }
+
+    /**
+     * Builds the bone hierarchy; joints rest unrotated at their model-space positions
+     */
+    createSkeleton() {
+        const bones = (this.spec.joints ?? []).map(joint => {
+            const bone = new THREE.Bone();
+            bone.name = joint.name;
+            bone.position.copy(this.jointRestPosition(joint));
+            (this.joints[joint.parent] ?? this.group).add(bone);
+
+            this.joints[joint.name] = bone;
+            return bone;
+        });
+
+        this.skeleton = new THREE.Skeleton(bones);
+        this.restPose = {};
+        bones.forEach(bone => {
+            this.restPose[bone.name] = { position: bone.position.clone(), quaternion: bone.quaternion.clone() };
         });
     }
 
-    createTail() {
-        // Fluffier Tail (Black)
-        const tailPoints = [
-            new THREE.Vector3(0, 0.5, -1.1),
-            new THREE.Vector3(0, 0.7, -1.6),
-            new THREE.Vector3(0.2, 1.1, -1.9),
-            new THREE.Vector3(0.4, 1.5, -2.0),
-        ];
-
-        const tailGeometry = this.createSplineTube(tailPoints, 0.12, 12, 64); // Thicker tail
-        const tail = new THREE.Mesh(tailGeometry, this.materials.blackFurMaterial);
-        tail.castShadow = true;
-        tail.receiveShadow = true;
-        this.group.add(tail);
-        this.tail = tail;
-
-        // White tip (Optional)
-        const tipGeometry = new THREE.SphereGeometry(0.11, 16, 16);
-        const tip = new THREE.Mesh(tipGeometry, this.materials.whiteFurMaterial);
-        tip.position.set(0.4, 1.5, -2.0);
-        tip.castShadow = true;
-        this.group.add(tip);
-    }
-
-    createEyes() {
-        // Eyes (Yellow/Gold)
-        const eyeGeometry = new THREE.SphereGeometry(0.09, 24, 24); // Larger eyes
-        const leftEye = new THREE.Mesh(eyeGeometry, this.materials.eyeMaterial);
-        leftEye.position.set(-0.16, 0.95, 1.48);
-        leftEye.rotation.y = 0.2;
-        leftEye.castShadow = true;
-        this.group.add(leftEye);
-
-        // Pupil (Large, cute)
-        const pupilGeometry = new THREE.SphereGeometry(0.05, 16, 16);
-        const pupilMaterial = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0 });
-        const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-        leftPupil.position.set(-0.16, 0.95, 1.56);
-        leftPupil.scale.set(0.8, 1.2, 0.5); // Vertical slit/oval
-        this.group.add(leftPupil);
-
-        // Right eye
-        const rightEye = leftEye.clone();
-        rightEye.position.set(0.16, 0.95, 1.48);
-        rightEye.rotation.y = -0.2;
-        rightEye.castShadow = true;
-        this.group.add(rightEye);
-
-        const rightPupil = leftPupil.clone();
-        rightPupil.position.set(0.16, 0.95, 1.56);
-        this.group.add(rightPupil);
-    }
-
-    createNose() {
-        const noseGeometry = new THREE.SphereGeometry(0.04, 16, 16); // Smaller, cute nose
-        const nose = new THREE.Mesh(noseGeometry, this.materials.noseMaterial);
-        nose.scale.set(1, 0.8, 0.5);
-        nose.position.set(0, 0.88, 1.63);
-        nose.castShadow = true;
-        this.group.add(nose);
-    }
-
-    createWhiskers() {
-        // Create whiskers using lines
-        const whiskerCount = 6;
-        const whiskerLength = 0.35;
+    /**
+     * Rest position of a joint relative to its parent joint
+     */
+    jointRestPosition(joint, spec = this.spec) {
+        const position = new THREE.Vector3(...joint.position);
+        const parentSpec = spec.joints.find(j => j.name === joint.parent);
+        return parentSpec ? position.sub(new THREE.Vector3(...parentSpec.position)) : position;
+    }
 
-        const geometry = new THREE.BufferGeometry();
-        const positions = [];
+    /**
+     * Local matrix of a part: its model-space spec transform relative to its parent part or joint
+     */
+    partMatrix(part, spec = this.spec) {
+        const matrix = composePartMatrix(part);
+        if (part.parent) {
+            const parentSpec = spec.parts.find(p => p.name === part.parent);
+            matrix.premultiply(composePartMatrix(parentSpec).invert());
+        } else if (part.joint) {
+            const jointSpec = spec.joints.find(j => j.name === part.joint);
+            matrix.premultiply(new THREE.Matrix4().makeTranslation(...jointSpec.position).invert());
+        }
+        return matrix;
+    }
 
-        // Left side whiskers
-        for (let i = 0; i < whiskerCount; i++) {
-            const yOffset = (i - whiskerCount / 2) * 0.02;
-            const angle = 0.2 + (i * 0.1);
-
-            // Start point (near nose)
-            positions.push(-0.1, 0.85 + yOffset, 1.55);
-            // End point (outwards)
-            positions.push(
-                -0.1 - Math.cos(angle) * whiskerLength,
-                0.85 + yOffset + Math.sin(angle) * 0.1,
-                1.55 + Math.sin(angle) * 0.1
-            );
+    /**
+     * Builds one part from its spec entry and adds it under its parent
+     */
+    createPart(part) {
+        const material = this.materials[part.material];
+        const object = part.shape.type === 'whiskers'
+            ? new THREE.LineSegments(this.createWhiskerGeometry(part.shape), material)
+            : new THREE.Mesh(this.createShapeGeometry(part.shape), material);
+        if (object.isMesh) this.geometries[this.detail][part.name] = object.geometry;
+
+        object.name = part.name;
+        object.castShadow = part.castShadow === true;
+        object.receiveShadow = part.receiveShadow === true;
+
+        // Spec transforms are in model space, so express them relative to the parent
+        this.partMatrix(part).decompose(object.position, object.quaternion, object.scale);
+        const parent = part.parent ? this.parts[part.parent] : part.joint ? this.joints[part.joint] : this.group;
+        parent.add(object);
+        this.parts[part.name] = object;
+
+        // Tubes whose control points ride on joints are rebuilt as the skeleton moves
+        if (part.shape.type === 'tube' && part.shape.joints) {
+            const controls = part.shape.joints.map(control => {
+                const { joint, offset } = typeof control === 'string' ? { joint: control } : control;
+                return { object: this.joints[joint], offset: offset && new THREE.Vector3(...offset) };
+            });
+            this.deformers.push(new DeformableSplineTube(object, controls, {
+                radius: part.shape.radius,
+                ...this.tubeSegments(part.shape),
+                taper: part.shape.taper ?? 1,
+            }));
         }
 
-        // Right side whiskers
-        for (let i = 0; i < whiskerCount; i++) {
-            const yOffset = (i - whiskerCount / 2) * 0.02;
-            const angle = 0.2 + (i * 0.1);
-
-            positions.push(0.1, 0.85 + yOffset, 1.55);
-            positions.push(
-                0.1 + Math.cos(angle) * whiskerLength,
-                0.85 + yOffset + Math.sin(angle) * 0.1,
-                1.55 + Math.sin(angle) * 0.1
-            );
+        return object;
+    }
+
+    // Rest (model-space) control points of a tube, from its spline points or its joints
+    tubePoints(shape, spec = this.spec) {
+        if (!shape.joints) {
+            return shape.points.map(p => new THREE.Vector3(...p));
         }
+        return shape.joints.map(control => {
+            const { joint, offset } = typeof control === 'string' ? { joint: control } : control;
+            const jointSpec = spec.joints.find(j => j.name === joint);
+            return new THREE.Vector3(...jointSpec.position).add(new THREE.Vector3(...(offset ?? [0, 0, 0])));
+        });
+    }
+
+    // A spec segment count at the current detail level
+    segments(count, min) {
+        return Math.max(Math.round(count * DETAIL_LEVELS[this.detail]), Math.min(count, min));
+    }
 
+    tubeSegments(shape) {
+        return {
+            radialSegments: this.segments(shape.radialSegments ?? 16, MIN_SEGMENTS.radial),
+            tubularSegments: this.segments(shape.tubularSegments ?? 64, MIN_SEGMENTS.tubular),
+        };
+    }
+
+    createShapeGeometry(shape, spec = this.spec) {
+        switch (shape.type) {
+            case 'sphere':
+                return new THREE.SphereGeometry(
+                    shape.radius,
+                    this.segments(shape.widthSegments ?? 32, MIN_SEGMENTS.width),
+                    this.segments(shape.heightSegments ?? 16, MIN_SEGMENTS.height),
+                    shape.phiStart ?? 0,
+                    shape.phiLength ?? Math.PI * 2,
+                    shape.thetaStart ?? 0,
+                    shape.thetaLength ?? Math.PI
+                );
+            case 'cone':
+                return new THREE.ConeGeometry(shape.radius, shape.height, this.segments(shape.radialSegments ?? 16, MIN_SEGMENTS.radial));
+            case 'tube': {
+                const { radialSegments, tubularSegments } = this.tubeSegments(shape);
+                return this.createSplineTube(this.tubePoints(shape, spec), shape.radius, radialSegments, tubularSegments);
+            }
+            default:
+                throw new Error(`Unknown shape type: ${shape.type}`);
+        }
+    }
+
+    createWhiskerGeometry(shape) {
+        // Fan of lines on each side of the muzzle, mirrored across x
+        const { count, length, origin } = shape;
+        const spacing = shape.spacing ?? 0.02;
+        const angleStart = shape.angleStart ?? 0.2;
+        const angleStep = shape.angleStep ?? 0.1;
+        const lift = shape.lift ?? 0.1;
+
+        const positions = [];
+        [-1, 1].forEach(side => {
+            const x = origin[0] * side;
+            for (let i = 0; i < count; i++) {
+                const yOffset = (i - count / 2) * spacing;
+                const angle = angleStart + (i * angleStep);
+
+                // Start point (near nose)
+                positions.push(x, origin[1] + yOffset, origin[2]);
+                // End point (outwards)
+                positions.push(
+                    x + side * Math.cos(angle) * length,
+                    origin[1] + yOffset + Math.sin(angle) * lift,
+                    origin[2] + Math.sin(angle) * lift
+                );
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        const whiskers = new THREE.LineSegments(geometry, this.materials.whiskerMaterial);
-        this.group.add(whiskers);
+        return geometry;
     }
 
     addFurDetails() {
         // Add subtle fur texture using normal mapping - apply to both black and white fur
-        const textureLoader = new THREE.TextureLoader();
-
+        // (shell fur grows on top of this; at low quality it is the only fur detail)
         // Create procedural normal map for fur effect
         const canvas = document.createElement('canvas');
         canvas.width = 512;
@@ -369,17 +368,18 @@ export class CatModel {
         ctx.fillRect(0, 0, 512, 512);
 
         // Generate fur-like pattern
+        const random = this.random.fork('fur');
         for (let i = 0; i < 10000; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const length = Math.random() * 5 + 2;
-            const angle = Math.random() * Math.PI * 2;
+            const x = random.next() * 512;
+            const y = random.next() * 512;
+            const length = random.next() * 5 + 2;
+            const angle = random.next() * Math.PI * 2;
 
             // Random perturbation for normal map direction
-            const r = Math.floor(Math.random() * 255);
-            const g = Math.floor(Math.random() * 255);
+            const r = Math.floor(random.next() * 255);
+            const g = Math.floor(random.next() * 255);
 
-            ctx.strokeStyle = `rgba(${r}, ${g}, 255, ${Math.random() * 0.5 + 0.2})`;
+            ctx.strokeStyle = `rgba(${r}, ${g}, 255, ${random.next() * 0.5 + 0.2})`;
             ctx.lineWidth = 1;
             ctx.beginPath();
             ctx.moveTo(x, y);
@@ -402,44 +402,307 @@ export class CatModel {
         return this.group;
     }
 
-    // Animation methods
-    animateIdle(time) {
-        // Subtle breathing animation
-        const breathe = Math.sin(time * 2) * 0.01; // Reduced amplitude for bulkier body
-        if (this.body) {
-            this.body.scale.y = 0.8 + breathe; // Base scale is 0.8
+    /**
+     * Switches every part to the geometry of a detail level (see DETAIL_LEVELS).
+     * Each level is built the first time it is used and kept until dispose().
+     */
+    setDetail(level) {
+        if (!DETAIL_LEVELS[level]) {
+            throw new Error(`Unknown detail level: ${level}`);
         }
+        if (level === this.detail) return;
+
+        this.detail = level;
+        const geometries = (this.geometries[level] ??= {});
+        const shapes = {};
+        this.spec.parts.forEach((part) => {
+            const object = this.parts[part.name];
+            shapes[part.name] = part.shape;
+            if (!object?.isMesh) return;
+            geometries[part.name] ??= this.createDetailGeometry(part.name);
+            object.geometry = geometries[part.name];
+        });
+
+        // Deformed tubes are rewritten in place, so they follow at the new segment counts
+        this.deformers.forEach(deformer => Object.assign(deformer, this.tubeSegments(shapes[deformer.mesh.name])));
+        this.updateDeformers();
+        this.fur.syncGeometry();
+    }
 
-        // Tail sway
-        if (this.tail) {
-            this.tail.rotation.x = Math.sin(time * 1.5) * 0.08;
-            this.tail.rotation.y = Math.cos(time * 1) * 0.05;
+    // A part's geometry at the current detail level, with the coat positions of the first build
+    createDetailGeometry(name) {
+        // Built at rest from the unmorphed spec, which the coat was first baked from;
+        // deformed tubes are built in model space, everything else in its part's space
+        const { base } = this.morph;
+        const part = base.parts.find(candidate => candidate.name === name);
+        const geometry = this.createShapeGeometry(part.shape, base);
+        if (this.parts[name].geometry.attributes.coatPosition) {
+            bakeCoatPosition(geometry, part.shape.joints ? new THREE.Matrix4() : composePartMatrix(part));
         }
+        return geometry;
     }
 
-    animateSit() {
-        // Sitting position adjustments
-        if (this.body) {
-            this.body.position.y = 0.5;
-            this.body.rotation.x = 0.25;
+    getPart(name) {
+        return this.parts[name] || null;
+    }
+
+    getJoint(name) {
+        return this.joints[name] || null;
+    }
+
+    // Poses
+    resetPose() {
+        Object.entries(this.restPose).forEach(([name, rest]) => {
+            this.joints[name].position.copy(rest.position);
+            this.joints[name].quaternion.copy(rest.quaternion);
+        });
+    }
+
+    /**
+     * Snaps the skeleton into a named spec pose (or a pose object); children follow their joints.
+     * Playing clips take precedence, so use play() for animated transitions.
+     */
+    applyPose(pose) {
+        const offsets = typeof pose === 'string' ? this.spec.poses?.[pose] : pose;
+        if (!offsets) {
+            throw new Error(`Unknown pose: ${pose}`);
         }
+
+        this.resetPose();
+        Object.entries(offsets).forEach(([name, offset]) => {
+            const joint = this.joints[name];
+            if (!joint) return;
+            if (offset.position) {
+                joint.position.add(new THREE.Vector3(...offset.position));
+            }
+            if (offset.rotation) {
+                joint.quaternion.multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(...offset.rotation)));
+            }
+        });
+    }
+
+    // Animation clips
+    createClips() {
+        Object.entries(this.spec.poses ?? {}).forEach(([name, pose]) => {
+            this.animator.addClip(createPoseClip(this, name, pose));
+        });
+        this.animator.addClip(createIdleClip(this));
+
+        // Behaviours
+        this.animator.addClip(createWalkClip(this));
+        this.animator.addClip(createStretchClip(this), { loop: false });
+        this.animator.addClip(createGroomClip(this));
+
+        // Micro-behaviours layered on top of the base clip
+        this.animator.addClip(createBlinkClip(this), { additive: true });
+        this.animator.addClip(createEarTwitchClip(this, 'left'), { additive: true });
+        this.animator.addClip(createEarTwitchClip(this, 'right'), { additive: true });
+        this.animator.addClip(createTailFlickClip(this), { additive: true });
+
+        // Touch reactions (see cat-interaction.js)
+        this.animator.addClip(createPurrSquintClip(this), { additive: true });
+        this.animator.addClip(createEarFlattenClip(this), { additive: true });
+        this.animator.addClip(createPawSwipeClip(this), { additive: true });
+    }
+
+    /**
+     * Rebuilds every clip from the rest pose, carrying on with the current one.
+     * `reshape` runs in between, once stopping the old clips has put the cat
+     * back to its old rest pose, to set the new one (see cat-morph.js).
+     */
+    rebuildClips(reshape = () => {}) {
+        const current = this.animator.current;
+        const time = current ? this.animator.getAction(current).time : 0;
+
+        this.animator.clear();
+        reshape();
+        this.createClips();
+        if (current) {
+            this.play(current, { fadeDuration: 0 }).time = time;
+            this.animator.update(0);
+        }
+    }
+
+    /**
+     * Crossfades to a named clip; see CatAnimator.play for options
+     */
+    play(name, options) {
+        return this.animator.play(name, options);
+    }
+
+    /**
+     * Plays a one-shot micro-behaviour (blink, earTwitchLeft, earTwitchRight, tailFlick)
+     * or touch reaction (purrSquint, earFlatten, pawSwipe)
+     */
+    trigger(name, options) {
+        return this.animator.trigger(name, options);
+    }
+
+    /**
+     * Listens for part-level events: `touch` calls `handler(part, { region, kind, point, reaction })`.
+     * Returns a function that removes the listener.
+     */
+    on(type, handler) {
+        return this.interaction.on(type, handler);
+    }
+
+    off(type, handler) {
+        this.interaction.off(type, handler);
+    }
+
+    /**
+     * Reshapes the cat (age, weight, legLength, earSize, earShape, tailLength,
+     * tailFluff, eyeSize; see MORPH_PARAMS). With `duration` it animates there.
+     */
+    setMorph(params, options) {
+        this.morph.set(params, options);
+    }
+
+    getMorph() {
+        return { ...(this.morph.tween?.to ?? this.morph.params) };
+    }
+
+    update(delta) {
+        this.behaviours.update(delta);
+
+        // A running morph, then head and eye tracking, go on top of whatever the clips posed
+        this.interaction.restore();
+        this.morph.restore();
+        this.animator.update(delta);
+        this.morph.update(delta);
+        this.interaction.update(delta);
+        this.updateDeformers();
+        this.accessories.update();
+        this.merged.update();
+    }
+
+    animateIdle() {
+        this.play('idle');
+    }
+
+    animateSit() {
+        this.play('sit');
     }
 
     animateStand() {
-        // Standing position
-        if (this.body) {
-            this.body.position.y = 0.6;
-            this.body.rotation.x = 0;
+        this.play('stand');
+    }
+
+    /**
+     * Serialises the cat to glTF 2.0 (or GLB with `binary: true`); see cat-export.js
+     */
+    async exportGLTF(options) {
+        // Exports carry the separate parts, which other tools can pick and animate
+        const merged = this.merged.enabled;
+        this.setMerged(false);
+        try {
+            return await exportCatGLTF(this, options);
+        } finally {
+            this.setMerged(merged);
         }
     }
 
+    /**
+     * Draws the static parts as one skinned mesh per material, or each on its own again
+     */
+    setMerged(enabled) {
+        this.merged.setEnabled(enabled);
+    }
+
+    /**
+     * Frees GPU resources and detaches the cat from the scene
+     */
+    dispose() {
+        this.merged.clear();
+        this.accessories.dispose();
+        this.interaction.dispose();
+        this.animator.dispose();
+        this.fur.dispose();
+        this.group.removeFromParent();
+        this.group.traverse(object => object.geometry?.dispose());
+        Object.values(this.geometries).forEach(level => Object.values(level).forEach(geometry => geometry.dispose()));
+        Object.values(this.materials).forEach((material) => {
+            material.normalMap?.dispose();
+            material.dispose();
+        });
+    }
+
     setFurColor(color) {
         // Only update the black fur part to allow user customization of the "coat"
+        // (this is also the base colour of whichever coat pattern is active)
         this.materials.blackFurMaterial.color.setHex(color);
     }
 
+    /**
+     * Iris colour (anything THREE.Color accepts); the glow is a slightly shifted shade of it
+     */
+    setEyeColor(color) {
+        const eye = this.materials.eyeMaterial;
+        eye.color.set(color);
+        const { h, s, l } = eye.color.getHSL({}, THREE.SRGBColorSpace);
+        eye.emissive.setHSL(h - 0.03, s, l, THREE.SRGBColorSpace);
+    }
+
+    /**
+     * Switches the coat pattern (tuxedo, tabby, calico, tortoiseshell, siamese).
+     * `params` override the pattern's defaults; `seed` moves its noise. See cat-patterns.js.
+     */
+    setCoatPattern(name, options) {
+        return this.coat.set(name, options);
+    }
+
+    getCoatPattern() {
+        return this.coat.state;
+    }
+
+    /**
+     * Puts an accessory on a socket (e.g. 'bowTie' on 'neck'); `params` are its
+     * colours, and 'gltf' takes a `url`. Resolves once it is worn. See cat-accessories.js.
+     */
+    setAccessory(socket, item, options) {
+        return this.accessories.set(socket, item, options);
+    }
+
+    removeAccessory(socket) {
+        this.accessories.remove(socket);
+    }
+
+    /**
+     * Dresses the cat in `{ [socket]: { item, params, url } }`; sockets left out
+     * (or null) are emptied. Resolves once everything is worn.
+     */
+    setAccessories(accessories = {}) {
+        return Promise.all(Object.keys(ACCESSORY_SOCKETS).map((socket) => {
+            const accessory = accessories[socket];
+            if (!accessory?.item) {
+                this.accessories.remove(socket);
+                return undefined;
+            }
+            return this.accessories.set(socket, accessory.item, accessory);
+        }));
+    }
+
+    getAccessories() {
+        return this.accessories.getState();
+    }
+
+    /**
+     * Shell fur quality: 'low' (normal map only), 'medium' or 'high'
+     */
+    setFurQuality(quality) {
+        this.fur.setOptions({ quality });
+    }
+
+    /**
+     * Tunes the shell fur (length, density, thickness, gravity, comb, sheen); see cat-fur.js
+     */
+    setFurOptions(options) {
+        this.fur.setOptions(options);
+    }
+
     toggleWireframe(enabled) {
         this.materials.blackFurMaterial.wireframe = enabled;
         this.materials.whiteFurMaterial.wireframe = enabled;
+        this.fur.setVisible(!enabled);
     }
 }
@@ -0,0 +1,310 @@
+import * as THREE from 'three';
+
+/**
+ * Body-shape morphs for CatModel - age, weight, leg length, ears, tail and
+ * eyes as a handful of sliders over the cat spec.
+ *
+ * morphCatSpec() is pure: it moves joints and rescales parts of a spec, and
+ * every part carried by a moved joint (eyes, nose, whiskers, paws, chest
+ * patch) moves with it, so nothing comes loose. CatMorph applies the result
+ * to a built cat in place - no geometry is rebuilt - and can animate there.
+ */
+
+export const MORPH_PARAMS = {
+    age: { type: 'range', label: 'Kitten ↔ Adult', min: 0, max: 1, step: 0.05, default: 1 },
+    weight: { type: 'range', label: 'Slim ↔ Chubby', min: -1, max: 1, step: 0.05, default: 0 },
+    legLength: { type: 'range', label: 'Leg Length', min: 0.7, max: 1.3, step: 0.05, default: 1 },
+    earSize: { type: 'range', label: 'Ear Size', min: 0.6, max: 1.5, step: 0.05, default: 1 },
+    earShape: { type: 'range', label: 'Round ↔ Pointed Ears', min: -1, max: 1, step: 0.1, default: 0 },
+    tailLength: { type: 'range', label: 'Tail Length', min: 0.5, max: 1.4, step: 0.05, default: 1 },
+    tailFluff: { type: 'range', label: 'Tail Fluffiness', min: 0.7, max: 2, step: 0.05, default: 1 },
+    eyeSize: { type: 'range', label: 'Eye Size', min: 0.7, max: 1.5, step: 0.05, default: 1 },
+};
+
+export const DEFAULT_MORPH = Object.fromEntries(Object.entries(MORPH_PARAMS).map(([key, param]) => [key, param.default]));
+
+// A kitten (age 0) as multipliers of the adult: smaller overall, with a big head and eyes
+export const KITTEN = { size: 0.55, head: 1.3, eyes: 1.3, ears: 1.15, legs: 0.85, body: 0.85, tail: 0.7 };
+
+// Joints that move as one block when the body lengthens, and the feet that stay on the ground
+const FRONT = ['neck', 'skull', 'frontLeftShoulder', 'frontLeftWrist', 'frontRightShoulder', 'frontRightWrist'];
+const BACK = ['backLeftHip', 'backLeftAnkle', 'backRightHip', 'backRightAnkle', 'tail1', 'tail2', 'tail3', 'tail4'];
+const FEET = ['frontLeftWrist', 'frontRightWrist', 'backLeftAnkle', 'backRightAnkle'];
+const TAIL = ['tail1', 'tail2', 'tail3', 'tail4'];
+
+const mix = (kitten, age) => kitten + (1 - kitten) * age;
+const vector = (array, fallback = 0) => new THREE.Vector3(...(array ?? [fallback, fallback, fallback]));
+const rotation = (euler) => new THREE.Quaternion().setFromEuler(new THREE.Euler(...(euler ?? [0, 0, 0])));
+const controlOf = (control) => (typeof control === 'string' ? { joint: control } : control);
+
+/**
+ * Returns a copy of `spec` reshaped by the morph params (missing ones take
+ * their defaults). Joints or parts a variant does not have are skipped.
+ */
+export function morphCatSpec(spec, params = {}) {
+    const p = { ...DEFAULT_MORPH, ...params };
+    const morphed = structuredClone(spec);
+    const joint = name => (morphed.joints ?? []).find(j => j.name === name);
+    const part = name => morphed.parts.find(candidate => candidate.name === name);
+
+    // Joint a part moves with, following part parents up to one
+    const carrier = (candidate) => {
+        if (candidate.joint || !candidate.parent) return candidate.joint;
+        const parent = part(candidate.parent);
+        return parent ? carrier(parent) : undefined;
+    };
+    const carried = names => morphed.parts.filter(candidate => names.includes(carrier(candidate)));
+
+    // Moves joints together with every part they carry
+    const moveJoints = (names, delta) => {
+        names.map(joint).filter(Boolean).forEach((j) => {
+            j.position = vector(j.position).add(delta).toArray();
+        });
+        carried(names).forEach((candidate) => {
+            candidate.position = vector(candidate.position).add(delta).toArray();
+        });
+    };
+
+    // Scales parts about a model-space point, along axes turned by `euler`
+    const scaleParts = (parts, centre, factor, euler) => {
+        const turn = rotation(euler);
+        const unturn = turn.clone().invert();
+        parts.forEach((candidate) => {
+            const local = vector(candidate.position).sub(centre).applyQuaternion(unturn).multiply(factor);
+            candidate.position = local.applyQuaternion(turn).add(centre).toArray();
+            candidate.scale = vector(candidate.scale, 1).multiply(factor).toArray();
+        });
+    };
+    const uniform = amount => new THREE.Vector3(amount, amount, amount);
+
+    // Tail: the chain stretches out from its root and the tip rides along; fluff thickens it
+    const tailRoot = joint('tail1');
+    if (tailRoot) {
+        const length = p.tailLength * mix(KITTEN.tail, p.age);
+        const root = vector(tailRoot.position);
+        TAIL.slice(1).map(joint).filter(Boolean).forEach((j) => {
+            const stretched = vector(j.position).sub(root).multiplyScalar(length).add(root);
+            moveJoints([j.name], stretched.sub(vector(j.position)));
+        });
+    }
+    morphed.parts.forEach((candidate) => {
+        const controls = candidate.shape.joints?.map(control => controlOf(control).joint) ?? [];
+        if (controls.some(name => TAIL.includes(name))) {
+            candidate.shape.radius *= p.tailFluff;
+        } else if (candidate.shape.type !== 'tube' && TAIL.includes(carrier(candidate))) {
+            scaleParts([candidate], vector(candidate.position), uniform(p.tailFluff));
+        }
+    });
+
+    // Legs: everything above the feet lifts, and the leg tubes stretch to reach
+    const legs = p.legLength * mix(KITTEN.legs, p.age);
+    const shoulder = joint('frontLeftShoulder');
+    const wrist = joint('frontLeftWrist');
+    const lift = shoulder && wrist ? (legs - 1) * (shoulder.position[1] - wrist.position[1]) : 0;
+    morphed.parts.filter(candidate => FEET.includes(controlOf(candidate.shape.joints?.at(-1) ?? '').joint)).forEach((leg) => {
+        const top = joint(controlOf(leg.shape.joints[0]).joint);
+        const foot = joint(controlOf(leg.shape.joints.at(-1)).joint);
+        const stretch = (top.position[1] + lift - foot.position[1]) / (top.position[1] - foot.position[1]);
+        leg.shape.joints = leg.shape.joints.map((control) => {
+            const { joint: name, offset } = controlOf(control);
+            return offset ? { joint: name, offset: [offset[0], offset[1] * stretch, offset[2]] } : control;
+        });
+        leg.shape.radius *= 1 + 0.15 * p.weight;
+    });
+    moveJoints((morphed.joints ?? []).filter(j => j.parent && !FEET.includes(j.name)).map(j => j.name), new THREE.Vector3(0, lift, 0));
+
+    // Body: longer or shorter between the shoulders and hips, wider with weight
+    const girth = 1 + 0.2 * p.weight;
+    const length = mix(KITTEN.body, p.age);
+    const centre = vector(part('body')?.position ?? joint('spine')?.position);
+    [FRONT, BACK].forEach((region) => {
+        const anchor = joint(region[0]);
+        if (anchor) moveJoints(region, new THREE.Vector3(0, 0, (anchor.position[2] - centre.z) * (length - 1)));
+    });
+    [...FRONT, ...BACK].filter(name => FEET.includes(name) || name.endsWith('Shoulder') || name.endsWith('Hip')).forEach((name) => {
+        const j = joint(name);
+        if (j) moveJoints([name], new THREE.Vector3(j.position[0] * (girth - 1) * 0.6, 0, 0));
+    });
+    scaleParts(carried(['hips', 'spine']), centre, new THREE.Vector3(girth, girth, length));
+
+    // Head: face parts scale about the skull, so eyes, nose and whiskers keep their places
+    const skull = joint('skull');
+    if (skull) scaleParts(carried(['skull']), vector(skull.position), uniform(mix(KITTEN.head, p.age)));
+
+    // Ears grow from their base; pointed ears are narrower and taller, round ones the opposite
+    const ears = p.earSize * mix(KITTEN.ears, p.age);
+    const earFactor = new THREE.Vector3(ears * (1 - 0.25 * p.earShape), ears * (1 + 0.3 * p.earShape), ears * (1 - 0.25 * p.earShape));
+    ['left', 'right'].forEach((side) => {
+        const outer = part(`${side}Ear`);
+        if (!outer?.shape.height) return;
+        const height = outer.shape.height * (outer.scale?.[1] ?? 1);
+        const base = vector(outer.position).sub(new THREE.Vector3(0, height / 2, 0).applyQuaternion(rotation(outer.rotation)));
+        scaleParts([outer, part(`${side}InnerEar`)].filter(Boolean), base, earFactor, outer.rotation);
+    });
+
+    // Eyes scale about their centres, taking the pupils with them
+    const eyes = p.eyeSize * mix(KITTEN.eyes, p.age);
+    ['left', 'right'].forEach((side) => {
+        const eye = part(`${side}Eye`);
+        if (eye) scaleParts([eye, part(`${side}Pupil`)].filter(Boolean), vector(eye.position), uniform(eyes));
+    });
+
+    // Overall size about the origin, which is on the ground
+    const size = mix(KITTEN.size, p.age);
+    (morphed.joints ?? []).forEach((j) => {
+        j.position = vector(j.position).multiplyScalar(size).toArray();
+    });
+    scaleParts(morphed.parts, new THREE.Vector3(), uniform(size));
+    morphed.parts.filter(candidate => candidate.shape.type === 'tube').forEach(({ shape }) => {
+        shape.radius *= size;
+        shape.points = shape.points?.map(point => point.map(value => value * size));
+        shape.joints = shape.joints?.map((control) => {
+            const { joint: name, offset } = controlOf(control);
+            return offset ? { joint: name, offset: offset.map(value => value * size) } : control;
+        });
+    });
+    Object.values(morphed.poses ?? {}).forEach((pose) => {
+        Object.values(pose).forEach((offset) => {
+            if (offset.position) offset.position = offset.position.map(value => value * size);
+        });
+    });
+
+    return morphed;
+}
+
+/**
+ * CatMorph - owned by a CatModel; reshapes it in place and animates between shapes.
+ *
+ * Clips bake the rest transforms they were built from, so while a morph is
+ * animating its offsets go on top of the animated pose (undone again before
+ * the mixer runs, like the head tracking); once it settles the clips are
+ * rebuilt for the new shape.
+ */
+export class CatMorph {
+    constructor(model) {
+        this.model = model;
+        this.base = model.spec;
+        this.spec = model.spec;
+        this.params = { ...DEFAULT_MORPH };
+        this.tween = null;
+        this.saved = [];
+
+        // Rest transforms the clips were built from, and the ones being morphed towards
+        this.rest = this.restTransforms(this.spec);
+        this.targets = this.rest;
+    }
+
+    /**
+     * Reshapes the cat; with `duration` (seconds) it eases there over the next updates
+     */
+    set(params, { duration = 0 } = {}) {
+        const current = this.tween?.to ?? this.params;
+        const to = { ...current, ...params };
+        if (Object.keys(to).every(key => to[key] === current[key])) return;
+
+        if (duration > 0) {
+            this.tween = { from: { ...this.params }, to, elapsed: 0, duration };
+            return;
+        }
+        this.tween = null;
+        this.apply(to);
+        this.settle();
+    }
+
+    // Local rest position, rotation and scale of every joint and part for a spec
+    restTransforms(spec) {
+        const transforms = new Map();
+        (spec.joints ?? []).forEach((joint) => {
+            const bone = this.model.getJoint(joint.name);
+            if (bone) {
+                transforms.set(bone, {
+                    position: this.model.jointRestPosition(joint, spec),
+                    quaternion: this.model.restPose[joint.name].quaternion.clone(),
+                    scale: new THREE.Vector3(1, 1, 1),
+                });
+            }
+        });
+        spec.parts.forEach((part) => {
+            const object = this.model.getPart(part.name);
+            if (!object) return;
+            const transform = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() };
+            this.model.partMatrix(part, spec).decompose(transform.position, transform.quaternion, transform.scale);
+            transforms.set(object, transform);
+        });
+        return transforms;
+    }
+
+    apply(params) {
+        this.params = params;
+        this.spec = morphCatSpec(this.base, params);
+        this.targets = this.restTransforms(this.spec);
+
+        // Spline tubes are rebuilt every frame anyway, so they take the new shape directly
+        this.model.deformers.forEach((deformer) => {
+            const shape = this.spec.parts.find(part => part.name === deformer.mesh.name)?.shape;
+            if (!shape) return;
+            deformer.radius = shape.radius;
+            deformer.taper = shape.taper ?? 1;
+            shape.joints.forEach((control, i) => deformer.controls[i].offset.fromArray(controlOf(control).offset ?? [0, 0, 0]));
+        });
+    }
+
+    /**
+     * Makes the morphed shape the rest shape: the cat, its rest pose and its clips
+     */
+    settle() {
+        this.model.interaction?.restore();
+        this.restore();
+
+        this.model.spec = this.spec;
+        this.rest = this.targets;
+        this.model.rebuildClips(() => {
+            this.targets.forEach(({ position, quaternion, scale }, object) => {
+                object.position.copy(position);
+                object.quaternion.copy(quaternion);
+                object.scale.copy(scale);
+            });
+            Object.entries(this.model.restPose).forEach(([name, rest]) => rest.position.copy(this.model.getJoint(name).position));
+        });
+        this.model.interaction?.bind();
+    }
+
+    /**
+     * Undoes last frame's offsets so the mixer starts from the animated pose
+     */
+    restore() {
+        this.saved.forEach(({ object, position, scale }) => {
+            object.position.copy(position);
+            object.scale.copy(scale);
+        });
+        this.saved = [];
+    }
+
+    /**
+     * Advances a running morph and layers its offsets on top of the animated pose
+     */
+    update(delta) {
+        if (this.tween) {
+            const { from, to, duration } = this.tween;
+            this.tween.elapsed += delta;
+            const x = Math.min(this.tween.elapsed / duration, 1);
+            const t = x * x * (3 - 2 * x);
+            this.apply(Object.fromEntries(Object.keys(to).map(key => [key, THREE.MathUtils.lerp(from[key], to[key], t)])));
+
+            if (x === 1) {
+                this.tween = null;
+                this.settle();
+                return;
+            }
+        }
+        if (this.targets === this.rest) return;
+
+        this.targets.forEach(({ position, scale }, object) => {
+            const rest = this.rest.get(object);
+            this.saved.push({ object, position: object.position.clone(), scale: object.scale.clone() });
+            object.position.add(position).sub(rest.position);
+            object.scale.multiply(scale).divide(rest.scale);
+        });
+        this.model.interaction?.bind();
+    }
+}
@@ -0,0 +1,291 @@
+import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+
+/**
+ * Coat patterns - procedural shader patterns for the fur materials.
+ *
+ * Patterns are evaluated per pixel from each vertex's rest position in model
+ * space (baked into a `coatPosition` attribute), so stripes and patches run
+ * continuously across parts and stay put on the fur while the cat moves.
+ * The coat colour picker (`setFurColor`) always drives the pattern's base colour.
+ */
+
+// GLSL ids for the `coatPattern` uniform
+const PATTERN_IDS = { tuxedo: 0, tabby: 1, calico: 2, tortoiseshell: 3, siamese: 4 };
+
+/**
+ * Each pattern lists its tunable params (for the panel) and maps them to uniforms.
+ * `coversWhite` patterns also paint the white parts (chest, muzzle, paws, tail tip).
+ */
+export const COAT_PATTERNS = {
+    tuxedo: {
+        label: 'Tuxedo',
+        baseColor: '#1a1a1a',
+        coversWhite: false,
+        params: {},
+        uniforms: () => ({}),
+    },
+    tabby: {
+        label: 'Tabby (Mackerel)',
+        baseColor: '#b07a45',
+        coversWhite: true,
+        params: {
+            stripeColor: { type: 'color', label: 'Stripe Colour', default: '#3a2716' },
+            stripeScale: { type: 'range', label: 'Stripe Count', min: 2, max: 12, step: 0.5, default: 6 },
+            stripeWidth: { type: 'range', label: 'Stripe Width', min: 0.1, max: 0.9, step: 0.05, default: 0.45 },
+            warp: { type: 'range', label: 'Waviness', min: 0, max: 2, step: 0.1, default: 0.8 },
+        },
+        uniforms: (p) => ({
+            coatSecondary: p.stripeColor,
+            coatScale: p.stripeScale,
+            coatAmount: 1 - p.stripeWidth,
+            coatWarp: p.warp,
+        }),
+    },
+    calico: {
+        label: 'Calico',
+        baseColor: '#1a1a1a',
+        coversWhite: true,
+        params: {
+            orangeColor: { type: 'color', label: 'Orange Patches', default: '#d98c3a' },
+            whiteColor: { type: 'color', label: 'White Patches', default: '#f5f0e8' },
+            patchScale: { type: 'range', label: 'Patch Size', min: 0.5, max: 4, step: 0.1, default: 1.6 },
+            whiteAmount: { type: 'range', label: 'White Amount', min: 0, max: 1, step: 0.05, default: 0.45 },
+        },
+        uniforms: (p) => ({
+            coatSecondary: p.orangeColor,
+            coatTertiary: p.whiteColor,
+            coatScale: 5 - p.patchScale,
+            coatAmount: 0.75 - p.whiteAmount * 0.45,
+        }),
+    },
+    tortoiseshell: {
+        label: 'Tortoiseshell',
+        baseColor: '#1a1410',
+        coversWhite: true,
+        params: {
+            redColor: { type: 'color', label: 'Red / Cream', default: '#a0522d' },
+            mottleScale: { type: 'range', label: 'Mottling', min: 1, max: 10, step: 0.5, default: 4 },
+            balance: { type: 'range', label: 'Red Balance', min: 0, max: 1, step: 0.05, default: 0.5 },
+        },
+        uniforms: (p) => ({
+            coatSecondary: p.redColor,
+            coatScale: p.mottleScale,
+            coatAmount: 0.65 - p.balance * 0.3,
+        }),
+    },
+    siamese: {
+        label: 'Siamese Points',
+        baseColor: '#efe3cf',
+        coversWhite: true,
+        params: {
+            pointColor: { type: 'color', label: 'Point Colour', default: '#3b2a22' },
+            pointReach: { type: 'range', label: 'Point Reach', min: 0.6, max: 1.6, step: 0.05, default: 1.0 },
+            softness: { type: 'range', label: 'Softness', min: 0.05, max: 1, step: 0.05, default: 0.5 },
+        },
+        uniforms: (p) => ({
+            coatSecondary: p.pointColor,
+            coatAmount: 2.2 - p.pointReach,
+            coatWarp: p.softness,
+        }),
+    },
+};
+
+const COAT_VERTEX_PARS = /* glsl */`
+attribute vec3 coatPosition;
+varying vec3 vCoatPosition;
+`;
+
+const COAT_FRAGMENT_PARS = /* glsl */`
+uniform int coatPattern;
+uniform float coatMask;
+uniform vec3 coatBase;
+uniform vec3 coatSecondary;
+uniform vec3 coatTertiary;
+uniform float coatScale;
+uniform float coatAmount;
+uniform float coatWarp;
+uniform vec3 coatOffset;
+varying vec3 vCoatPosition;
+
+float coatHash(vec3 p) {
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+float coatNoise(vec3 x) {
+    vec3 i = floor(x);
+    vec3 f = fract(x);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(mix(coatHash(i), coatHash(i + vec3(1.0, 0.0, 0.0)), f.x),
+            mix(coatHash(i + vec3(0.0, 1.0, 0.0)), coatHash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+        mix(mix(coatHash(i + vec3(0.0, 0.0, 1.0)), coatHash(i + vec3(1.0, 0.0, 1.0)), f.x),
+            mix(coatHash(i + vec3(0.0, 1.0, 1.0)), coatHash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+        f.z
+    );
+}
+
+float coatFbm(vec3 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 4; i++) {
+        value += amplitude * coatNoise(p);
+        p *= 2.03;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+vec3 coatColor(vec3 p) {
+    vec3 q = p + coatOffset;
+
+    // Tabby: bands around the body and legs, bent by noise
+    if (coatPattern == 1) {
+        float bend = (coatFbm(q * 2.0) - 0.5) * coatWarp * 6.0;
+        float band = sin(dot(p, vec3(0.0, 0.45, 1.0)) * coatScale * 3.14159 + bend) * 0.5 + 0.5;
+        return mix(coatBase, coatSecondary, smoothstep(coatAmount - 0.12, coatAmount + 0.12, band));
+    }
+
+    // Calico: black and orange patches on a white ground
+    if (coatPattern == 2) {
+        float patchMask = smoothstep(0.48, 0.52, coatFbm(q * coatScale + 17.0));
+        float whiteMask = smoothstep(coatAmount - 0.03, coatAmount + 0.03, coatFbm(q * coatScale));
+        return mix(mix(coatSecondary, coatBase, patchMask), coatTertiary, whiteMask);
+    }
+
+    // Tortoiseshell: fine mottling of black and red
+    if (coatPattern == 3) {
+        return mix(coatBase, coatSecondary, smoothstep(coatAmount - 0.06, coatAmount + 0.06, coatFbm(q * coatScale)));
+    }
+
+    // Siamese: darker the further a point is from the middle of the body
+    if (coatPattern == 4) {
+        vec3 d = (p - vec3(0.0, 0.6, 0.1)) / vec3(0.5, 0.45, 0.75);
+        return mix(coatBase, coatSecondary, smoothstep(coatAmount - coatWarp, coatAmount, length(d)));
+    }
+
+    return coatBase;
+}
+`;
+
+// A seed always maps to the same offset into the pattern noise
+function seedOffset(seed) {
+    const random = new SeededRandom(seed).fork('coat');
+    return new THREE.Vector3(random.range(-100, 100), random.range(-100, 100), random.range(-100, 100));
+}
+
+/**
+ * Injects the coat pattern into a standard material. `uniforms` is shared
+ * between materials; `mask` decides how much of the pattern this one shows.
+ */
+function installCoatShader(material, uniforms, mask) {
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms, { coatMask: mask });
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${COAT_VERTEX_PARS}`)
+            .replace('#include <begin_vertex>', '#include <begin_vertex>\nvCoatPosition = coatPosition;');
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\n${COAT_FRAGMENT_PARS}`)
+            .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.rgb = mix(diffuseColor.rgb, coatColor(vCoatPosition), coatMask);');
+    };
+    material.customProgramCacheKey = () => 'coat-pattern';
+    material.needsUpdate = true;
+}
+
+/**
+ * Bakes each fur mesh's rest position (in the model's space) into `coatPosition`
+ */
+export function bakeCoatPositions(model, materials) {
+    const group = model.getGroup();
+    group.updateMatrixWorld(true);
+    const toModel = group.matrixWorld.clone().invert();
+    const matrix = new THREE.Matrix4();
+
+    group.traverse((object) => {
+        if (!object.isMesh || !materials.includes(object.material)) return;
+        bakeCoatPosition(object.geometry, matrix.multiplyMatrices(toModel, object.matrixWorld));
+    });
+}
+
+/**
+ * Bakes one geometry's positions, taken to the model's space by `matrix`, into `coatPosition`
+ */
+export function bakeCoatPosition(geometry, matrix) {
+    const vertex = new THREE.Vector3();
+    const positions = geometry.attributes.position;
+    const coat = new Float32Array(positions.count * 3);
+    for (let i = 0; i < positions.count; i++) {
+        vertex.fromBufferAttribute(positions, i).applyMatrix4(matrix).toArray(coat, i * 3);
+    }
+    geometry.setAttribute('coatPosition', new THREE.BufferAttribute(coat, 3));
+}
+
+/**
+ * CoatPatterns - owns the pattern uniforms of one CatModel
+ */
+export class CoatPatterns {
+    constructor(model) {
+        this.model = model;
+        const { blackFurMaterial, whiteFurMaterial } = model.materials;
+
+        this.uniforms = {
+            coatPattern: { value: 0 },
+            coatBase: { value: blackFurMaterial.color }, // Same Color object, so setFurColor drives it
+            coatSecondary: { value: new THREE.Color() },
+            coatTertiary: { value: new THREE.Color() },
+            coatScale: { value: 1 },
+            coatAmount: { value: 0.5 },
+            coatWarp: { value: 0 },
+            coatOffset: { value: new THREE.Vector3() },
+        };
+        this.coatMask = { value: 1 };
+        this.whiteMask = { value: 0 };
+        this.masks = new Map([[blackFurMaterial, this.coatMask], [whiteFurMaterial, this.whiteMask]]);
+
+        installCoatShader(blackFurMaterial, this.uniforms, this.coatMask);
+        installCoatShader(whiteFurMaterial, this.uniforms, this.whiteMask);
+        bakeCoatPositions(model, [blackFurMaterial, whiteFurMaterial]);
+
+        this.set('tuxedo');
+    }
+
+    /**
+     * Gives another material (e.g. a fur shell) the same pattern as the fur material `source`
+     */
+    extend(material, source) {
+        installCoatShader(material, this.uniforms, this.masks.get(source) ?? this.coatMask);
+    }
+
+    /**
+     * Switches pattern; missing params take the pattern's defaults and the
+     * seed defaults to the cat's own
+     */
+    set(name, { params = {}, seed = this.model.seed } = {}) {
+        const pattern = COAT_PATTERNS[name];
+        if (!pattern) {
+            throw new Error(`Unknown coat pattern: ${name}`);
+        }
+
+        const values = {};
+        Object.entries(pattern.params).forEach(([key, def]) => {
+            values[key] = params[key] ?? def.default;
+        });
+
+        this.uniforms.coatPattern.value = PATTERN_IDS[name];
+        this.whiteMask.value = pattern.coversWhite ? 1 : 0;
+        this.uniforms.coatOffset.value.copy(seedOffset(seed));
+        Object.entries(pattern.uniforms(values)).forEach(([uniform, value]) => {
+            if (this.uniforms[uniform].value.isColor) {
+                this.uniforms[uniform].value.set(value);
+            } else {
+                this.uniforms[uniform].value = value;
+            }
+        });
+
+        this.state = { name, params: values, seed };
+        return this.state;
+    }
+}
@@ -0,0 +1,530 @@
+/**
+ * Cat spec - data description of every part of a CatModel.
+ *
+ * A spec is plain JSON: each part names a primitive (or spline points),
+ * a transform, a material slot and optionally a parent part or skeleton
+ * joint. Transforms are given in model space; `parent` / `joint` only decide
+ * what the part moves with. Tubes may take their control points from joints
+ * instead of fixed `points`, and then bend with the skeleton. Poses are joint
+ * offsets from the rest skeleton.
+ */
+
+export const CAT_SPEC_VERSION = 1;
+
+export const SHAPE_TYPES = ['sphere', 'cone', 'tube', 'whiskers'];
+
+// The classic Tuxedo cat, part for part what CatModel used to build by hand
+export const DEFAULT_CAT_SPEC = {
+    version: CAT_SPEC_VERSION,
+    name: 'tuxedo',
+    // Skeleton: root → hips → spine → neck → skull, legs → paws, tail chain
+    joints: [
+        { name: 'root', position: [0, 0, 0] },
+        { name: 'hips', parent: 'root', position: [0, 0.55, -0.35] },
+        { name: 'spine', parent: 'hips', position: [0, 0.6, 0.35] },
+        { name: 'neck', parent: 'spine', position: [0, 0.85, 0.9] },
+        { name: 'skull', parent: 'neck', position: [0, 0.95, 1.2] },
+
+        { name: 'frontLeftShoulder', parent: 'spine', position: [-0.35, 0.55, 0.8] },
+        { name: 'frontLeftWrist', parent: 'frontLeftShoulder', position: [-0.35, 0.1, 0.8] },
+        { name: 'frontRightShoulder', parent: 'spine', position: [0.35, 0.55, 0.8] },
+        { name: 'frontRightWrist', parent: 'frontRightShoulder', position: [0.35, 0.1, 0.8] },
+        { name: 'backLeftHip', parent: 'hips', position: [-0.4, 0.45, -0.4] },
+        { name: 'backLeftAnkle', parent: 'backLeftHip', position: [-0.4, 0.08, -0.3] },
+        { name: 'backRightHip', parent: 'hips', position: [0.4, 0.45, -0.4] },
+        { name: 'backRightAnkle', parent: 'backRightHip', position: [0.4, 0.08, -0.3] },
+
+        { name: 'tail1', parent: 'hips', position: [0, 0.5, -1.1] },
+        { name: 'tail2', parent: 'tail1', position: [0, 0.7, -1.6] },
+        { name: 'tail3', parent: 'tail2', position: [0.2, 1.1, -1.9] },
+        { name: 'tail4', parent: 'tail3', position: [0.4, 1.5, -2.0] },
+    ],
+    // Joint offsets from the rest skeleton: rotation is an Euler [x, y, z], position is added to the rest position
+    poses: {
+        stand: {},
+        sit: {
+            hips: { position: [0, -0.12, 0], rotation: [-0.2, 0, 0] },
+            neck: { rotation: [0.1, 0, 0] },
+            frontLeftShoulder: { position: [0, -0.12, 0], rotation: [0.2, 0, 0] },
+            frontRightShoulder: { position: [0, -0.12, 0], rotation: [0.2, 0, 0] },
+            backLeftHip: { rotation: [-0.55, 0, 0] },
+            backLeftAnkle: { rotation: [0.55, 0, 0] },
+            backRightHip: { rotation: [-0.55, 0, 0] },
+            backRightAnkle: { rotation: [0.55, 0, 0] },
+            tail1: { rotation: [-0.5, 0.7, 0] },
+            // Tail curls round the haunches
+            tail2: { rotation: [0, 0.8, 0] },
+            tail3: { rotation: [0.1, 0.8, 0] },
+        },
+    },
+    parts: [
+        // Body
+        {
+            name: 'body',
+            shape: { type: 'sphere', radius: 0.55, widthSegments: 32, heightSegments: 32 },
+            material: 'blackFurMaterial',
+            joint: 'spine',
+            position: [0, 0.6, 0.1],
+            scale: [0.85, 0.8, 1.3],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'chest',
+            shape: { type: 'sphere', radius: 0.4, widthSegments: 32, heightSegments: 16, thetaLength: Math.PI * 0.5 },
+            material: 'whiteFurMaterial',
+            joint: 'spine',
+            position: [0, 0.5, 0.55],
+            rotation: [-Math.PI / 4, 0, 0],
+            scale: [0.7, 0.8, 0.5],
+            castShadow: true,
+            receiveShadow: true,
+        },
+
+        // Head
+        {
+            name: 'head',
+            shape: { type: 'sphere', radius: 0.38, widthSegments: 32, heightSegments: 32 },
+            material: 'blackFurMaterial',
+            joint: 'skull',
+            position: [0, 0.95, 1.2],
+            scale: [1, 0.9, 0.9],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'snout',
+            shape: { type: 'sphere', radius: 0.16, widthSegments: 24, heightSegments: 24 },
+            material: 'whiteFurMaterial',
+            joint: 'skull',
+            position: [0, 0.82, 1.48],
+            scale: [1.1, 0.8, 1.0],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'blaze',
+            shape: { type: 'cone', radius: 0.08, height: 0.3, radialSegments: 16 },
+            material: 'whiteFurMaterial',
+            joint: 'skull',
+            position: [0, 1.1, 1.45],
+            rotation: [-0.5, 0, 0],
+            scale: [1, 1, 0.5],
+            receiveShadow: true,
+        },
+
+        // Ears
+        {
+            name: 'leftEar',
+            shape: { type: 'cone', radius: 0.12, height: 0.3, radialSegments: 16 },
+            material: 'blackFurMaterial',
+            joint: 'skull',
+            position: [-0.25, 1.25, 1.15],
+            rotation: [0.2, 0, -0.4],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'leftInnerEar',
+            shape: { type: 'cone', radius: 0.06, height: 0.2, radialSegments: 16 },
+            material: 'innerEarMaterial',
+            joint: 'skull',
+            position: [-0.25, 1.25, 1.22],
+            rotation: [0.2, 0, -0.4],
+            castShadow: true,
+        },
+        {
+            name: 'rightEar',
+            shape: { type: 'cone', radius: 0.12, height: 0.3, radialSegments: 16 },
+            material: 'blackFurMaterial',
+            joint: 'skull',
+            position: [0.25, 1.25, 1.15],
+            rotation: [0.2, 0, 0.4],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'rightInnerEar',
+            shape: { type: 'cone', radius: 0.06, height: 0.2, radialSegments: 16 },
+            material: 'innerEarMaterial',
+            joint: 'skull',
+            position: [0.25, 1.25, 1.22],
+            rotation: [0.2, 0, 0.4],
+            castShadow: true,
+        },
+
+        // Legs
+        {
+            name: 'frontLeftLeg',
+            shape: { type: 'tube', joints: ['frontLeftShoulder', { joint: 'frontLeftShoulder', offset: [0, -0.25, 0.05] }, 'frontLeftWrist'], radius: 0.09, radialSegments: 12, tubularSegments: 32 },
+            material: 'blackFurMaterial',
+            joint: 'frontLeftShoulder',
+            position: [-0.35, 0.55, 0.8],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'frontRightLeg',
+            shape: { type: 'tube', joints: ['frontRightShoulder', { joint: 'frontRightShoulder', offset: [0, -0.25, 0.05] }, 'frontRightWrist'], radius: 0.09, radialSegments: 12, tubularSegments: 32 },
+            material: 'blackFurMaterial',
+            joint: 'frontRightShoulder',
+            position: [0.35, 0.55, 0.8],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'backLeftLeg',
+            shape: { type: 'tube', joints: ['backLeftHip', { joint: 'backLeftHip', offset: [0, -0.22, -0.04] }, 'backLeftAnkle'], radius: 0.11, radialSegments: 12, tubularSegments: 32 },
+            material: 'blackFurMaterial',
+            joint: 'backLeftHip',
+            position: [-0.4, 0.45, -0.4],
+            rotation: [-0.3, 0, 0],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'backRightLeg',
+            shape: { type: 'tube', joints: ['backRightHip', { joint: 'backRightHip', offset: [0, -0.22, -0.04] }, 'backRightAnkle'], radius: 0.11, radialSegments: 12, tubularSegments: 32 },
+            material: 'blackFurMaterial',
+            joint: 'backRightHip',
+            position: [0.4, 0.45, -0.4],
+            rotation: [-0.3, 0, 0],
+            castShadow: true,
+            receiveShadow: true,
+        },
+
+        // Paws (White Socks)
+        {
+            name: 'frontLeftPaw',
+            shape: { type: 'sphere', radius: 0.12, widthSegments: 16, heightSegments: 16 },
+            material: 'whiteFurMaterial',
+            joint: 'frontLeftWrist',
+            position: [-0.35, 0.05, 0.8],
+            scale: [1, 0.7, 1.2],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'frontRightPaw',
+            shape: { type: 'sphere', radius: 0.12, widthSegments: 16, heightSegments: 16 },
+            material: 'whiteFurMaterial',
+            joint: 'frontRightWrist',
+            position: [0.35, 0.05, 0.8],
+            scale: [1, 0.7, 1.2],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'backLeftPaw',
+            shape: { type: 'sphere', radius: 0.12, widthSegments: 16, heightSegments: 16 },
+            material: 'whiteFurMaterial',
+            joint: 'backLeftAnkle',
+            position: [-0.4, 0.05, -0.3],
+            scale: [1, 0.7, 1.2],
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'backRightPaw',
+            shape: { type: 'sphere', radius: 0.12, widthSegments: 16, heightSegments: 16 },
+            material: 'whiteFurMaterial',
+            joint: 'backRightAnkle',
+            position: [0.4, 0.05, -0.3],
+            scale: [1, 0.7, 1.2],
+            castShadow: true,
+            receiveShadow: true,
+        },
+
+        // Tail
+        {
+            name: 'tail',
+            shape: { type: 'tube', joints: ['tail1', 'tail2', 'tail3', 'tail4'], radius: 0.12, taper: 0.9, radialSegments: 12, tubularSegments: 64 },
+            material: 'blackFurMaterial',
+            joint: 'tail1',
+            castShadow: true,
+            receiveShadow: true,
+        },
+        {
+            name: 'tailTip',
+            shape: { type: 'sphere', radius: 0.11, widthSegments: 16, heightSegments: 16 },
+            material: 'whiteFurMaterial',
+            joint: 'tail4',
+            position: [0.4, 1.5, -2.0],
+            castShadow: true,
+        },
+
+        // Eyes
+        {
+            name: 'leftEye',
+            shape: { type: 'sphere', radius: 0.09, widthSegments: 24, heightSegments: 24 },
+            material: 'eyeMaterial',
+            joint: 'skull',
+            position: [-0.16, 0.95, 1.48],
+            rotation: [0, 0.2, 0],
+            castShadow: true,
+        },
+        {
+            name: 'leftPupil',
+            shape: { type: 'sphere', radius: 0.05, widthSegments: 16, heightSegments: 16 },
+            material: 'pupilMaterial',
+            joint: 'skull',
+            position: [-0.16, 0.95, 1.56],
+            scale: [0.8, 1.2, 0.5],
+        },
+        {
+            name: 'rightEye',
+            shape: { type: 'sphere', radius: 0.09, widthSegments: 24, heightSegments: 24 },
+            material: 'eyeMaterial',
+            joint: 'skull',
+            position: [0.16, 0.95, 1.48],
+            rotation: [0, -0.2, 0],
+            castShadow: true,
+        },
+        {
+            name: 'rightPupil',
+            shape: { type: 'sphere', radius: 0.05, widthSegments: 16, heightSegments: 16 },
+            material: 'pupilMaterial',
+            joint: 'skull',
+            position: [0.16, 0.95, 1.56],
+            scale: [0.8, 1.2, 0.5],
+        },
+
+        // Nose & whiskers
+        {
+            name: 'nose',
+            shape: { type: 'sphere', radius: 0.04, widthSegments: 16, heightSegments: 16 },
+            material: 'noseMaterial',
+            joint: 'skull',
+            position: [0, 0.88, 1.63],
+            scale: [1, 0.8, 0.5],
+            castShadow: true,
+        },
+        {
+            name: 'whiskers',
+            shape: { type: 'whiskers', count: 6, length: 0.35, origin: [0.1, 0.85, 1.55] },
+            material: 'whiskerMaterial',
+            joint: 'skull',
+        },
+    ],
+};
+
+/**
+ * Thrown when a spec fails validation; `errors` lists every problem found
+ */
+export class CatSpecError extends Error {
+    constructor(errors) {
+        super(`Invalid cat spec:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'CatSpecError';
+        this.errors = errors;
+    }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositive = (value) => isNumber(value) && value > 0;
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+
+// Required and optional numeric fields for each primitive
+const SHAPE_FIELDS = {
+    sphere: {
+        required: { radius: isPositive },
+        optional: { widthSegments: isPositive, heightSegments: isPositive, phiStart: isNumber, phiLength: isPositive, thetaStart: isNumber, thetaLength: isPositive },
+    },
+    cone: {
+        required: { radius: isPositive, height: isPositive },
+        optional: { radialSegments: isPositive },
+    },
+    tube: {
+        required: { radius: isPositive },
+        optional: { radialSegments: isPositive, tubularSegments: isPositive, taper: isPositive },
+    },
+    whiskers: {
+        required: { count: isPositive, length: isPositive },
+        optional: { spacing: isNumber, angleStart: isNumber, angleStep: isNumber, lift: isNumber },
+    },
+};
+
+function validateShape(shape, where, joints, errors) {
+    if (!shape || typeof shape !== 'object') {
+        errors.push(`${where}.shape is required`);
+        return;
+    }
+    if (!SHAPE_TYPES.includes(shape.type)) {
+        errors.push(`${where}.shape.type must be one of ${SHAPE_TYPES.join(', ')} (got ${JSON.stringify(shape.type)})`);
+        return;
+    }
+
+    const { required, optional } = SHAPE_FIELDS[shape.type];
+    Object.entries(required).forEach(([field, check]) => {
+        if (!check(shape[field])) {
+            errors.push(`${where}.shape.${field} is required and must be a ${check === isPositive ? 'positive ' : ''}number`);
+        }
+    });
+    Object.entries(optional).forEach(([field, check]) => {
+        if (shape[field] !== undefined && !check(shape[field])) {
+            errors.push(`${where}.shape.${field} must be a ${check === isPositive ? 'positive ' : ''}number`);
+        }
+    });
+
+    if (shape.type === 'tube' && shape.joints !== undefined) {
+        // Joint-driven tube: control points follow joints (with an optional local offset)
+        if (!Array.isArray(shape.joints) || shape.joints.length < 2) {
+            errors.push(`${where}.shape.joints must be an array of at least 2 joint names or { joint, offset } entries`);
+        } else {
+            shape.joints.forEach((control, i) => {
+                const joint = typeof control === 'string' ? control : control?.joint;
+                if (!joints.includes(joint)) {
+                    errors.push(`${where}.shape.joints[${i}] must name a joint in this spec`);
+                }
+                if (control?.offset !== undefined && !isVector3(control.offset)) {
+                    errors.push(`${where}.shape.joints[${i}].offset must be an [x, y, z] array of numbers`);
+                }
+            });
+        }
+    } else if (shape.type === 'tube') {
+        if (!Array.isArray(shape.points) || shape.points.length < 2) {
+            errors.push(`${where}.shape.points must be an array of at least 2 [x, y, z] points (or set shape.joints)`);
+        } else {
+            shape.points.forEach((point, i) => {
+                if (!isVector3(point)) errors.push(`${where}.shape.points[${i}] must be an [x, y, z] array of numbers`);
+            });
+        }
+    }
+    if (shape.type === 'whiskers' && !isVector3(shape.origin)) {
+        errors.push(`${where}.shape.origin must be an [x, y, z] array of numbers`);
+    }
+}
+
+// Returns the valid joint names, in declaration order
+function validateJoints(joints, errors) {
+    if (joints === undefined) return [];
+    if (!Array.isArray(joints)) {
+        errors.push('joints must be an array');
+        return [];
+    }
+
+    const names = [];
+    joints.forEach((joint, index) => {
+        const where = joint && typeof joint.name === 'string' ? `joints[${index}] (${joint.name})` : `joints[${index}]`;
+        if (!joint || typeof joint.name !== 'string' || joint.name === '') {
+            errors.push(`${where}.name must be a non-empty string`);
+            return;
+        }
+        if (names.includes(joint.name)) {
+            errors.push(`${where}.name is a duplicate; joint names must be unique`);
+        }
+        if (!isVector3(joint.position)) {
+            errors.push(`${where}.position must be an [x, y, z] array of numbers`);
+        }
+        if (index === 0 && joint.parent !== undefined) {
+            errors.push(`${where} is the root joint and must not have a parent`);
+        } else if (index > 0 && !names.includes(joint.parent)) {
+            errors.push(`${where}.parent "${joint.parent}" must name a joint declared before it`);
+        }
+        names.push(joint.name);
+    });
+    return names;
+}
+
+function validatePoses(poses, joints, errors) {
+    if (poses === undefined) return;
+    if (!poses || typeof poses !== 'object') {
+        errors.push('poses must be an object of named poses');
+        return;
+    }
+
+    Object.entries(poses).forEach(([poseName, pose]) => {
+        if (!pose || typeof pose !== 'object') {
+            errors.push(`poses.${poseName} must be an object of joint offsets`);
+            return;
+        }
+        Object.entries(pose).forEach(([jointName, offset]) => {
+            const where = `poses.${poseName}.${jointName}`;
+            if (!joints.includes(jointName)) {
+                errors.push(`${where} does not name a joint in this spec`);
+                return;
+            }
+            if (!offset || typeof offset !== 'object') {
+                errors.push(`${where} must be an object with position and/or rotation`);
+                return;
+            }
+            ['position', 'rotation'].forEach(field => {
+                if (offset[field] !== undefined && !isVector3(offset[field])) {
+                    errors.push(`${where}.${field} must be an [x, y, z] array of numbers`);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Checks a spec and returns a list of human readable errors (empty when valid).
+ * `materials` is the list of material slot names parts may reference.
+ */
+export function validateCatSpec(spec, { materials } = {}) {
+    const errors = [];
+
+    if (!spec || typeof spec !== 'object') {
+        return ['spec must be an object'];
+    }
+    if (spec.version !== CAT_SPEC_VERSION) {
+        errors.push(`version must be ${CAT_SPEC_VERSION} (got ${JSON.stringify(spec.version)})`);
+    }
+    if (spec.name !== undefined && typeof spec.name !== 'string') {
+        errors.push('name must be a string');
+    }
+    if (!Array.isArray(spec.parts) || spec.parts.length === 0) {
+        errors.push('parts must be a non-empty array');
+        return errors;
+    }
+
+    const joints = validateJoints(spec.joints, errors);
+    validatePoses(spec.poses, joints, errors);
+
+    // Joints and parts share one namespace so animation tracks can target either by name
+    const seen = new Set(joints);
+    spec.parts.forEach((part, index) => {
+        if (!part || typeof part !== 'object') {
+            errors.push(`parts[${index}] must be an object`);
+            return;
+        }
+
+        const where = typeof part.name === 'string' ? `parts[${index}] (${part.name})` : `parts[${index}]`;
+        if (typeof part.name !== 'string' || part.name === '') {
+            errors.push(`${where}.name must be a non-empty string`);
+        } else if (seen.has(part.name)) {
+            errors.push(`${where}.name is a duplicate; part and joint names must be unique`);
+        }
+
+        validateShape(part.shape, where, joints, errors);
+
+        if (typeof part.material !== 'string') {
+            errors.push(`${where}.material must be a material slot name`);
+        } else if (materials && !materials.includes(part.material)) {
+            errors.push(`${where}.material "${part.material}" is not one of ${materials.join(', ')}`);
+        }
+
+        ['position', 'rotation', 'scale'].forEach(field => {
+            if (part[field] !== undefined && !isVector3(part[field])) {
+                errors.push(`${where}.${field} must be an [x, y, z] array of numbers`);
+            }
+        });
+        ['castShadow', 'receiveShadow'].forEach(field => {
+            if (part[field] !== undefined && typeof part[field] !== 'boolean') {
+                errors.push(`${where}.${field} must be a boolean`);
+            }
+        });
+
+        // Parents must be declared first so parts can be built in order
+        if (part.parent !== undefined && part.joint !== undefined) {
+            errors.push(`${where} may set either parent or joint, not both`);
+        } else if (part.parent !== undefined && (!seen.has(part.parent) || joints.includes(part.parent))) {
+            errors.push(`${where}.parent "${part.parent}" must name a part declared before it`);
+        } else if (part.joint !== undefined && !joints.includes(part.joint)) {
+            errors.push(`${where}.joint "${part.joint}" is not a joint in this spec`);
+        }
+
+        if (typeof part.name === 'string') seen.add(part.name);
+    });
+
+    return errors;
+}
@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+import { CatModel } from './cat-model.js';
+import { DEFAULT_LIGHTING, LightingRig } from './lighting-rig.js';
+
+/**
+ * Cat thumbnails - renders generated cats (see cat-generator.js) to PNGs in
+ * batches, e.g. for avatar sets. It has its own offscreen renderer, so it can
+ * run next to a viewer on the same page:
+ *
+ *   const thumbnailer = new CatThumbnailer({ size: 256 });
+ *   const avatars = await thumbnailer.renderBatch([1, 2, 3]);
+ *   thumbnailer.dispose();
+ */
+
+// Three-quarter view from slightly above, the way avatars are usually framed
+const VIEW_DIRECTION = new THREE.Vector3(1, 0.45, 1.6).normalize();
+
+/**
+ * Seeds `start`, `start + 1`, … for `count` cats
+ */
+export function seedRange(start, count) {
+    return Array.from({ length: count }, (_, i) => start + i);
+}
+
+/**
+ * CatThumbnailer - one renderer, scene and light rig reused for every thumbnail.
+ * A null `background` renders transparent PNGs.
+ */
+export class CatThumbnailer {
+    constructor({ size = 256, lighting = DEFAULT_LIGHTING, background = null, pose = 'sit', fur = 'medium' } = {}) {
+        this.size = size;
+        this.pose = pose;
+        this.fur = fur;
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+        this.renderer.setSize(size, size, false);
+        this.renderer.setPixelRatio(1);
+        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(30, 1, 0.1, 50);
+        this.lighting = new LightingRig(this.scene, this.renderer);
+        this.lighting.apply(lighting);
+
+        // The rig paints its preset colour behind the cat; swap in ours
+        this.scene.background = background === null ? null : new THREE.Color(background);
+    }
+
+    /**
+     * Renders the generated cat for one seed; resolves to `{ seed, traits, blob }`
+     */
+    async render(seed) {
+        const cat = CatModel.random(seed, { fur: { quality: this.fur } });
+        cat.behaviours.enabled = false;
+        if (cat.animator.getClip(this.pose)) cat.play(this.pose, { fadeDuration: 0 });
+        cat.update(0);
+
+        this.scene.add(cat.getGroup());
+        this.lighting.applyEnvironmentIntensity(cat.getGroup());
+        this.frame(cat.getGroup());
+        this.renderer.render(this.scene, this.camera);
+
+        try {
+            const blob = await new Promise(resolve => this.renderer.domElement.toBlob(resolve, 'image/png'));
+            return { seed, traits: cat.traits, blob };
+        } finally {
+            cat.dispose();
+        }
+    }
+
+    /**
+     * Renders one thumbnail per seed, in order; `onProgress(result, done, total)` follows along
+     */
+    async renderBatch(seeds, { onProgress } = {}) {
+        const results = [];
+        for (const seed of seeds) {
+            const result = await this.render(seed);
+            results.push(result);
+            onProgress?.(result, results.length, seeds.length);
+        }
+        return results;
+    }
+
+    /**
+     * Fits the camera round an object's bounding sphere
+     */
+    frame(object) {
+        const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+        const distance = sphere.radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov / 2)) * 1.05;
+        this.camera.position.copy(sphere.center).addScaledVector(VIEW_DIRECTION, distance);
+        this.camera.near = distance / 20;
+        this.camera.far = distance * 4;
+        this.camera.updateProjectionMatrix();
+        this.camera.lookAt(sphere.center);
+    }
+
+    dispose() {
+        this.lighting.dispose();
+        this.renderer.dispose();
+    }
+}
@@ -0,0 +1,830 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { CatModel } from './cat-model.js';
+import { ImportedCat, loadGLTFFile } from './cat-import.js';
+import { FUR_QUALITY, suggestFurQuality } from './cat-fur.js';
+import { DETAIL_LEVELS } from './cat-model.js';
+import { LightingRig } from './lighting-rig.js';
+import { CatAudio } from './cat-audio.js';
+import { CatStage, DEFAULT_ENVIRONMENT } from './cat-environments.js';
+import { ViewerCapture } from './cat-capture.js';
+import { ViewerClock } from './viewer-clock.js';
+import { AdaptiveQuality, QUALITY_TIERS } from './viewer-quality.js';
+import { StatsOverlay } from './viewer-stats.js';
+import { ViewerAccessibility } from './viewer-accessibility.js';
+import { DEFAULT_CAT_SPEC } from './cat-spec.js';
+import { generateCat, withWhiskers } from './cat-generator.js';
+import { DEFAULT_VIEWER_STATE, decodeState, encodeState, mergeState } from './viewer-state.js';
+
+// Defaults for this device, overridden by whatever the URL hash holds
+function initialState(hash = '') {
+    const defaults = mergeState(DEFAULT_VIEWER_STATE, { fur: { quality: suggestFurQuality() } });
+    return mergeState(defaults, decodeState(hash));
+}
+
+// Pointer travel (px) under which a press counts as a click rather than an orbit; fingers wander further
+const CLICK_TOLERANCE = { mouse: 5, pen: 5, touch: 12 };
+
+// Orbit control speeds for each kind of pointer: a finger sweeps further than a mouse for the same turn
+const POINTER_SPEEDS = {
+    mouse: { rotateSpeed: 1, zoomSpeed: 1, panSpeed: 1 },
+    touch: { rotateSpeed: 0.7, zoomSpeed: 1.4, panSpeed: 0.8 },
+};
+
+// Seconds taken to blend from one lighting preset to the next
+const LIGHTING_BLEND = 1.2;
+
+// Seconds a body-shape change takes to ease in
+const MORPH_BLEND = 0.4;
+
+// Seconds between updates of a viewer scrolled out of sight (it isn't drawn meanwhile)
+const OFFSCREEN_INTERVAL = 0.25;
+
+// Camera distance from which each detail level is used, like THREE.LOD levels
+const DETAIL_DISTANCES = { high: 0, medium: 7, low: 9 };
+
+// Best first, so the worse of two levels is the one with the higher index
+const lowest = (order, a, b) => order[Math.max(order.indexOf(a), order.indexOf(b))];
+
+/**
+ * CatViewer - renders a cat into any container element and sizes itself to it.
+ * Several viewers can share a page; each owns its scene, renderer and state.
+ *
+ * Options:
+ * - `state`: partial viewer state to start from (see viewer-state.js)
+ * - `urlState`: read the state from, and keep it in, the page's URL hash
+ * - `canvas`: an existing canvas to render into (one is created otherwise)
+ * - `renderer`: draw with this instead of a new WebGLRenderer on the canvas
+ *   (a shared renderer, or a stand-in for headless tests); it isn't disposed
+ * - `loading`: an overlay element used for loading and error messages
+ *
+ * Captures (PNG, turntable WebM, sprite sheets) go through `viewer.capture`
+ * or the snapshot / recordTurntable / captureSpriteSheet shortcuts.
+ *
+ * Animation runs on a fixed-step clock (see viewer-clock.js) with play(),
+ * pause(), setSpeed(), step() and seek(). Frames are only drawn while
+ * something moves; anything else that changes the picture calls invalidate().
+ *
+ * The `quality` state fixes a tier of pixel ratio, shadow map size, geometry
+ * detail and fur (see viewer-quality.js), or under 'auto' lets `viewer.quality`
+ * pick one from the frame rate. Geometry detail also drops with camera distance.
+ *
+ * The canvas takes keyboard focus (arrows orbit, 1-6 pick a pose, see
+ * viewer-accessibility.js), a live region describes the cat to screen readers,
+ * and a reduced-motion preference stops auto-rotate and starts paused.
+ *
+ * The `accessories` state dresses the cat (see cat-accessories.js); it is
+ * replaced whole by setState, and loadAccessory wears a .glb from the user.
+ *
+ * Events (CustomEvent, details in brackets): `statechange` (state),
+ * `posechange` (pose, previous), `catclick` (part, point), `propclick` (prop),
+ * `timeupdate` (paused, speed, pose, time, duration), `error` (message).
+ */
+export class CatViewer extends EventTarget {
+    constructor(container, { state, urlState = false, canvas, renderer, loading } = {}) {
+        super();
+        this.container = container;
+        this.urlState = urlState;
+        this.loading = loading ?? null;
+        this.state = mergeState(initialState(urlState ? window.location.hash : ''), state);
+        this.clock = new ViewerClock();
+        this.quality = new AdaptiveQuality();
+        this.listeners = [];
+
+        // Draw on the next frame even if nothing is moving
+        this.needsRender = true;
+        this.onscreen = true;
+
+        this.canvas = canvas ?? document.createElement('canvas');
+        this.ownsCanvas = !canvas;
+        if (this.ownsCanvas) {
+            this.canvas.style.display = 'block';
+            this.container.appendChild(this.canvas);
+        }
+        this.renderer = renderer ?? null;
+        this.ownsRenderer = !renderer;
+
+        this.init();
+        this.animate();
+    }
+
+    // Adds a DOM listener that dispose() removes again
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push(() => target.removeEventListener(type, handler));
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    init() {
+        // Scene setup
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x0a0a0f); // Dark background matches body CSS
+        this.scene.fog = new THREE.Fog(0x0a0a0f, 10, 40);
+
+        // Camera setup
+        const { width, height } = this.containerSize();
+        this.camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
+        this.camera.position.fromArray(this.state.camera.position);
+        this.camera.lookAt(...this.state.camera.target);
+
+        // Renderer setup
+        this.renderer ??= new THREE.WebGLRenderer({
+            canvas: this.canvas,
+            antialias: true,
+            alpha: true,
+        });
+
+        // Sized to the container (the pixel ratio comes with the quality tier)
+        this.renderer.setSize(width, height);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+        // Orbit controls
+        this.controls = new OrbitControls(this.camera, this.canvas);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.minDistance = 2;
+        this.controls.maxDistance = 10;
+        this.controls.maxPolarAngle = Math.PI / 2 + 0.1; // Restrict going below ground
+        this.controls.target.fromArray(this.state.camera.target);
+        this.controls.autoRotate = this.state.autoRotate;
+        this.controls.autoRotateSpeed = 1.0;
+
+        // One finger orbits, two pinch to zoom and drag to pan
+        this.controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
+
+        // Keep the camera in the state (and URL) once the user lets go
+        this.controls.addEventListener('end', () => {
+            this.state.camera = this.readCamera();
+            this.writeURL();
+        });
+        this.controls.addEventListener('change', () => this.invalidate());
+
+        // Lighting, tone mapping and environment
+        this.lighting = new LightingRig(this.scene, this.renderer);
+        this.lighting.apply(this.state.lighting);
+
+        // Floor, set and props (see cat-environments.js)
+        this.stage = new CatStage(this.scene);
+        this.applyEnvironment();
+
+        // Snapshots, turntables and sprite sheets (see cat-capture.js)
+        this.capture = new ViewerCapture(this);
+
+        // Purrs and meows, heard from the camera (where Web Audio exists)
+        this.audio = 'AudioContext' in window || 'webkitAudioContext' in window ? new CatAudio(this.camera, this.state.audio) : null;
+
+        // Create cat model
+        this.swapModel(this.createCatModel());
+        this.applyAudio();
+
+        // Pixel ratio, shadows and detail for this device, and the stats overlay
+        this.applyQuality();
+        this.stats = new StatsOverlay(this.container);
+        this.stats.setVisible(this.state.stats);
+
+        // Keyboard control, a screen reader description and reduced motion
+        this.accessibility = new ViewerAccessibility(this);
+
+        // Follow the container's size
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+        this.resizeObserver.observe(this.container);
+
+        // Slow down while scrolled out of view or hidden
+        this.intersectionObserver = new IntersectionObserver(([entry]) => {
+            this.onscreen = entry.isIntersecting;
+            this.invalidate();
+        });
+        this.intersectionObserver.observe(this.container);
+
+        // Follow links pasted into the address bar
+        if (this.urlState) {
+            this.listen(window, 'hashchange', () => this.setState(initialState(window.location.hash)));
+        }
+
+        // Clicks (not drags) on the cat
+        this.listen(this.canvas, 'pointerdown', (e) => {
+            this.pressed = { x: e.clientX, y: e.clientY, type: e.pointerType };
+            Object.assign(this.controls, POINTER_SPEEDS[e.pointerType] ?? POINTER_SPEEDS.mouse);
+            this.audio?.resume();
+        });
+        this.listen(this.canvas, 'pointerup', (e) => {
+            const tolerance = CLICK_TOLERANCE[this.pressed?.type] ?? CLICK_TOLERANCE.mouse;
+            if (this.pressed && Math.hypot(e.clientX - this.pressed.x, e.clientY - this.pressed.y) < tolerance) {
+                this.onClick(e);
+            }
+            this.pressed = null;
+        });
+
+        // The cat watches the cursor and reacts to parts it rests on
+        this.listen(this.canvas, 'pointermove', (e) => {
+            if (!this.pressed) this.onHover(e);
+        });
+        this.listen(this.canvas, 'pointerleave', () => {
+            this.catModel.interaction?.lookAt(null);
+            this.catModel.interaction?.touch(null, { kind: 'hover' });
+        });
+    }
+
+    /**
+     * The current view as a plain object (see viewer-state.js)
+     */
+    getState() {
+        return mergeState(this.state, { camera: this.readCamera() });
+    }
+
+    /**
+     * Applies a full or partial state to the cat and scene
+     */
+    setState(partial) {
+        const previous = this.state;
+
+        // A new pattern starts from its own parameter defaults, a new lighting preset from its own lights,
+        // and new accessories take off the old ones
+        const patternChanged = partial.coat?.pattern && partial.coat.pattern !== previous.coat.pattern;
+        const presetChanged = partial.lighting?.preset && partial.lighting.preset !== previous.lighting.preset;
+        const base = mergeState(previous, {
+            coat: patternChanged ? { params: null } : {},
+            lighting: presetChanged ? { lights: null, exposure: null } : {},
+            accessories: partial.accessories ? null : {},
+        });
+        this.state = mergeState(base, partial);
+        this.state.coat.params ??= {};
+        this.state.lighting.lights ??= {};
+        this.state.accessories ??= {};
+
+        // Seed and whiskers are baked into the procedural cat, so they rebuild it
+        const rebuild = this.state.seed !== previous.seed || JSON.stringify(this.state.whiskers) !== JSON.stringify(previous.whiskers);
+        if (rebuild && this.catModel instanceof CatModel) {
+            this.swapModel(this.createCatModel());
+        } else {
+            this.applyModelState(this.catModel, previous);
+        }
+
+        if (partial.lighting) {
+            this.lighting.apply(this.state.lighting, { duration: presetChanged ? this.transition(LIGHTING_BLEND) : 0 });
+        }
+        this.applyAudio();
+        if (JSON.stringify(this.state.environment) !== JSON.stringify(previous.environment)) {
+            this.applyEnvironment();
+        }
+        if (this.state.quality !== previous.quality) {
+            this.quality.reset();
+            this.applyQuality();
+        }
+        this.stats.setVisible(this.state.stats);
+        this.controls.autoRotate = this.state.autoRotate && !this.accessibility.reducedMotion;
+        if (partial.camera) {
+            this.camera.position.fromArray(this.state.camera.position);
+            this.controls.target.fromArray(this.state.camera.target);
+            this.controls.update();
+        }
+
+        this.invalidate();
+        this.writeURL();
+        this.emit('statechange', { state: this.getState() });
+        if (this.state.pose !== previous.pose) {
+            this.emit('posechange', { pose: this.state.pose, previous: previous.pose });
+        }
+    }
+
+    readCamera() {
+        return { position: this.camera.position.toArray(), target: this.controls.target.toArray() };
+    }
+
+    writeURL() {
+        if (!this.urlState) return;
+        const hash = encodeState(this.state);
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+    }
+
+    /**
+     * Applies the model-side state (pose, body shape, coat, eyes, fur, wireframe, behaviours,
+     * accessories) to a cat. Without `previous` everything is applied and the pose and shape snap
+     * instead of easing.
+     */
+    applyModelState(model, previous = null) {
+        const { pose, morph, coat, eyes, fur, wireframe, idleBehaviours, interactive, accessories } = this.state;
+
+        if (!previous || previous.pose !== pose) {
+            // Additive clips only play on top of a base one
+            const clip = model.animator.getClip(pose) && !model.animator.additive.has(pose) ? pose : 'idle';
+            if (model.animator.getClip(clip)) {
+                model.play(clip, previous && !this.clock.paused ? undefined : { fadeDuration: 0 });
+            }
+        }
+
+        model.setMorph(morph, { duration: previous ? this.transition(MORPH_BLEND) : 0 });
+
+        model.toggleWireframe(wireframe);
+        model.setFurColor(parseInt(coat.color.replace('#', '0x')));
+        model.setEyeColor(eyes);
+        model.setCoatPattern(coat.pattern, { params: coat.params });
+        model.setFurOptions(this.furOptions(fur));
+        if (model.behaviours) {
+            model.behaviours.enabled = idleBehaviours;
+        }
+        if (model.interaction) {
+            model.interaction.enabled = interactive;
+        }
+
+        if (!previous || JSON.stringify(accessories) !== JSON.stringify(previous.accessories)) {
+            this.accessoriesLoaded = this.applyAccessories(model, accessories);
+        }
+    }
+
+    /**
+     * Dresses `model`; glTF accessories arrive later, and one that fails is
+     * reported and dropped from the state. Resolves to whether all went on.
+     */
+    async applyAccessories(model, accessories) {
+        let loaded = true;
+        try {
+            await model.setAccessories(accessories);
+        } catch (error) {
+            console.error('Error loading accessory:', error);
+            this.showError(`Could not load accessory: ${error.message}`);
+            loaded = false;
+        }
+        if (model !== this.catModel) return loaded;
+
+        if (!loaded) {
+            // Keep what is worn or still on its way
+            const worn = model.getAccessories();
+            const kept = Object.entries(this.state.accessories)
+                .filter(([socket, accessory]) => accessory?.item !== 'gltf' || worn[socket]?.url === accessory.url || model.accessories.loading[socket]);
+            this.setState({ accessories: Object.fromEntries(kept) });
+        }
+        this.lighting.applyEnvironmentIntensity(model.getGroup());
+        this.invalidate();
+        return loaded;
+    }
+
+    /**
+     * Builds the state's environment; an unknown one is reported and the default used instead
+     */
+    applyEnvironment() {
+        try {
+            this.stage.set(this.state.environment);
+        } catch (error) {
+            this.showError(error.message);
+            this.state.environment = { ...this.state.environment, name: DEFAULT_ENVIRONMENT.name };
+            this.stage.set(this.state.environment);
+        }
+    }
+
+    /**
+     * Volume and mute from the state; the cat purrs while idle
+     */
+    applyAudio() {
+        if (!this.audio) return;
+        const { muted, volume } = this.state.audio;
+        if (!muted) this.audio.resume();
+        this.audio.setVolume(volume, muted);
+        this.audio.setPurring(this.state.pose === 'idle');
+    }
+
+    /**
+     * The quality tier in use: the one the state names, or under 'auto' the one
+     * `viewer.quality` settled on
+     */
+    get tier() {
+        return QUALITY_TIERS[this.state.quality] ?? QUALITY_TIERS[this.quality.tier];
+    }
+
+    /**
+     * Applies the quality tier's pixel ratio, shadow map size and fur cap
+     */
+    applyQuality() {
+        const { pixelRatio, shadowScale } = this.tier;
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, pixelRatio));
+        this.onResize();
+        this.lighting.setShadowScale(shadowScale);
+        this.catModel.setFurOptions(this.furOptions(this.state.fur));
+    }
+
+    // Fur options from the state, with the quality capped by the tier
+    furOptions(fur) {
+        return { ...fur, quality: lowest(Object.keys(FUR_QUALITY).reverse(), fur.quality, this.tier.fur) };
+    }
+
+    /**
+     * Picks the cat's geometry detail from the camera distance, capped by the tier
+     */
+    updateDetail() {
+        const distance = this.camera.position.distanceTo(this.controls.target);
+        const levels = Object.keys(DETAIL_LEVELS);
+        const level = levels.findLast(name => distance >= DETAIL_DISTANCES[name]);
+        this.catModel.setDetail(lowest(levels, level, this.tier.detail));
+    }
+
+    // Blends take `seconds` while playing; a paused picture changes at once
+    transition(seconds) {
+        return this.clock.paused ? 0 : seconds;
+    }
+
+    createCatModel() {
+        return new CatModel(withWhiskers(DEFAULT_CAT_SPEC, this.state.whiskers), { seed: this.state.seed, merge: true });
+    }
+
+    /**
+     * Shows a generated cat (coat, eyes, body shape, whiskers) for a seed; a random one without
+     */
+    randomise(seed = Math.floor(Math.random() * 100000)) {
+        this.setState(generateCat(seed));
+    }
+
+    /**
+     * Replaces the displayed cat, carrying over the pose and display settings
+     */
+    swapModel(model) {
+        const previous = this.catModel;
+        this.catModel = model;
+        this.scene.add(model.getGroup());
+        this.applyModelState(model);
+        this.lighting.applyEnvironmentIntensity(model.getGroup());
+        this.invalidate();
+
+        // It meows when clicked
+        this.audio?.attach(model);
+        model.on('touch', (part, { kind }) => {
+            if (kind === 'click') this.audio?.meow();
+        });
+
+        if (previous) previous.dispose();
+    }
+
+    /**
+     * Loads a user-supplied .hdr/.exr and lights the scene with it
+     */
+    async loadEnvironment(file) {
+        this.showLoading(`Loading ${file.name}...`);
+        try {
+            await this.lighting.loadEnvironment(file);
+            this.setState({ lighting: { environment: 'file' } });
+            this.hideLoading();
+        } catch (error) {
+            console.error('Error loading environment:', error);
+            this.showError(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Loads a user-supplied .glb/.gltf and drives it with the procedural cat's clips.
+     * `jointMap` maps CatModel joint names (hips, skull, tail1...) to bone names in the file.
+     */
+    async loadExternalModel(file, { jointMap } = {}) {
+        if (!/\.(glb|gltf)$/i.test(file.name)) {
+            this.showError(`"${file.name}" is not a .glb or .gltf file.`);
+            return;
+        }
+
+        this.showLoading(`Loading ${file.name}...`);
+        try {
+            const gltf = await loadGLTFFile(file);
+            const source = this.catModel instanceof CatModel ? this.catModel : this.createCatModel();
+            const imported = new ImportedCat(gltf, { source, jointMap, name: file.name.replace(/\.[^.]+$/, '') });
+            if (source !== this.catModel) source.dispose();
+
+            this.swapModel(imported);
+            this.hideLoading();
+        } catch (error) {
+            console.error('Error importing model:', error);
+            this.showError(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Wears a user-supplied .glb/.gltf on `socket` (see ACCESSORY_SOCKETS).
+     * Its blob URL only lives as long as the page, so it stays out of links.
+     */
+    async loadAccessory(file, socket) {
+        if (!/\.(glb|gltf)$/i.test(file.name)) {
+            this.showError(`"${file.name}" is not a .glb or .gltf file.`);
+            return;
+        }
+        const previous = this.state.accessories[socket];
+        if (previous?.url?.startsWith('blob:')) URL.revokeObjectURL(previous.url);
+
+        this.showLoading(`Loading ${file.name}...`);
+        const url = URL.createObjectURL(file);
+        const params = previous?.item === 'gltf' ? previous.params : {};
+        this.setState({ accessories: { ...this.state.accessories, [socket]: { item: 'gltf', params, url } } });
+        if (await this.accessoriesLoaded) this.hideLoading();
+    }
+
+    // Loading overlay (optional; errors are also sent as events)
+    showLoading(message) {
+        if (!this.loading) return;
+        this.loading.classList.remove('hidden', 'error');
+        this.loading.onclick = null;
+        this.loading.querySelector('p').textContent = message;
+    }
+
+    showError(message) {
+        this.emit('error', { message });
+        if (!this.loading) return;
+        this.showLoading(`${message} Click to dismiss.`);
+        this.loading.classList.add('error');
+        this.loading.onclick = () => this.hideLoading();
+    }
+
+    hideLoading() {
+        this.loading?.classList.add('hidden');
+    }
+
+    async exportModel(binary) {
+        try {
+            const result = await this.catModel.exportGLTF({ binary });
+            const blob = binary
+                ? new Blob([result], { type: 'model/gltf-binary' })
+                : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+
+            this.download(blob, `${this.catModel.spec?.name || this.catModel.name || 'cat'}.${binary ? 'glb' : 'gltf'}`);
+        } catch (error) {
+            console.error('Error exporting cat model:', error);
+            this.showError(`Could not export the cat: ${error.message}`);
+        }
+    }
+
+    /**
+     * PNG of the current view; `{ width, height, transparent }`
+     */
+    snapshot(options) {
+        return this.capture.snapshot(options);
+    }
+
+    /**
+     * WebM of the camera circling the cat; `{ duration, fps, turns, width, height, transparent, onProgress }`
+     */
+    recordTurntable(options) {
+        return this.capture.recordTurntable(options);
+    }
+
+    /**
+     * Sprite sheet PNG and JSON atlas of a pose from several angles; `{ pose, angles, frames, size, transparent }`
+     */
+    captureSpriteSheet(options) {
+        return this.capture.spriteSheet(options);
+    }
+
+    download(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Raycasts a pointer event against the cat; `part` is the named part under it, if any
+     */
+    pick(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+
+        const hit = raycaster.intersectObject(this.catModel.getGroup(), true).find(h => h.object.isMesh);
+        if (!hit) return { raycaster, ray: raycaster.ray, hit: null, part: null };
+
+        // Report the named part, not an anonymous child mesh
+        let object = hit.object;
+        while (object.parent && !object.name) object = object.parent;
+        return { raycaster, ray: raycaster.ray, hit, part: object.name };
+    }
+
+    onHover(event) {
+        const interaction = this.catModel.interaction;
+        if (!interaction) return;
+
+        // Off the cat, look at the point on the ray as far away as the controls' target
+        const { ray, hit, part } = this.pick(event);
+        const distance = this.camera.position.distanceTo(this.controls.target);
+        interaction.lookAt(hit ? hit.point : ray.at(distance, new THREE.Vector3()));
+        interaction.touch(part, { kind: 'hover', point: hit?.point.toArray() ?? null });
+    }
+
+    /**
+     * Finds the cat part (or prop) under a click, lets the cat react and
+     * reports it as `catclick` (or `propclick`)
+     */
+    onClick(event) {
+        const { raycaster, hit, part } = this.pick(event);
+        if (!hit) {
+            this.onPropClick(this.stage.pickProp(raycaster));
+            return;
+        }
+
+        const point = hit.point.toArray();
+        this.catModel.interaction?.touch(part, { kind: 'click', point });
+        this.emit('catclick', { part, point });
+    }
+
+    onPropClick(prop) {
+        if (!prop) return;
+
+        const { state, meow } = this.stage.interact(prop, this.catModel);
+        if (state) this.setState(state);
+        if (meow) this.audio?.meow();
+        this.emit('propclick', { prop: prop.userData.prop });
+    }
+
+    containerSize() {
+        return {
+            width: Math.max(this.container.clientWidth, 1),
+            height: Math.max(this.container.clientHeight, 1),
+        };
+    }
+
+    onResize() {
+        // A capture owns the renderer's size until it ends, then calls this again
+        if (this.capture.busy) return;
+
+        const { width, height } = this.containerSize();
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        this.renderer.setSize(width, height);
+        this.invalidate();
+    }
+
+    /**
+     * Asks for a redraw on the next frame, e.g. after changing the scene while paused
+     */
+    invalidate() {
+        this.needsRender = true;
+    }
+
+    animate(now = performance.now()) {
+        this.frame = requestAnimationFrame(time => this.animate(time));
+
+        // Out of view, keep time a few times a second without drawing
+        if (!this.onscreen && now - this.clock.last < OFFSCREEN_INTERVAL * 1000) return;
+
+        const steps = this.clock.tick(now);
+
+        // Captures step the scene themselves at a fixed timestep
+        if (this.capture.busy) return;
+
+        // Update controls (auto-rotate turns in real time, paused or not)
+        const moved = this.controls.update(this.clock.elapsed);
+
+        // Steps only change the picture if something was moving, or starts to (a blink, say)
+        let changed = steps > 0 && this.isAnimating();
+        for (let i = 0; i < steps; i++) {
+            this.advance(this.clock.delta);
+        }
+        // Changes made while paused still have to reach the bones
+        if (this.needsRender && steps === 0) this.advance(0);
+        if (steps > 0) {
+            changed ||= this.isAnimating();
+            this.emitTime();
+        }
+
+        // Render scene, only when something changed
+        const rendered = this.onscreen && (changed || moved || this.needsRender);
+
+        // Only back-to-back draws say how long a frame takes
+        if (rendered && this.renderedLast && this.state.quality === 'auto' && this.quality.sample(this.clock.elapsed)) {
+            this.applyQuality();
+        }
+        this.renderedLast = rendered;
+
+        if (rendered) {
+            this.updateDetail();
+            this.renderer.render(this.scene, this.camera);
+            this.needsRender = false;
+        }
+
+        const tier = this.state.quality === 'auto' ? `auto: ${this.quality.tier}` : this.state.quality;
+        this.stats.tick(this.clock.elapsed, rendered, this.renderer.info, { tier, detail: this.catModel.detail ?? 'high' });
+    }
+
+    /**
+     * Whether anything on screen is moving: a clip that isn't still or a crossfade,
+     * a morph or lighting blend, the head following a point, or a prop
+     */
+    isAnimating() {
+        const model = this.catModel;
+        return model.animator.isMoving()
+            || Boolean(model.morph?.tween)
+            || model.interaction?.moving === true
+            || this.lighting.blend !== null
+            || this.stage.isMoving(model);
+    }
+
+    /**
+     * Moves everything animated (clips, crossfades, props, lighting blends) on by `delta` seconds
+     */
+    advance(delta) {
+        this.catModel.update(delta);
+        this.stage.update(delta, this.catModel);
+        this.lighting.update(delta);
+    }
+
+    /**
+     * Pauses the animation; the camera can still be moved
+     */
+    pause() {
+        this.clock.pause();
+        this.emitTime();
+    }
+
+    play() {
+        this.clock.play();
+        this.emitTime();
+    }
+
+    /**
+     * Playback speed, 0.1 (slow motion) to 4
+     */
+    setSpeed(speed) {
+        this.clock.setSpeed(speed);
+        this.emitTime();
+    }
+
+    /**
+     * Moves on `frames` clock steps (at the current speed); meant for stepping while paused
+     */
+    step(frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            this.advance(this.clock.delta);
+        }
+        this.invalidate();
+        this.emitTime();
+    }
+
+    /**
+     * Jumps the active clip to `time` seconds (clamped to its length)
+     */
+    seek(time) {
+        const { animator } = this.catModel;
+        const action = animator.current && animator.getAction(animator.current);
+        if (!action) return;
+        action.time = THREE.MathUtils.clamp(time, 0, action.getClip().duration);
+        this.advance(0);
+        this.invalidate();
+        this.emitTime();
+    }
+
+    /**
+     * Where playback is: `{ paused, speed, pose, time, duration }` (time within the active clip)
+     */
+    getPlayback() {
+        const { animator } = this.catModel;
+        const action = animator.current && animator.getAction(animator.current);
+        return {
+            paused: this.clock.paused,
+            speed: this.clock.speed,
+            pose: animator.current,
+            time: action ? action.time : 0,
+            duration: action ? action.getClip().duration : 0,
+        };
+    }
+
+    emitTime() {
+        this.emit('timeupdate', this.getPlayback());
+    }
+
+    /**
+     * Stops rendering and frees the GPU resources, observers and listeners
+     */
+    dispose() {
+        cancelAnimationFrame(this.frame);
+        this.resizeObserver.disconnect();
+        this.intersectionObserver.disconnect();
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.controls.dispose();
+
+        this.audio?.dispose();
+        this.stats.dispose();
+        this.accessibility.dispose();
+        this.catModel.dispose();
+        this.lighting.dispose();
+        this.stage.dispose();
+        this.scene.traverse((object) => {
+            object.geometry?.dispose();
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                if (!material) return;
+                Object.values(material).forEach(value => value?.isTexture && value.dispose());
+                material.dispose();
+            });
+            object.shadow?.map?.dispose();
+        });
+
+        if (this.ownsRenderer) this.renderer.dispose();
+        if (this.ownsCanvas) this.canvas.remove();
+    }
+}
@@ -0,0 +1,306 @@
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+
+/**
+ * Lighting rig - the viewer's lights, tone mapping and environment map,
+ * driven by plain settings objects so presets can be blended and serialised.
+ */
+
+// Rig lights; ambient has no position or shadow
+export const LIGHT_NAMES = ['ambient', 'key', 'fill', 'rim', 'glint'];
+
+export const TONE_MAPPINGS = {
+    none: THREE.NoToneMapping,
+    linear: THREE.LinearToneMapping,
+    reinhard: THREE.ReinhardToneMapping,
+    cineon: THREE.CineonToneMapping,
+    aces: THREE.ACESFilmicToneMapping,
+    agx: THREE.AgXToneMapping,
+};
+
+// Image-based lighting sources; 'file' is whatever HDR/EXR was loaded last
+export const ENVIRONMENTS = {
+    none: { label: 'None' },
+    room: { label: 'Studio Room' },
+    file: { label: 'Loaded HDR / EXR' },
+};
+
+export const LIGHTING_PRESETS = {
+    studio: {
+        label: 'Studio',
+        background: '#0a0a0f',
+        exposure: 1.2,
+        lights: {
+            ambient: { color: '#ffffff', intensity: 0.3 },
+            key: { color: '#fff0dd', intensity: 1.2, position: [5, 8, 5], castShadow: true },
+            fill: { color: '#cfd5e6', intensity: 0.4, position: [-5, 3, -5], castShadow: false },
+            rim: { color: '#ffffff', intensity: 0.8, position: [0, 4, -5], castShadow: false },
+            glint: { color: '#ffffff', intensity: 0.5, position: [2, 2, 2], castShadow: false },
+        },
+    },
+    goldenHour: {
+        label: 'Golden Hour',
+        background: '#2a1a12',
+        exposure: 1.1,
+        lights: {
+            ambient: { color: '#ffd9b0', intensity: 0.25 },
+            key: { color: '#ffb066', intensity: 1.8, position: [8, 2.5, 3], castShadow: true },
+            fill: { color: '#8fa3d9', intensity: 0.3, position: [-5, 3, -3], castShadow: false },
+            rim: { color: '#ffcf8a', intensity: 1.0, position: [-2, 3, -6], castShadow: false },
+            glint: { color: '#fff2e0', intensity: 0.4, position: [2, 2, 2], castShadow: false },
+        },
+    },
+    night: {
+        label: 'Night',
+        background: '#04060d',
+        exposure: 0.9,
+        lights: {
+            ambient: { color: '#6677aa', intensity: 0.15 },
+            key: { color: '#9fb4ff', intensity: 0.6, position: [-4, 9, 3], castShadow: true },
+            fill: { color: '#34406b', intensity: 0.2, position: [5, 2, -4], castShadow: false },
+            rim: { color: '#b8c6ff', intensity: 0.9, position: [0, 5, -5], castShadow: false },
+            glint: { color: '#ffffff', intensity: 0.9, position: [1.5, 1.8, 2.5], castShadow: false },
+        },
+    },
+    backlit: {
+        label: 'Backlit',
+        background: '#101018',
+        exposure: 1.3,
+        lights: {
+            ambient: { color: '#ffffff', intensity: 0.15 },
+            key: { color: '#fff6ea', intensity: 0.35, position: [3, 4, 6], castShadow: false },
+            fill: { color: '#cfd5e6', intensity: 0.2, position: [-5, 2, 3], castShadow: false },
+            rim: { color: '#ffffff', intensity: 2.4, position: [0, 3, -6], castShadow: true },
+            glint: { color: '#ffffff', intensity: 0.4, position: [2, 2, 2], castShadow: false },
+        },
+    },
+};
+
+// Full-quality shadow map size of each light that can cast one
+export const SHADOW_MAP_SIZES = { key: 2048, fill: 1024, rim: 1024 };
+
+// Smallest shadow map setShadowScale() goes down to
+const MIN_SHADOW_MAP_SIZE = 128;
+
+export const DEFAULT_LIGHTING = {
+    preset: 'studio',
+    lights: {}, // Per-light overrides on top of the preset
+    toneMapping: 'aces',
+    exposure: null, // null follows the preset
+    environment: 'none',
+    environmentIntensity: 1,
+    environmentBackground: false,
+};
+
+/**
+ * Full light settings for a lighting state: the preset with the overrides on top
+ */
+export function resolveLighting(lighting = DEFAULT_LIGHTING) {
+    const preset = LIGHTING_PRESETS[lighting.preset] ?? LIGHTING_PRESETS.studio;
+    const lights = {};
+    LIGHT_NAMES.forEach((name) => {
+        lights[name] = { ...preset.lights[name], ...lighting.lights?.[name] };
+    });
+    return {
+        lights,
+        background: preset.background,
+        exposure: lighting.exposure ?? preset.exposure,
+        toneMapping: lighting.toneMapping ?? DEFAULT_LIGHTING.toneMapping,
+    };
+}
+
+// Values blended between presets, read from and written to the live scene
+function snapshot(rig) {
+    const lights = {};
+    LIGHT_NAMES.forEach((name) => {
+        const light = rig.lights[name];
+        lights[name] = {
+            color: light.color.clone(),
+            intensity: light.intensity,
+            position: light.position.clone(),
+        };
+    });
+    return { lights, background: rig.background.clone(), exposure: rig.renderer.toneMappingExposure };
+}
+
+function toTargets(settings) {
+    const lights = {};
+    LIGHT_NAMES.forEach((name) => {
+        const light = settings.lights[name];
+        lights[name] = {
+            color: new THREE.Color(light.color),
+            intensity: light.intensity,
+            position: new THREE.Vector3(...(light.position ?? [0, 0, 0])),
+        };
+    });
+    return { lights, background: new THREE.Color(settings.background), exposure: settings.exposure };
+}
+
+/**
+ * LightingRig - owns the lights of a scene and the renderer's tone mapping
+ */
+export class LightingRig {
+    constructor(scene, renderer) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.background = scene.background?.isColor ? scene.background : new THREE.Color();
+        this.blend = null;
+        this.environments = {};
+
+        // Ambient light (Dimmer for better contrast)
+        const ambient = new THREE.AmbientLight();
+
+        // Main directional light (Key light)
+        const key = new THREE.DirectionalLight();
+
+        // Fill and rim lights (Rim gives the black fur its outline)
+        const fill = new THREE.DirectionalLight();
+        const rim = new THREE.DirectionalLight();
+        [key, fill, rim].forEach((light) => {
+            light.shadow.bias = -0.0001;
+        });
+
+        // Eye glint
+        const glint = new THREE.PointLight(0xffffff, 1, 5);
+
+        this.lights = { ambient, key, fill, rim, glint };
+        Object.entries(this.lights).forEach(([name, light]) => {
+            light.name = `${name}Light`;
+            scene.add(light);
+        });
+
+        this.setShadowScale(1);
+        this.apply(DEFAULT_LIGHTING);
+    }
+
+    /**
+     * Applies a lighting state; with `duration` the lights, background and
+     * exposure blend there smoothly instead of jumping
+     */
+    apply(lighting, { duration = 0 } = {}) {
+        const settings = resolveLighting(lighting);
+
+        // Switches that cannot be blended happen straight away
+        LIGHT_NAMES.forEach((name) => {
+            if (name !== 'ambient') this.lights[name].castShadow = settings.lights[name].castShadow === true;
+        });
+        this.renderer.toneMapping = TONE_MAPPINGS[settings.toneMapping] ?? THREE.ACESFilmicToneMapping;
+
+        const to = toTargets(settings);
+        this.blend = { from: snapshot(this), to, elapsed: 0, duration };
+        this.update(0);
+
+        this.setEnvironment(lighting.environment ?? 'none', lighting);
+    }
+
+    /**
+     * Advances a running preset blend
+     */
+    update(delta) {
+        if (!this.blend) return;
+
+        const { from, to, duration } = this.blend;
+        this.blend.elapsed += delta;
+        const x = duration > 0 ? Math.min(this.blend.elapsed / duration, 1) : 1;
+        const t = x * x * (3 - 2 * x);
+
+        LIGHT_NAMES.forEach((name) => {
+            const light = this.lights[name];
+            light.color.lerpColors(from.lights[name].color, to.lights[name].color, t);
+            light.intensity = THREE.MathUtils.lerp(from.lights[name].intensity, to.lights[name].intensity, t);
+            light.position.lerpVectors(from.lights[name].position, to.lights[name].position, t);
+        });
+        this.background.lerpColors(from.background, to.background, t);
+        this.scene.fog?.color.copy(this.background);
+        this.renderer.toneMappingExposure = THREE.MathUtils.lerp(from.exposure, to.exposure, t);
+
+        if (x === 1) this.blend = null;
+    }
+
+    /**
+     * Sizes every shadow map at `scale` of its SHADOW_MAP_SIZES entry
+     * (the viewer's adaptive quality lowers it on slow devices)
+     */
+    setShadowScale(scale) {
+        this.shadowScale = scale;
+        Object.entries(SHADOW_MAP_SIZES).forEach(([name, size]) => {
+            const { shadow } = this.lights[name];
+            const mapSize = Math.max(Math.round(size * scale), MIN_SHADOW_MAP_SIZE);
+            if (shadow.mapSize.x === mapSize) return;
+
+            shadow.mapSize.set(mapSize, mapSize);
+            // The renderer allocates a new map at the new size on its next shadow pass
+            shadow.map?.dispose();
+            shadow.map = null;
+        });
+    }
+
+    pmrem() {
+        this.pmremGenerator ??= new THREE.PMREMGenerator(this.renderer);
+        return this.pmremGenerator;
+    }
+
+    /**
+     * Image-based lighting: 'none', 'room' (bundled RoomEnvironment) or 'file'
+     * (the last HDR/EXR loaded with loadEnvironment)
+     */
+    setEnvironment(source, { environmentIntensity = 1, environmentBackground = false } = {}) {
+        if (source === 'room' && !this.environments.room) {
+            this.environments.room = this.pmrem().fromScene(new RoomEnvironment(this.renderer), 0.04).texture;
+        }
+        const texture = source === 'none' ? null : this.environments[source] ?? null;
+
+        this.environment = texture ? source : 'none';
+        this.environmentIntensity = environmentIntensity;
+        this.scene.environment = texture;
+        this.scene.background = texture && environmentBackground ? texture : this.background;
+        this.applyEnvironmentIntensity(this.scene);
+    }
+
+    /**
+     * Loads a user-supplied .hdr or .exr File as the 'file' environment
+     */
+    async loadEnvironment(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const Loader = { hdr: RGBELoader, exr: EXRLoader }[extension];
+        if (!Loader) {
+            throw new Error(`"${file.name}" is not an .hdr or .exr file`);
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            const equirect = await new Loader().loadAsync(url);
+            equirect.mapping = THREE.EquirectangularReflectionMapping;
+            this.environments.file?.dispose();
+            this.environments.file = this.pmrem().fromEquirectangular(equirect).texture;
+            equirect.dispose();
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Sets envMapIntensity on every standard material under `root`
+     * (call again after adding a new cat to the scene)
+     */
+    applyEnvironmentIntensity(root) {
+        root.traverse((object) => {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                if (material && 'envMapIntensity' in material) material.envMapIntensity = this.environmentIntensity;
+            });
+        });
+    }
+
+    dispose() {
+        Object.values(this.lights).forEach((light) => {
+            light.shadow?.map?.dispose();
+            light.removeFromParent();
+        });
+        Object.values(this.environments).forEach(texture => texture.dispose());
+        this.pmremGenerator?.dispose();
+        this.scene.environment = null;
+    }
+}
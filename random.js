@@ -0,0 +1,55 @@
+/**
+ * Seeded random numbers, so a procedural cat can be rebuilt exactly from its seed.
+ */
+
+export const DEFAULT_SEED = 1;
+
+/**
+ * Turns a numeric or string seed into a 32-bit unsigned integer
+ */
+export function hashSeed(seed) {
+    if (Number.isInteger(seed)) return seed >>> 0;
+
+    // FNV-1a over the string form
+    let hash = 0x811c9dc5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * SeededRandom - mulberry32 generator. `fork(label)` derives an independent
+ * stream, so each procedural step keeps its numbers when another step changes.
+ */
+export class SeededRandom {
+    constructor(seed = DEFAULT_SEED) {
+        this.seed = hashSeed(seed);
+        this.state = this.seed;
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Next number in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    fork(label) {
+        return new SeededRandom(hashSeed(`${this.seed}:${label}`));
+    }
+}
@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+
+/**
+ * DeformableSplineTube - re-evaluates a tube mesh every frame from a
+ * Catmull-Rom curve whose control points ride on other objects (usually
+ * skeleton joints), so the tube bends with the skeleton instead of moving rigidly.
+ *
+ * Each control is `{ object, offset }`: the point `offset` in `object`'s local space.
+ */
+export class DeformableSplineTube {
+    constructor(mesh, controls, { radius, radialSegments = 16, tubularSegments = 64, taper = 1 }) {
+        this.mesh = mesh;
+        this.controls = controls.map(({ object, offset }) => ({ object, offset: offset ? offset.clone() : new THREE.Vector3() }));
+        this.radius = radius;
+        this.radialSegments = radialSegments;
+        this.tubularSegments = tubularSegments;
+        this.taper = taper;
+
+        this.curve = new THREE.CatmullRomCurve3(this.controls.map(() => new THREE.Vector3()));
+        this._toLocal = new THREE.Matrix4();
+        this._point = new THREE.Vector3();
+        this._normal = new THREE.Vector3();
+    }
+
+    /**
+     * Moves the control points to their objects and rewrites the tube in place.
+     * Expects world matrices to be up to date.
+     */
+    update() {
+        this._toLocal.copy(this.mesh.matrixWorld).invert();
+        this.controls.forEach(({ object, offset }, i) => {
+            this.curve.points[i].copy(offset).applyMatrix4(object.matrixWorld).applyMatrix4(this._toLocal);
+        });
+        this.curve.updateArcLengths();
+
+        const geometry = this.mesh.geometry;
+        const positions = geometry.attributes.position;
+        const normals = geometry.attributes.normal;
+        const frames = this.curve.computeFrenetFrames(this.tubularSegments, false);
+
+        // Same vertex layout as THREE.TubeGeometry, so its index and uvs stay valid
+        let index = 0;
+        for (let i = 0; i <= this.tubularSegments; i++) {
+            const u = i / this.tubularSegments;
+            const radius = this.radius * (1 + (this.taper - 1) * u);
+            const N = frames.normals[i];
+            const B = frames.binormals[i];
+            this.curve.getPointAt(u, this._point);
+
+            for (let j = 0; j <= this.radialSegments; j++) {
+                const v = j / this.radialSegments * Math.PI * 2;
+                const sin = Math.sin(v);
+                const cos = -Math.cos(v);
+
+                this._normal.set(
+                    cos * N.x + sin * B.x,
+                    cos * N.y + sin * B.y,
+                    cos * N.z + sin * B.z
+                ).normalize();
+                normals.setXYZ(index, this._normal.x, this._normal.y, this._normal.z);
+                positions.setXYZ(
+                    index,
+                    this._point.x + radius * this._normal.x,
+                    this._point.y + radius * this._normal.y,
+                    this._point.z + radius * this._normal.z
+                );
+                index++;
+            }
+        }
+
+        positions.needsUpdate = true;
+        normals.needsUpdate = true;
+        geometry.computeBoundingSphere();
+    }
+}
@@ -0,0 +1,121 @@
+import './helpers/dom.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CatCrowd, CROWD_FRAME_RATE } from '../cat-crowd.js';
+import { CatAnimator } from '../cat-animation.js';
+import { CatModel } from '../cat-model.js';
+import { DEFAULT_CAT_SPEC } from '../cat-spec.js';
+import { DeformableSplineTube } from '../spline-tube.js';
+import { seedRange } from '../cat-thumbnails.js';
+import { SoftwareRenderer } from './helpers/software-renderer.js';
+
+// Draw calls for a crowd of `count` cats seen from high above
+function drawCalls(count) {
+    const crowd = new CatCrowd(seedRange(1, count));
+    const scene = new THREE.Scene();
+    scene.add(crowd.group);
+    const camera = new THREE.PerspectiveCamera(60, 4 / 3, 0.1, 100);
+    camera.position.set(0, 20, 10);
+    camera.lookAt(0, 0, 0);
+
+    const renderer = new SoftwareRenderer({ width: 40, height: 30 });
+    renderer.render(scene, camera);
+    crowd.dispose();
+    return renderer.info.render.calls;
+}
+
+describe('CatCrowd', () => {
+    it('costs the same draw calls for any number of cats', () => {
+        assert.equal(drawCalls(2), drawCalls(6));
+    });
+
+    it('places every part of every cat where its pose puts it', () => {
+        const crowd = new CatCrowd(seedRange(10, 4));
+        crowd.update(0.7);
+
+        // A cat of its own, posed at the frame each crowd cat shows
+        const reference = new CatModel(DEFAULT_CAT_SPEC, { detail: 'low' });
+        const matrix = new THREE.Matrix4();
+        const vertex = new THREE.Vector3();
+        crowd.cats.forEach((cat, i) => {
+            const frames = crowd.frames[cat.pose].length;
+            assert.equal(cat.frame, Math.floor((0.7 + cat.offset) * CROWD_FRAME_RATE) % frames, `frame of cat ${i}`);
+            reference.play(cat.pose, { fadeDuration: 0 }).time = cat.frame / CROWD_FRAME_RATE;
+            reference.animator.update(0);
+            reference.updateDeformers();
+
+            crowd.instanced.forEach((mesh) => {
+                mesh.getMatrixAt(i, matrix);
+                const expected = reference.getPart(mesh.name).matrixWorld.clone().premultiply(cat.matrix).elements;
+                assert.ok(matrix.elements.every((value, j) => Math.abs(value - expected[j]) < 1e-5), `${mesh.name} of cat ${i}`);
+            });
+
+            // Copied parts follow the deformed geometry of the frame
+            crowd.copies.forEach(({ mesh, parts, stride }) => {
+                const { position } = mesh.geometry.attributes;
+                let offset = i * stride;
+                parts.forEach(({ name }) => {
+                    const object = reference.getPart(name);
+                    vertex.fromBufferAttribute(object.geometry.attributes.position, 0).applyMatrix4(object.matrixWorld).applyMatrix4(cat.matrix);
+                    assert.ok(vertex.distanceTo(new THREE.Vector3().fromBufferAttribute(position, offset)) < 1e-5, `${name} of cat ${i}`);
+                    offset += object.geometry.attributes.position.count;
+                });
+            });
+        });
+        reference.dispose();
+        crowd.dispose();
+    });
+
+    it('gives each cat its own pose and coat colour', () => {
+        const crowd = new CatCrowd(seedRange(1, 8));
+        const poses = new Set(crowd.cats.map(cat => cat.pose));
+        assert.ok(poses.size > 1, 'poses differ');
+
+        const body = crowd.instanced.find(mesh => mesh.name === 'body');
+        const color = new THREE.Color();
+        crowd.cats.forEach((cat, i) => {
+            body.getColorAt(i, color);
+            assert.equal(color.getHex(), new THREE.Color(cat.traits.coat.color).getHex(), `coat of cat ${i}`);
+        });
+        crowd.dispose();
+    });
+
+    it('picks the cat under a ray', () => {
+        const crowd = new CatCrowd(seedRange(20, 4));
+        const body = crowd.instanced.find(mesh => mesh.name === 'body');
+        body.geometry.computeBoundingSphere();
+        const matrix = new THREE.Matrix4();
+        body.getMatrixAt(3, matrix);
+        const centre = body.geometry.boundingSphere.center.clone().applyMatrix4(matrix);
+        const raycaster = new THREE.Raycaster(centre.clone().add(new THREE.Vector3(0, 5, 0)), new THREE.Vector3(0, -1, 0));
+        const hit = crowd.pick(raycaster);
+        assert.equal(hit.index, 3);
+        assert.equal(hit.seed, 23);
+        assert.equal(hit.cat, crowd.cats[3]);
+        crowd.dispose();
+    });
+
+    it('poses one cat for the whole crowd, while it is built and never after', (t) => {
+        const built = t.mock.method(CatModel.prototype, 'buildCat');
+        const crowd = new CatCrowd(seedRange(1, 24));
+        assert.equal(built.mock.callCount(), 1);
+
+        const animated = t.mock.method(CatAnimator.prototype, 'update');
+        const deformed = t.mock.method(DeformableSplineTube.prototype, 'update');
+        for (let frame = 0; frame < 30; frame++) crowd.update(1 / 60);
+        assert.equal(animated.mock.callCount(), 0);
+        assert.equal(deformed.mock.callCount(), 0);
+        crowd.dispose();
+    });
+
+    it('updates 120 cats well within a 60 fps frame', () => {
+        const crowd = new CatCrowd(seedRange(1, 120));
+        const frames = 60;
+        const start = performance.now();
+        for (let frame = 0; frame < frames; frame++) crowd.update(1 / 60);
+        const perFrame = (performance.now() - start) / frames;
+        assert.ok(perFrame < 8, `${perFrame.toFixed(2)} ms per update`);
+        crowd.dispose();
+    });
+});
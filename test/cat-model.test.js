@@ -0,0 +1,454 @@
+import './helpers/dom.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CatModel } from '../cat-model.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { ACCESSORY_SOCKETS } from '../cat-accessories.js';
+import { DEFAULT_CAT_SPEC } from '../cat-spec.js';
+import { FUR_QUALITY } from '../cat-fur.js';
+import { catConstraintErrors, generateCat } from '../cat-generator.js';
+import { morphCatSpec } from '../cat-morph.js';
+
+const PAWS = ['frontLeftPaw', 'frontRightPaw', 'backLeftPaw', 'backRightPaw'];
+const POSES = ['idle', 'sit', 'stand', 'walk', 'stretch', 'groom'];
+
+// Left part → right part, mirrored across x = 0
+const PAIRS = [
+    ['leftEar', 'rightEar'],
+    ['leftInnerEar', 'rightInnerEar'],
+    ['leftEye', 'rightEye'],
+    ['leftPupil', 'rightPupil'],
+    ['frontLeftLeg', 'frontRightLeg'],
+    ['backLeftLeg', 'backRightLeg'],
+    ['frontLeftPaw', 'frontRightPaw'],
+    ['backLeftPaw', 'backRightPaw'],
+];
+
+// A cat holding still: no random blinks or twitches
+function stillCat(spec, options) {
+    const cat = new CatModel(spec, options);
+    cat.behaviours.enabled = false;
+    cat.update(0);
+    return cat;
+}
+
+// Exact bounds of the current (deformed) geometry
+const bounds = object => new THREE.Box3().setFromObject(object, true);
+
+const close = (actual, expected, tolerance, message) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+describe('CatModel structure', () => {
+    it('builds one object per spec part and one bone per joint', () => {
+        const cat = stillCat();
+        assert.equal(Object.keys(cat.parts).length, DEFAULT_CAT_SPEC.parts.length);
+        assert.equal(Object.keys(cat.joints).length, DEFAULT_CAT_SPEC.joints.length);
+
+        DEFAULT_CAT_SPEC.parts.forEach(({ name, shape }) => {
+            const part = cat.getGroup().getObjectByName(name);
+            assert.ok(part, `${name} is in the group`);
+            assert.equal(shape.type === 'whiskers' ? part.isLineSegments : part.isMesh, true, `${name} has the right kind of object`);
+        });
+        Object.values(cat.joints).forEach(joint => assert.ok(joint.isBone));
+    });
+
+    it('grows shell fur on the fur parts at the chosen quality', () => {
+        const cat = stillCat(undefined, { fur: { quality: 'medium' } });
+        const shells = [];
+        cat.getGroup().traverse(object => object.name === 'furShells' && shells.push(object));
+        assert.equal(shells.length, cat.fur.options.parts.length);
+        shells.forEach(group => assert.equal(group.children.length, FUR_QUALITY.medium.layers));
+
+        const bare = stillCat(undefined, { fur: { quality: 'low' } });
+        assert.equal(bare.getGroup().getObjectByName('furShells'), undefined);
+    });
+
+    it('fits the expected bounding box, centred on x', () => {
+        const box = bounds(stillCat().getGroup());
+        close(box.min.x, -box.max.x, 1e-6, 'x is centred');
+        close(box.max.x - box.min.x, 1.04, 0.02, 'width');
+        close(box.max.y - box.min.y, 1.64, 0.02, 'height');
+        close(box.max.z - box.min.z, 3.76, 0.02, 'length');
+    });
+
+    it('stands with every paw on the ground plane', () => {
+        const cat = stillCat();
+        PAWS.forEach(name => close(bounds(cat.getPart(name)).min.y, 0, 0.05, `${name} bottom`));
+        close(bounds(cat.getGroup()).min.y, 0, 0.05, 'lowest point');
+    });
+
+    it('is mirror-symmetric: ears, eyes, legs and paws', () => {
+        const cat = stillCat();
+        PAIRS.forEach(([left, right]) => {
+            const a = bounds(cat.getPart(left));
+            const b = bounds(cat.getPart(right));
+            close(a.min.x, -b.max.x, 1e-3, `${left} / ${right} outer x`);
+            close(a.max.x, -b.min.x, 1e-3, `${left} / ${right} inner x`);
+            ['y', 'z'].forEach((axis) => {
+                close(a.min[axis], b.min[axis], 1e-3, `${left} / ${right} min ${axis}`);
+                close(a.max[axis], b.max[axis], 1e-3, `${left} / ${right} max ${axis}`);
+            });
+        });
+    });
+
+    it('has whiskers mirrored on both sides of the snout', () => {
+        const whiskers = stillCat().getPart('whiskers');
+        whiskers.updateWorldMatrix(true, false);
+        const positions = whiskers.geometry.attributes.position;
+        const points = Array.from({ length: positions.count }, (_, i) => new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(whiskers.matrixWorld));
+
+        const left = points.filter(point => point.x < -1e-6);
+        const right = points.filter(point => point.x > 1e-6);
+        assert.equal(left.length, right.length);
+        assert.ok(left.length >= DEFAULT_CAT_SPEC.parts.find(part => part.name === 'whiskers').shape.count);
+        left.forEach((point) => {
+            const mirrored = new THREE.Vector3(-point.x, point.y, point.z);
+            assert.ok(right.some(other => other.distanceTo(mirrored) < 1e-4), `whisker point ${point.toArray()} has a mirror image`);
+        });
+    });
+
+    it('builds and morphs a spec without joints', () => {
+        const spec = { version: 1, parts: [{ name: 'blob', shape: { type: 'sphere', radius: 0.5 }, material: 'blackFurMaterial' }] };
+        assert.equal(morphCatSpec(spec, { age: 0, weight: 1 }).parts.length, 1);
+
+        const cat = stillCat(spec);
+        assert.ok(cat.getPart('blob'));
+        cat.setMorph({ age: 0.5, weight: -1 });
+        cat.update(0.1);
+        assert.equal(cat.getMorph().weight, -1);
+    });
+});
+
+describe('CatModel detail levels', () => {
+    const triangles = (cat) => {
+        let count = 0;
+        cat.getGroup().traverse((object) => {
+            if (object.isMesh && object.parent.name !== 'furShells') count += object.geometry.index.count / 3;
+        });
+        return count;
+    };
+
+    it('drops segments at lower detail and keeps the cat in shape', () => {
+        const cat = stillCat();
+        const full = triangles(cat);
+        const box = bounds(cat.getGroup());
+
+        cat.setDetail('medium');
+        const medium = triangles(cat);
+        cat.setDetail('low');
+        const low = triangles(cat);
+        assert.ok(medium < full * 0.5 && low < medium * 0.5, `${full} > ${medium} > ${low} triangles`);
+
+        // Coarser, but the same size, still on its paws and still symmetric
+        const coarse = bounds(cat.getGroup());
+        close(coarse.max.y - coarse.min.y, box.max.y - box.min.y, 0.05, 'height');
+        close(coarse.max.z - coarse.min.z, box.max.z - box.min.z, 0.05, 'length');
+        PAWS.forEach(name => close(bounds(cat.getPart(name)).min.y, 0, 0.05, `${name} bottom`));
+        PAIRS.forEach(([left, right]) => close(bounds(cat.getPart(left)).min.x, -bounds(cat.getPart(right)).max.x, 1e-3, `${left} / ${right}`));
+
+        cat.setDetail('high');
+        assert.equal(triangles(cat), full);
+    });
+
+    it('gives the new geometry the coat positions of the first build', () => {
+        const cat = stillCat();
+        cat.setMorph({ age: 0, legLength: 1 });
+        const coatBounds = name => new THREE.Box3().setFromBufferAttribute(cat.getPart(name).geometry.attributes.coatPosition);
+        const names = ['body', 'chest', 'frontLeftLeg', 'tail', 'tailTip'];
+        const full = names.map(coatBounds);
+
+        cat.setDetail('low');
+        names.forEach((name, i) => {
+            const low = coatBounds(name);
+            ['min', 'max'].forEach(end => assert.ok(low[end].distanceTo(full[i][end]) < 0.05, `${name} coat ${end}`));
+        });
+    });
+
+    it('keeps the fur shells on the swapped geometry', () => {
+        const cat = stillCat(undefined, { fur: { quality: 'medium' } });
+        cat.setDetail('low');
+        cat.getGroup().traverse((object) => {
+            if (object.name === 'furShells') object.children.forEach(shell => assert.equal(shell.geometry, object.parent.geometry));
+        });
+        assert.throws(() => cat.setDetail('ultra'), /Unknown detail level/);
+    });
+});
+
+describe('CatModel merged parts', () => {
+    const visibleMeshes = (cat) => {
+        let count = 0;
+        cat.getGroup().traverseVisible((object) => { if (object.isMesh) count++; });
+        return count;
+    };
+
+    it('draws the static parts as one mesh per material, posed like the parts', () => {
+        const cat = stillCat();
+        const separate = visibleMeshes(cat);
+        cat.setMerged(true);
+        assert.ok(visibleMeshes(cat) < separate - 5, `${visibleMeshes(cat)} meshes merged from ${separate}`);
+
+        cat.play('walk', { fadeDuration: 0 });
+        cat.update(0.4);
+        const skinned = new THREE.Vector3();
+        const original = new THREE.Vector3();
+        cat.merged.meshes.forEach(({ mesh, objects }) => {
+            assert.ok(objects.every(object => !object.visible), `${mesh.name} hides its parts`);
+            objects.forEach((object, i) => {
+                const { start } = mesh.geometry.groups[i];
+                const vertex = mesh.geometry.index ? mesh.geometry.index.getX(start) : start;
+                mesh.getVertexPosition(vertex, skinned).applyMatrix4(mesh.matrixWorld);
+                original.fromBufferAttribute(object.geometry.attributes.position, object.geometry.index.getX(0)).applyMatrix4(object.matrixWorld);
+                assert.ok(skinned.distanceTo(original) < 1e-4, `${object.name} in ${mesh.name}`);
+            });
+        });
+
+        cat.setMerged(false);
+        assert.equal(visibleMeshes(cat), separate);
+    });
+
+    it('rebuilds after a morph or a detail change and steps aside while a morph eases in', () => {
+        const cat = stillCat(undefined, { merge: true });
+        const [first] = cat.merged.meshes;
+
+        cat.setMorph({ weight: 1 }, { duration: 1 });
+        cat.update(0.5);
+        assert.equal(cat.merged.meshes.length, 0);
+        cat.update(1);
+        assert.ok(cat.merged.meshes.length > 0 && cat.merged.meshes[0] !== first);
+
+        const built = cat.merged.meshes[0];
+        cat.setDetail('low');
+        cat.update(0);
+        assert.notEqual(cat.merged.meshes[0], built);
+    });
+});
+
+describe('CatModel accessories', () => {
+    // A one-triangle glTF, 2 wide and 1 tall, as a data URL
+    const triangleGLTF = () => {
+        const positions = Buffer.from(new Float32Array([0, 0, 0, 2, 0, 0, 0, 1, 0]).buffer);
+        const gltf = {
+            asset: { version: '2.0' },
+            scenes: [{ nodes: [0] }],
+            nodes: [{ mesh: 0 }],
+            meshes: [{ primitives: [{ attributes: { POSITION: 0 }, material: 0 }] }],
+            materials: [{ pbrMetallicRoughness: { baseColorFactor: [1, 0.5, 0.5, 1] } }],
+            accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [2, 1, 0] }],
+            bufferViews: [{ buffer: 0, byteLength: positions.length }],
+            buffers: [{ byteLength: positions.length, uri: `data:application/octet-stream;base64,${positions.toString('base64')}` }],
+        };
+        return `data:model/gltf+json;base64,${Buffer.from(JSON.stringify(gltf)).toString('base64')}`;
+    };
+
+    // Where a socket should be: its point on the part, wherever the part is now
+    const expectedSocket = (cat, name) => {
+        const { part, position } = ACCESSORY_SOCKETS[name];
+        return new THREE.Vector3().fromArray(position).applyMatrix4(cat.getPart(part).matrixWorld);
+    };
+
+    it('keeps accessories on their parts through poses and body-shape morphs', async () => {
+        const cat = stillCat(undefined, { merge: true });
+        await cat.setAccessories({ neck: { item: 'collar' }, headTop: { item: 'hat' }, tailTip: { item: 'bowTie' }, frontLeftPaw: { item: 'collar' } });
+        const hat = cat.getGroup().getObjectByName('accessory:headTop');
+        const size = new THREE.Vector3().setFromMatrixScale(hat.matrixWorld).x;
+
+        const check = (label) => {
+            cat.getGroup().updateMatrixWorld(true);
+            ['neck', 'headTop', 'tailTip', 'frontLeftPaw'].forEach((name) => {
+                const socket = cat.getGroup().getObjectByName(`socket:${name}`);
+                const actual = new THREE.Vector3().setFromMatrixPosition(socket.matrixWorld);
+                assert.ok(actual.distanceTo(expectedSocket(cat, name)) < 1e-5, `${name} while ${label}`);
+            });
+        };
+
+        ['walk', 'sit', 'groom'].forEach((pose) => {
+            cat.play(pose, { fadeDuration: 0 });
+            cat.update(0.7);
+            check(pose);
+        });
+
+        // A kitten's smaller head wears a smaller hat
+        cat.setMorph({ age: 0 });
+        cat.update(0);
+        check('a kitten');
+        assert.ok(new THREE.Vector3().setFromMatrixScale(hat.matrixWorld).x < size);
+    });
+
+    it('recolours in place, swaps and takes accessories off', async () => {
+        const cat = stillCat();
+        await cat.setAccessory('neck', 'bowTie', { params: { color: '#2244aa' } });
+        const bow = cat.getGroup().getObjectByName('accessory:neck');
+        assert.equal(bow.children[0].material.color.getHexString(), '2244aa');
+
+        await cat.setAccessory('neck', 'bowTie', { params: { color: '#11aa22' } });
+        assert.equal(cat.getGroup().getObjectByName('accessory:neck'), bow);
+        assert.equal(bow.children[0].material.color.getHexString(), '11aa22');
+        assert.deepEqual(cat.getAccessories(), { neck: { item: 'bowTie', params: { color: '#11aa22' } } });
+
+        await cat.setAccessories({ neck: { item: 'collar' }, face: { item: 'glasses' } });
+        assert.equal(bow.parent, null);
+        assert.deepEqual(Object.keys(cat.getAccessories()).sort(), ['face', 'neck']);
+        assert.equal(cat.getAccessories().neck.params.bell, '#e8c547');
+
+        await cat.setAccessories({});
+        assert.deepEqual(cat.getAccessories(), {});
+        assert.equal(cat.getGroup().getObjectByName('accessory:neck'), undefined);
+
+        await assert.rejects(cat.setAccessory('neck', 'monocle'), /Unknown accessory: monocle/);
+        await assert.rejects(cat.setAccessory('elbow', 'bowTie'), /Unknown accessory socket: elbow/);
+        await assert.rejects(cat.setAccessory('frontLeftPaw', 'hat'), /Accessory hat does not fit socket frontLeftPaw/);
+        await assert.rejects(cat.setAccessories({ tailTip: { item: 'glasses' } }), /does not fit/);
+    });
+
+    it('fits a glTF accessory to its socket and tints it', async () => {
+        const cat = stillCat();
+        await cat.setAccessory('tailTip', 'gltf', { url: triangleGLTF(), params: { color: '#808080' } });
+        const accessory = cat.getGroup().getObjectByName('accessory:tailTip');
+        const box = new THREE.Box3().setFromObject(accessory.children[0]);
+        close(box.max.x - box.min.x, 0.3, 1e-6, 'longest side');
+        close(box.min.y, 0, 1e-6, 'stands on the socket');
+
+        let triangle;
+        accessory.traverse((object) => { if (object.isMesh) triangle = object; });
+        assert.equal(triangle.material.color.getHex(), new THREE.Color(1, 0.5, 0.5).multiply(new THREE.Color('#808080')).getHex());
+    });
+
+    it('throws away a glTF accessory that something else replaced while it loaded', async (t) => {
+        // Counts the loaded model's geometries as they are disposed
+        let meshes = 0;
+        let disposed = 0;
+        const loadAsync = GLTFLoader.prototype.loadAsync;
+        t.mock.method(GLTFLoader.prototype, 'loadAsync', async function load(...args) {
+            const gltf = await loadAsync.apply(this, args);
+            gltf.scene.traverse((object) => {
+                if (!object.isMesh) return;
+                meshes++;
+                object.geometry.addEventListener('dispose', () => disposed++);
+            });
+            return gltf;
+        });
+
+        const cat = stillCat();
+        const loading = cat.setAccessory('tailTip', 'gltf', { url: triangleGLTF() });
+        await cat.setAccessory('tailTip', 'bowTie');
+        await loading;
+        assert.equal(cat.getAccessories().tailTip.item, 'bowTie');
+        assert.ok(meshes > 0);
+        assert.equal(disposed, meshes);
+    });
+});
+
+describe('CatModel poses', () => {
+    it('keeps the cat above the ground through every clip', () => {
+        const cat = stillCat();
+        POSES.forEach((pose) => {
+            cat.play(pose, { fadeDuration: 0 });
+            const { duration } = cat.animator.getClip(pose);
+            for (let i = 0; i < 12; i++) {
+                cat.update(duration / 12);
+                assert.ok(bounds(cat.getGroup()).min.y > -0.075, `${pose} at ${(i + 1) / 12} of the clip stays above ground`);
+            }
+        });
+    });
+
+    it('crossfades from one pose to the next', () => {
+        const cat = stillCat();
+        const skull = new THREE.Vector3();
+        const skullHeight = () => cat.getJoint('skull').getWorldPosition(skull).y;
+        const standing = skullHeight();
+
+        cat.play('sit', { fadeDuration: 0 });
+        cat.update(1);
+        const sitting = skullHeight();
+        assert.notEqual(sitting.toFixed(3), standing.toFixed(3));
+
+        cat.play('stand', { fadeDuration: 0 });
+        cat.update(1);
+        const stood = skullHeight();
+
+        // Halfway through a linear fade the skull is between the two poses
+        cat.play('sit', { fadeDuration: 0.5, easing: 'linear' });
+        cat.update(0.25);
+        const halfway = skullHeight();
+        assert.equal(cat.animator.current, 'sit');
+        assert.ok(halfway > Math.min(sitting, stood) && halfway < Math.max(sitting, stood), `${halfway} lies between ${stood} and ${sitting}`);
+
+        // Once the fade ends only the new pose is left
+        cat.update(0.5);
+        close(skullHeight(), sitting, 1e-3, 'skull height after the fade');
+        assert.equal(cat.animator.getAction('stand').isRunning(), false);
+    });
+
+    it('keeps a fading-in clip running through a zero-length update', () => {
+        const cat = stillCat();
+        cat.play('sit', { fadeDuration: 0.5 });
+        cat.update(0);
+        for (let i = 0; i < 60; i++) cat.update(1 / 60);
+        assert.equal(cat.animator.getAction('sit').isRunning(), true);
+        assert.equal(cat.animator.getAction('sit').getEffectiveWeight(), 1);
+    });
+});
+
+describe('CatModel appearance', () => {
+    it('setFurColor recolours the coat and its shell fur', () => {
+        const cat = stillCat();
+        cat.setFurColor(0xff8800);
+        assert.equal(cat.materials.blackFurMaterial.color.getHex(), 0xff8800);
+        cat.fur.materials.forEach(material => assert.equal(material.color.getHex(), 0xff8800));
+        assert.equal(cat.materials.whiteFurMaterial.color.getHex(), 0xffffff);
+    });
+
+    it('toggleWireframe switches the fur materials and hides the shells', () => {
+        const cat = stillCat();
+        const shells = [];
+        cat.getGroup().traverse(object => object.name === 'furShells' && shells.push(object));
+
+        cat.toggleWireframe(true);
+        assert.equal(cat.materials.blackFurMaterial.wireframe, true);
+        assert.equal(cat.materials.whiteFurMaterial.wireframe, true);
+        shells.forEach(group => assert.equal(group.visible, false));
+
+        cat.toggleWireframe(false);
+        assert.equal(cat.materials.blackFurMaterial.wireframe, false);
+        shells.forEach(group => assert.equal(group.visible, true));
+    });
+});
+
+describe('CatModel export', () => {
+    it('writes a GLB with the base clips and without the additive ones', async () => {
+        const cat = stillCat();
+        const glb = await cat.exportGLTF({ binary: true });
+        assert.equal(new TextDecoder().decode(new Uint8Array(glb, 0, 4)), 'glTF');
+
+        const gltf = await cat.exportGLTF();
+        const clips = gltf.animations.map(clip => clip.name);
+        assert.ok(clips.includes('sit'), 'sit is exported');
+        assert.ok(!clips.includes('blink'), 'blink is left out');
+        cat.dispose();
+    });
+});
+
+describe('Generated cats', () => {
+    it('gives the same cat for the same seed', () => {
+        assert.deepEqual(generateCat(42), generateCat(42));
+        assert.notDeepEqual(generateCat(42), generateCat(43));
+    });
+
+    it('only picks shapes whose parts stay apart and on the ground', () => {
+        for (let seed = 1; seed <= 25; seed++) {
+            const { morph } = generateCat(seed);
+            assert.deepEqual(catConstraintErrors(morphCatSpec(DEFAULT_CAT_SPEC, morph)), [], `seed ${seed}`);
+        }
+    });
+
+    it('keeps a kitten on its paws', () => {
+        const cat = stillCat();
+        cat.setMorph({ age: 0 });
+        cat.update(0);
+        const box = bounds(cat.getGroup());
+        assert.ok(box.max.z - box.min.z < 3, 'a kitten is shorter than a grown cat');
+        PAWS.forEach(name => close(bounds(cat.getPart(name)).min.y, 0, 0.05, `${name} bottom`));
+    });
+});
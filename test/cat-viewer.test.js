@@ -0,0 +1,385 @@
+import { frames, media, FakeIntersectionObserver } from './helpers/dom.js';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestViewer } from './helpers/viewer.js';
+import { decodeState, encodeState, mergeState, DEFAULT_VIEWER_STATE, PresetStore } from '../viewer-state.js';
+import { ViewerClock } from '../viewer-clock.js';
+import { describeCat } from '../viewer-accessibility.js';
+
+const FRAME = 1000 / 60;
+
+describe('CatViewer', () => {
+    let viewer;
+    let now;
+
+    // Runs `count` frames 1/60 s apart
+    const run = (count = 1) => {
+        for (let i = 0; i < count; i++) {
+            now += FRAME;
+            frames.run(now);
+        }
+    };
+
+    beforeEach(() => {
+        now = performance.now();
+        viewer = createTestViewer({ state: { autoRotate: false } });
+        viewer.catModel.behaviours.enabled = false;
+        run();
+    });
+
+    afterEach(() => viewer.dispose());
+
+    it('renders the cat while it animates', () => {
+        const before = viewer.renderer.renders;
+        run(5);
+        assert.equal(viewer.renderer.renders - before, 5);
+        assert.ok(viewer.scene.getObjectByName('body'));
+    });
+
+    it('applies state and reports it back', () => {
+        const changes = [];
+        viewer.addEventListener('posechange', e => changes.push(e.detail));
+        viewer.setState({ pose: 'sit', coat: { color: '#aa5500' }, wireframe: true });
+
+        assert.deepEqual(changes, [{ pose: 'sit', previous: 'idle' }]);
+        assert.equal(viewer.catModel.animator.current, 'sit');
+        assert.equal(viewer.catModel.materials.blackFurMaterial.color.getHexString(), 'aa5500');
+        assert.equal(viewer.catModel.materials.blackFurMaterial.wireframe, true);
+
+        // The URL hash carries the whole state
+        const { state } = viewer;
+        assert.equal(viewer.getState().pose, 'sit');
+        assert.deepEqual(mergeState(DEFAULT_VIEWER_STATE, decodeState(encodeState(state))), state);
+    });
+
+    it('dresses the cat from the state and keeps accessories in the URL', () => {
+        viewer.setState({ accessories: { neck: { item: 'bowTie', params: { color: '#2244aa' } }, headTop: { item: 'hat', params: {} } } });
+        assert.deepEqual(Object.keys(viewer.catModel.getAccessories()).sort(), ['headTop', 'neck']);
+
+        const hash = encodeState(viewer.state);
+        assert.match(hash, /acc\.neck=bowTie&acc\.neck\.color=2244aa&acc\.headTop=hat/);
+        assert.deepEqual(mergeState(DEFAULT_VIEWER_STATE, decodeState(hash)).accessories, viewer.state.accessories);
+
+        // A glTF accessory from a local file can't be shared; items on the wrong socket are ignored
+        assert.doesNotMatch(encodeState({ accessories: { tailTip: { item: 'gltf', url: 'blob:cat' } } }), /acc/);
+        assert.deepEqual(decodeState('acc.face=hat&acc.elbow=bowTie'), {});
+
+        // Links only load glTF accessories from this site
+        assert.deepEqual(decodeState('acc.tailTip=gltf&acc.tailTip.url=https://example.com/flower.glb'), {});
+        assert.deepEqual(decodeState('acc.tailTip=gltf&acc.tailTip.url=models/flower.glb').accessories, {
+            tailTip: { item: 'gltf', params: {}, url: 'models/flower.glb' },
+        });
+        assert.doesNotMatch(encodeState({ accessories: { tailTip: { item: 'gltf', url: 'https://example.com/flower.glb' } } }), /acc/);
+
+        // New accessories replace the old ones, and come along to a rebuilt cat
+        viewer.setState({ accessories: { face: { item: 'glasses' } } });
+        viewer.setState({ seed: 3 });
+        assert.deepEqual(Object.keys(viewer.catModel.getAccessories()), ['face']);
+    });
+
+    it('rebuilds the cat for a new seed and keeps the pose', () => {
+        viewer.setState({ pose: 'stand' });
+        const first = viewer.catModel;
+        viewer.setState({ seed: 7 });
+        assert.notEqual(viewer.catModel, first);
+        assert.equal(viewer.catModel.seed, 7);
+        assert.equal(viewer.catModel.animator.current, 'stand');
+    });
+
+    it('stops drawing while paused until something changes', () => {
+        viewer.pause();
+        run();
+        const before = viewer.renderer.renders;
+        run(5);
+        assert.equal(viewer.renderer.renders, before);
+
+        viewer.setState({ pose: 'sit' });
+        run(3);
+        assert.equal(viewer.renderer.renders, before + 1);
+    });
+
+    it('stops drawing a still pose while playing until something moves', () => {
+        viewer.setState({ pose: 'sit' });
+        run(60);
+        const before = viewer.renderer.renders;
+        run(10);
+        assert.equal(viewer.renderer.renders, before, 'nothing moves once the crossfade is done');
+
+        viewer.catModel.trigger('blink');
+        run(3);
+        assert.equal(viewer.renderer.renders, before + 3, 'a blink is drawn');
+    });
+
+    it('steps, seeks and changes speed on the clock', () => {
+        const updates = [];
+        viewer.addEventListener('timeupdate', e => updates.push(e.detail));
+        viewer.setState({ pose: 'walk' });
+        viewer.pause();
+
+        viewer.seek(0.3);
+        assert.equal(viewer.getPlayback().time, 0.3);
+        viewer.step(6);
+        assert.ok(Math.abs(viewer.getPlayback().time - 0.4) < 1e-9);
+
+        viewer.setSpeed(10);
+        assert.equal(viewer.getPlayback().speed, 4);
+        viewer.setSpeed(0.5);
+        viewer.play();
+        const start = viewer.getPlayback().time;
+        run(30);
+        assert.ok(Math.abs(viewer.getPlayback().time - start - 0.25) < 1e-6);
+        assert.ok(updates.length > 0 && updates.at(-1).pose === 'walk');
+    });
+
+    it('reports a failed export', async () => {
+        const errors = [];
+        viewer.addEventListener('error', e => errors.push(e.detail.message));
+        viewer.catModel.exportGLTF = () => Promise.reject(new Error('out of memory'));
+        await viewer.exportModel(true);
+        assert.deepEqual(errors, ['Could not export the cat: out of memory']);
+    });
+
+    it('falls back to the default environment for an unknown one', () => {
+        const errors = [];
+        viewer.addEventListener('error', e => errors.push(e.detail.message));
+        viewer.setState({ environment: { name: 'moon', props: ['yarn'] } });
+        assert.deepEqual(errors, ['Unknown environment: moon']);
+        assert.equal(viewer.state.environment.name, 'void');
+        assert.equal(viewer.stage.name, 'void');
+        assert.ok(viewer.stage.props.has('yarn'));
+    });
+
+    it('rolls the yarn the same way for the same cat', () => {
+        const roll = (target) => {
+            target.setState({ environment: { name: 'void', props: ['yarn'] } });
+            const yarn = target.stage.props.get('yarn');
+            target.onPropClick(yarn);
+            const first = yarn.userData.velocity.x;
+            target.onPropClick(yarn);
+            return [first, yarn.userData.velocity.x];
+        };
+        const other = createTestViewer({ state: { autoRotate: false } });
+        const rolls = roll(viewer);
+        assert.notEqual(rolls[0], rolls[1]);
+        assert.deepEqual(roll(other), rolls);
+        other.dispose();
+    });
+
+    it('keeps time but does not draw while scrolled out of view', () => {
+        const observer = FakeIntersectionObserver.instances.find(instance => instance.targets.has(viewer.container));
+        observer.trigger([{ isIntersecting: false }]);
+        const renders = viewer.renderer.renders;
+        const time = viewer.getPlayback().time;
+        run(60);
+        assert.equal(viewer.renderer.renders, renders);
+        assert.ok(viewer.getPlayback().time > time);
+
+        observer.trigger([{ isIntersecting: true }]);
+        run();
+        assert.equal(viewer.renderer.renders, renders + 1);
+    });
+
+    it('applies a fixed quality tier without losing the chosen fur quality', () => {
+        viewer.setState({ quality: 'low' });
+        run();
+        assert.equal(viewer.renderer.getPixelRatio(), 0.75);
+        assert.equal(viewer.lighting.lights.key.shadow.mapSize.x, 512);
+        assert.equal(viewer.catModel.detail, 'low');
+        assert.equal(viewer.catModel.fur.options.quality, 'low');
+        assert.equal(viewer.state.fur.quality, 'medium');
+
+        viewer.setState({ quality: 'high' });
+        run();
+        assert.equal(viewer.renderer.getPixelRatio(), 1, 'capped at the device pixel ratio');
+        assert.equal(viewer.lighting.lights.key.shadow.mapSize.x, 2048);
+        assert.equal(viewer.catModel.detail, 'high');
+        assert.equal(viewer.catModel.fur.options.quality, 'medium');
+    });
+
+    it('lowers the geometry detail as the camera moves away', () => {
+        viewer.setState({ camera: { position: [0, 0.5, 9.5], target: [0, 0.5, 0] } });
+        run();
+        assert.equal(viewer.catModel.detail, 'low');
+        viewer.setState({ camera: { position: [0, 0.5, 7.5] } });
+        run();
+        assert.equal(viewer.catModel.detail, 'medium');
+    });
+
+    it('shows frame rate, draw calls and triangles in the stats overlay', () => {
+        const { element } = viewer.stats;
+        assert.equal(element.style.display, 'none');
+        viewer.setState({ stats: true });
+        run(40);
+        assert.equal(element.style.display, 'block');
+        assert.ok(Math.abs(viewer.stats.fps - 60) <= 3, `${viewer.stats.fps} fps`);
+        assert.match(element.textContent, /^\d+ fps\n\d+ draw calls\n[\d,]+ triangles\nauto: high quality, high detail$/);
+    });
+
+    it('orbits, zooms and changes pose from the keyboard', () => {
+        const key = (name, options) => {
+            const event = Object.assign(new Event('keydown', { cancelable: true }), { key: name, shiftKey: false, ...options });
+            viewer.canvas.dispatchEvent(event);
+            return event.defaultPrevented;
+        };
+        const offset = () => viewer.camera.position.clone().sub(viewer.controls.target);
+        const start = offset();
+
+        assert.ok(key('ArrowLeft'));
+        assert.ok(Math.abs(offset().length() - start.length()) < 1e-6, 'orbits at the same distance');
+        const azimuth = vector => Math.atan2(vector.x, vector.z);
+        assert.ok(Math.abs(azimuth(offset()) - azimuth(start) - Math.PI / 24) < 1e-3, 'by one step');
+        assert.deepEqual(viewer.state.camera.position, viewer.camera.position.toArray());
+
+        key('-');
+        assert.ok(offset().length() > start.length());
+        const target = viewer.controls.target.clone();
+        key('ArrowUp', { shiftKey: true });
+        assert.ok(viewer.controls.target.y > target.y, 'Shift pans');
+
+        key('2');
+        assert.equal(viewer.state.pose, 'sit');
+        key(' ');
+        assert.equal(viewer.clock.paused, true);
+        assert.equal(key('x'), false, 'other keys are left alone');
+    });
+
+    it('describes the cat in a live region', () => {
+        const { live } = viewer.accessibility;
+        assert.equal(live.getAttribute('aria-live'), 'polite');
+        assert.equal(live.textContent, 'Idle tuxedo cat with a black coat and gold eyes.');
+
+        viewer.setState({ pose: 'walk', coat: { pattern: 'tabby', color: '#c98a4b' }, eyes: '#3d8fd9' });
+        assert.equal(live.textContent, 'Walking tabby cat with a ginger coat and blue eyes.');
+        viewer.pause();
+        assert.match(live.textContent, /Animation paused\.$/);
+        assert.equal(describeCat(viewer.state), 'Walking tabby cat with a ginger coat and blue eyes.');
+    });
+});
+
+describe('Viewer state', () => {
+    // localStorage stand-in
+    const memoryStorage = () => {
+        const items = new Map();
+        return { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+    };
+
+    it('clamps and drops malformed values in a hash', () => {
+        assert.deepEqual(decodeState('morph.age=7&morph.weight=-3&volume=2&color=zzz&cam=1,2,x,0,0,0&pattern=tabby&pattern.stripeScale=40'), {
+            morph: { age: 1, weight: -1 },
+            audio: { volume: 1 },
+            coat: { pattern: 'tabby', params: { stripeScale: 12 } },
+        });
+    });
+
+    it('drops malformed fields from imported presets instead of failing on them', () => {
+        const presets = new PresetStore(memoryStorage());
+        presets.importJSON(JSON.stringify({
+            version: 2,
+            presets: {
+                broken: {
+                    coat: { color: 42, pattern: 'tabby', params: { stripeScale: 50, warp: 'x' } },
+                    morph: { age: 5, weight: 'heavy' },
+                    fur: 'long',
+                    pose: 'sit',
+                    environment: { name: 'moon', props: ['yarn', 3] },
+                    accessories: { neck: { item: 'hat' }, headTop: { item: 'hat', params: { color: 'red' } } },
+                    camera: { position: [1, 2], target: [0, 0, 0] },
+                    extra: true,
+                },
+            },
+        }));
+        const preset = presets.get('broken');
+        assert.deepEqual(preset, {
+            coat: { pattern: 'tabby', params: { stripeScale: 12 } },
+            morph: { age: 1 },
+            pose: 'sit',
+            environment: { props: ['yarn'] },
+            accessories: { headTop: { item: 'hat', params: {} } },
+        });
+
+        const viewer = createTestViewer({ state: { autoRotate: false } });
+        viewer.setState(mergeState(DEFAULT_VIEWER_STATE, preset));
+        assert.equal(viewer.state.coat.color, DEFAULT_VIEWER_STATE.coat.color);
+        assert.equal(viewer.catModel.animator.current, 'sit');
+        viewer.dispose();
+    });
+
+    it('saves presets without accessories from local files', () => {
+        const presets = new PresetStore(memoryStorage());
+        presets.save('dressed', {
+            pose: 'sit',
+            accessories: { headTop: { item: 'hat', params: {} }, tailTip: { item: 'gltf', params: {}, url: 'blob:http://localhost/flower' } },
+        });
+        assert.deepEqual(presets.get('dressed'), { pose: 'sit', accessories: { headTop: { item: 'hat', params: {} } } });
+        assert.doesNotMatch(presets.exportJSON(), /blob:/);
+    });
+
+    it('shows idle for a pose that is only an additive clip', () => {
+        const state = decodeState('#pose=blink');
+        assert.equal(state.pose, undefined);
+
+        const viewer = createTestViewer({ state: { autoRotate: false, ...state } });
+        assert.equal(viewer.catModel.animator.current, 'idle');
+        viewer.setState({ pose: 'sit' });
+        viewer.setState({ pose: 'tailFlick' });
+        assert.equal(viewer.catModel.animator.current, 'idle');
+        viewer.dispose();
+    });
+});
+
+describe('CatViewer with reduced motion', () => {
+    const QUERY = '(prefers-reduced-motion: reduce)';
+
+    afterEach(() => media.set(QUERY, false));
+
+    it('starts paused without auto-rotate and resumes when the setting goes', () => {
+        media.set(QUERY, true);
+        const viewer = createTestViewer({ state: { autoRotate: true } });
+        assert.equal(viewer.clock.paused, true);
+        assert.equal(viewer.controls.autoRotate, false);
+        assert.equal(viewer.controls.enableDamping, false);
+        viewer.setState({ pose: 'sit' });
+        assert.equal(viewer.controls.autoRotate, false, 'state changes keep it off');
+
+        media.set(QUERY, false);
+        assert.equal(viewer.clock.paused, false);
+        assert.equal(viewer.controls.autoRotate, true);
+        viewer.dispose();
+    });
+});
+
+describe('ViewerClock', () => {
+    it('takes one fixed step per 60 Hz frame despite jitter', () => {
+        const clock = new ViewerClock();
+        let now = 0;
+        clock.tick(now);
+        for (let i = 0; i < 120; i++) {
+            now += FRAME + (i % 2 ? 0.3 : -0.3);
+            assert.equal(clock.tick(now), 1);
+        }
+    });
+
+    it('catches up after slow frames but not after a stall', () => {
+        const clock = new ViewerClock();
+        clock.tick(0);
+        assert.equal(clock.tick(1000 / 30), 2);
+        assert.equal(clock.tick(10000), 15);
+    });
+
+    it('takes no steps while paused', () => {
+        const clock = new ViewerClock();
+        clock.tick(0);
+        clock.pause();
+        assert.equal(clock.tick(100), 0);
+        clock.play();
+        assert.equal(clock.tick(100 + FRAME), 1);
+    });
+
+    it('treats a frame stamped before the last one as no time passing', () => {
+        const clock = new ViewerClock();
+        clock.tick(100);
+        assert.equal(clock.tick(95), 0);
+        assert.equal(clock.elapsed, 0);
+        assert.equal(clock.tick(95 + FRAME), 1);
+    });
+});
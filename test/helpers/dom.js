@@ -0,0 +1,186 @@
+/**
+ * Just enough browser for CatModel and CatViewer under Node. Importing this
+ * installs the globals: canvases whose 2D context accepts and ignores drawing
+ * (addFurDetails paints the fur normal map with one), elements that take
+ * listeners and attributes, resize/intersection observers that tests trigger
+ * by hand, media queries that match once a test says so, a FileReader for
+ * glTF exports, and a requestAnimationFrame that only runs when a test
+ * calls `frames.run(now)`.
+ */
+
+// Every 2D context method is a no-op; properties (fillStyle, lineWidth...) just store
+const context2d = () => new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+    set: (target, key, value) => {
+        target[key] = value;
+        return true;
+    },
+});
+
+export class FakeElement extends EventTarget {
+    constructor(tagName = 'div', { width = 0, height = 0 } = {}) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.width = width;
+        this.height = height;
+        this.clientWidth = width;
+        this.clientHeight = height;
+        this.attributes = {};
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        child.parentNode = this;
+        return child;
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+        this.parentNode = null;
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.clientWidth, height: this.clientHeight, right: this.clientWidth, bottom: this.clientHeight };
+    }
+
+    getContext(type) {
+        if (type !== '2d') return null;
+        this.context ??= context2d();
+        return this.context;
+    }
+
+    setPointerCapture() {}
+
+    releasePointerCapture() {}
+}
+
+// Observers remember their callbacks; tests find them in `instances` and call `trigger(entries)`
+class FakeObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.targets = new Set();
+        this.constructor.instances.push(this);
+    }
+
+    observe(target) {
+        this.targets.add(target);
+    }
+
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+
+    disconnect() {
+        this.targets.clear();
+    }
+
+    trigger(entries) {
+        this.callback(entries, this);
+    }
+}
+
+export class FakeResizeObserver extends FakeObserver {
+    static instances = [];
+}
+
+export class FakeIntersectionObserver extends FakeObserver {
+    static instances = [];
+}
+
+/**
+ * Media queries by query string; none match until a test calls `set(query, matches)`,
+ * which also sends the 'change' event
+ */
+export const media = {
+    lists: new Map(),
+
+    get(query) {
+        if (!this.lists.has(query)) {
+            const list = new EventTarget();
+            list.media = query;
+            list.matches = false;
+            this.lists.set(query, list);
+        }
+        return this.lists.get(query);
+    },
+
+    set(query, matches) {
+        const list = this.get(query);
+        list.matches = matches;
+        list.dispatchEvent(new Event('change'));
+    },
+};
+
+/**
+ * The pending animation frames; `run(now)` calls them once with the time `now` (ms)
+ */
+export const frames = {
+    callbacks: new Map(),
+    nextId: 1,
+
+    request(callback) {
+        const id = this.nextId++;
+        this.callbacks.set(id, callback);
+        return id;
+    },
+
+    cancel(id) {
+        this.callbacks.delete(id);
+    },
+
+    run(now) {
+        const callbacks = [...this.callbacks.values()];
+        this.callbacks.clear();
+        callbacks.forEach(callback => callback(now));
+    },
+};
+
+globalThis.window ??= globalThis;
+globalThis.devicePixelRatio ??= 1;
+globalThis.document ??= {
+    createElement: tagName => new FakeElement(tagName),
+};
+globalThis.ResizeObserver ??= FakeResizeObserver;
+globalThis.IntersectionObserver ??= FakeIntersectionObserver;
+globalThis.matchMedia ??= query => media.get(query);
+// three's FileLoader reports download progress with these
+globalThis.ProgressEvent ??= class ProgressEvent extends Event {
+    constructor(type, { lengthComputable = false, loaded = 0, total = 0 } = {}) {
+        super(type);
+        Object.assign(this, { lengthComputable, loaded, total });
+    }
+};
+// GLTFExporter reads its buffers through FileReader; Blob.arrayBuffer() does the same
+globalThis.FileReader ??= class FileReader {
+    readAsArrayBuffer(blob) {
+        blob.arrayBuffer().then((buffer) => {
+            this.result = buffer;
+            this.onloadend?.();
+        });
+    }
+
+    readAsDataURL(blob) {
+        blob.arrayBuffer().then((buffer) => {
+            this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`;
+            this.onloadend?.();
+        });
+    }
+};
+globalThis.requestAnimationFrame = callback => frames.request(callback);
+globalThis.cancelAnimationFrame = id => frames.cancel(id);
@@ -0,0 +1,124 @@
+import { deflateSync, inflateSync } from 'node:zlib';
+
+/**
+ * Minimal PNG codec for the visual snapshots: writes 8-bit RGBA and reads
+ * 8-bit RGB or RGBA (non-interlaced), which covers files re-saved by image tools.
+ */
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes `width` × `height` RGBA pixels (row by row, top first) as a PNG Buffer
+ */
+export function encodePNG(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // RGBA
+
+    // Each row starts with its filter type (0, none)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// Paeth predictor from the PNG spec
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Decodes a PNG Buffer to `{ width, height, pixels }` with RGBA pixels
+ */
+export function decodePNG(buffer) {
+    if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let width = 0;
+    let height = 0;
+    let channels = 4;
+    const data = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = body.readUInt32BE(0);
+            height = body.readUInt32BE(4);
+            if (body[8] !== 8 || (body[9] !== 2 && body[9] !== 6) || body[12] !== 0) {
+                throw new Error('Only 8-bit, non-interlaced RGB or RGBA PNGs are supported');
+            }
+            channels = body[9] === 6 ? 4 : 3;
+        } else if (type === 'IDAT') {
+            data.push(body);
+        }
+        offset += length + 12;
+    }
+
+    const raw = inflateSync(Buffer.concat(data));
+    const stride = width * channels;
+    const rows = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = rows.subarray(y * stride, (y + 1) * stride);
+        const above = y > 0 ? rows.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? row[x - channels] : 0;
+            const up = above[x];
+            const upLeft = x >= channels ? above[x - channels] : 0;
+            const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+            row[x] = (line[x] + predictor) & 0xff;
+        }
+    }
+
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels[i * 4] = rows[i * channels];
+        pixels[i * 4 + 1] = rows[i * channels + 1];
+        pixels[i * 4 + 2] = rows[i * channels + 2];
+        pixels[i * 4 + 3] = channels === 4 ? rows[i * channels + 3] : 255;
+    }
+    return { width, height, pixels };
+}
@@ -0,0 +1,50 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { decodePNG, encodePNG } from './png.js';
+
+/**
+ * Visual snapshots - PNGs kept in test/snapshots. A missing snapshot is
+ * written from the current render; `npm run test:update` (UPDATE_SNAPSHOTS=1)
+ * rewrites them all. On a mismatch the render is saved next to the
+ * snapshot as `<name>.actual.png` for comparison.
+ */
+
+const DIRECTORY = fileURLToPath(new URL('../snapshots/', import.meta.url));
+
+// Channel difference (0-255) under which two pixels count as the same
+const PIXEL_TOLERANCE = 24;
+
+/**
+ * Share of pixels that differ between two RGBA buffers of the same size
+ */
+export function pixelDiff(a, b) {
+    let different = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        if (Math.abs(a[i] - b[i]) > PIXEL_TOLERANCE
+            || Math.abs(a[i + 1] - b[i + 1]) > PIXEL_TOLERANCE
+            || Math.abs(a[i + 2] - b[i + 2]) > PIXEL_TOLERANCE
+            || Math.abs(a[i + 3] - b[i + 3]) > PIXEL_TOLERANCE) {
+            different++;
+        }
+    }
+    return different / (a.length / 4);
+}
+
+/**
+ * Compares a SoftwareRenderer's picture with snapshot `name`.
+ * Returns `{ created, diff }`; `diff` is the share of pixels that differ.
+ */
+export function compareSnapshot(name, { width, height, pixels }) {
+    const file = `${DIRECTORY}${name}.png`;
+    if (process.env.UPDATE_SNAPSHOTS || !existsSync(file)) {
+        writeFileSync(file, encodePNG(width, height, pixels));
+        return { created: true, diff: 0 };
+    }
+
+    const expected = decodePNG(readFileSync(file));
+    const diff = expected.width === width && expected.height === height ? pixelDiff(expected.pixels, pixels) : 1;
+    if (diff > 0) {
+        writeFileSync(`${DIRECTORY}${name}.actual.png`, encodePNG(width, height, pixels));
+    }
+    return { created: false, diff };
+}
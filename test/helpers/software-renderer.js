@@ -0,0 +1,248 @@
+import * as THREE from 'three';
+
+/**
+ * Software renderer - a small z-buffered rasteriser standing in for
+ * WebGLRenderer in headless tests (it has the parts of its API CatViewer
+ * uses). Meshes get flat Lambert shading from a fixed light plus their
+ * emissive colour, blended by their opacity; wireframe materials and line
+ * segments are drawn as 1px lines. Skinned meshes are posed by their bones,
+ * instanced meshes drawn once per instance and vertex colours taken per face.
+ * Shader work (coat patterns, shell fur, shadows, tone mapping, reflections)
+ * is left out, so snapshots show shape, pose and base colours.
+ */
+
+// Light from above, front and right, and how much of a colour shows in the shade
+const LIGHT = new THREE.Vector3(0.4, 0.8, 0.6).normalize();
+const AMBIENT = 0.35;
+
+// Lines sit a hair in front of the surfaces they are drawn over
+const LINE_BIAS = 1e-4;
+
+// Shell fur only exists in shaders; here it would be the part drawn again
+const skipFur = object => object.name === 'furShells';
+
+export class SoftwareRenderer {
+    constructor({ width = 160, height = 120, skip = skipFur } = {}) {
+        this.skip = skip;
+        this.pixelRatio = 1;
+        this.renders = 0;
+
+        // Settings CatViewer and LightingRig write; they don't change the picture here
+        this.shadowMap = { enabled: false, type: THREE.PCFSoftShadowMap };
+        this.capabilities = { maxTextureSize: 4096 };
+        this.toneMapping = THREE.NoToneMapping;
+        this.toneMappingExposure = 1;
+        this.outputColorSpace = THREE.SRGBColorSpace;
+
+        // What the last render drew, counted like WebGLRenderer.info
+        this.info = { render: { calls: 0, triangles: 0 } };
+
+        this.setSize(width, height);
+    }
+
+    setSize(width, height) {
+        this.width = Math.max(Math.floor(width), 1);
+        this.height = Math.max(Math.floor(height), 1);
+        this.pixels = new Uint8ClampedArray(this.width * this.height * 4);
+        this.depth = new Float32Array(this.width * this.height);
+    }
+
+    getSize(target) {
+        return target.set(this.width, this.height);
+    }
+
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
+    }
+
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+
+    dispose() {}
+
+    render(scene, camera) {
+        this.renders++;
+        this.info.render.calls = 0;
+        this.info.render.triangles = 0;
+        scene.updateMatrixWorld();
+        if (!camera.parent) camera.updateMatrixWorld();
+        this.viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this.cameraPosition = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+
+        // Background colour, or transparent
+        const background = scene.background?.isColor ? toBytes(scene.background) : [0, 0, 0, 0];
+        for (let i = 0; i < this.width * this.height; i++) {
+            this.pixels.set(background, i * 4);
+        }
+        this.depth.fill(Infinity);
+
+        const visit = (object) => {
+            if (!object.visible || this.skip(object)) return;
+            if (object.isMesh) this.drawMesh(object);
+            else if (object.isLineSegments) this.drawLines(object);
+            object.children.forEach(visit);
+        };
+        visit(scene);
+    }
+
+    // Clip-space → pixel coordinates and depth; null behind the camera
+    project(object, matrixWorld = object.matrixWorld) {
+        const matrix = new THREE.Matrix4().multiplyMatrices(this.viewProjection, matrixWorld);
+        const positions = object.geometry.attributes.position;
+        const world = [];
+        const screen = [];
+        const point = new THREE.Vector4();
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < positions.count; i++) {
+            // Skinned meshes (merged cat parts) follow their bones as the vertex shader would
+            vertex.fromBufferAttribute(positions, i);
+            if (object.isSkinnedMesh) object.applyBoneTransform(i, vertex);
+
+            point.set(vertex.x, vertex.y, vertex.z, 1).applyMatrix4(matrix);
+            screen.push(point.w <= 1e-6 ? null : [
+                (point.x / point.w * 0.5 + 0.5) * this.width,
+                (0.5 - point.y / point.w * 0.5) * this.height,
+                point.z / point.w,
+            ]);
+            world.push(vertex.clone().applyMatrix4(matrixWorld));
+        }
+        return { world, screen };
+    }
+
+    drawMesh(mesh) {
+        // Shader-only surfaces (the mirror floor) have no colour to draw with, and
+        // transparent textured ones (the contact shadow) are all texture
+        const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+        if (!material.color || (material.transparent && (material.map || material.alphaMap))) return;
+
+        const index = mesh.geometry.index;
+        const count = index ? index.count : mesh.geometry.attributes.position.count;
+        this.info.render.calls++;
+
+        if (!mesh.isInstancedMesh) {
+            this.info.render.triangles += Math.floor(count / 3);
+            this.drawTriangles(mesh, material, material.color);
+            return;
+        }
+
+        // Instances: one draw call, each copy with its own matrix and colour
+        this.info.render.triangles += Math.floor(count / 3) * mesh.count;
+        const instance = new THREE.Matrix4();
+        const color = new THREE.Color();
+        for (let i = 0; i < mesh.count; i++) {
+            mesh.getMatrixAt(i, instance);
+            if (mesh.instanceColor) mesh.getColorAt(i, color);
+            else color.setRGB(1, 1, 1);
+            this.drawTriangles(mesh, material, color.multiply(material.color), instance.premultiply(mesh.matrixWorld));
+        }
+    }
+
+    drawTriangles(mesh, material, baseColor, matrixWorld = mesh.matrixWorld) {
+        const opacity = material.transparent ? material.opacity : 1;
+        const { world, screen } = this.project(mesh, matrixWorld);
+        const index = mesh.geometry.index;
+        const count = index ? index.count : world.length;
+        const vertex = i => (index ? index.getX(i) : i);
+        const colors = material.vertexColors ? mesh.geometry.attributes.color : null;
+
+        const normal = new THREE.Vector3();
+        const toCamera = new THREE.Vector3();
+        const edge = new THREE.Vector3();
+        for (let i = 0; i + 2 < count; i += 3) {
+            const [a, b, c] = [vertex(i), vertex(i + 1), vertex(i + 2)];
+            if (!screen[a] || !screen[b] || !screen[c]) continue;
+
+            if (material.wireframe) {
+                const color = toBytes(baseColor, opacity);
+                this.line(screen[a], screen[b], color);
+                this.line(screen[b], screen[c], color);
+                this.line(screen[c], screen[a], color);
+                continue;
+            }
+
+            // Face normal turned towards the camera, so winding doesn't matter
+            normal.subVectors(world[b], world[a]).cross(edge.subVectors(world[c], world[a])).normalize();
+            if (normal.dot(toCamera.subVectors(this.cameraPosition, world[a])) < 0) normal.negate();
+            const shade = AMBIENT + (1 - AMBIENT) * Math.max(normal.dot(LIGHT), 0);
+            // Vertex colours are flat too: the first corner's
+            const color = baseColor.clone().multiplyScalar(shade);
+            if (colors) color.multiply(new THREE.Color().fromBufferAttribute(colors, a));
+            if (material.emissive) color.add(material.emissive.clone().multiplyScalar(material.emissiveIntensity ?? 1));
+
+            this.triangle(screen[a], screen[b], screen[c], toBytes(color, opacity));
+        }
+    }
+
+    drawLines(object) {
+        this.info.render.calls++;
+        const { screen } = this.project(object);
+        const index = object.geometry.index;
+        const count = index ? index.count : screen.length;
+        const vertex = i => (index ? index.getX(i) : i);
+        const color = toBytes(object.material.color, object.material.transparent ? object.material.opacity : 1);
+        for (let i = 0; i + 1 < count; i += 2) {
+            const [a, b] = [screen[vertex(i)], screen[vertex(i + 1)]];
+            if (a && b) this.line(a, b, color);
+        }
+    }
+
+    triangle(a, b, c, color) {
+        const area = edgeFunction(a, b, c);
+        if (area === 0) return;
+
+        const minX = Math.max(Math.floor(Math.min(a[0], b[0], c[0])), 0);
+        const maxX = Math.min(Math.ceil(Math.max(a[0], b[0], c[0])), this.width - 1);
+        const minY = Math.max(Math.floor(Math.min(a[1], b[1], c[1])), 0);
+        const maxY = Math.min(Math.ceil(Math.max(a[1], b[1], c[1])), this.height - 1);
+
+        // Pixel centres inside the triangle, depth interpolated across it
+        const p = [0, 0];
+        for (let y = minY; y <= maxY; y++) {
+            p[1] = y + 0.5;
+            for (let x = minX; x <= maxX; x++) {
+                p[0] = x + 0.5;
+                const w0 = edgeFunction(b, c, p) / area;
+                const w1 = edgeFunction(c, a, p) / area;
+                const w2 = 1 - w0 - w1;
+                if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+                this.plot(x, y, w0 * a[2] + w1 * b[2] + w2 * c[2], color);
+            }
+        }
+    }
+
+    line(a, b, color) {
+        const steps = Math.max(Math.ceil(Math.max(Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1]))), 1);
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const x = Math.floor(a[0] + (b[0] - a[0]) * t);
+            const y = Math.floor(a[1] + (b[1] - a[1]) * t);
+            if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+                this.plot(x, y, a[2] + (b[2] - a[2]) * t - LINE_BIAS, color);
+            }
+        }
+    }
+
+    // Depth-tested write; a colour with alpha under 255 is blended over what is there
+    plot(x, y, z, color) {
+        const i = y * this.width + x;
+        if (z < -1 || z > 1 || z >= this.depth[i]) return;
+        this.depth[i] = z;
+
+        const alpha = color[3] / 255;
+        for (let channel = 0; channel < 3; channel++) {
+            this.pixels[i * 4 + channel] = color[channel] * alpha + this.pixels[i * 4 + channel] * (1 - alpha);
+        }
+        this.pixels[i * 4 + 3] = Math.max(this.pixels[i * 4 + 3], color[3]);
+    }
+}
+
+function edgeFunction(a, b, p) {
+    return (p[0] - a[0]) * (b[1] - a[1]) - (p[1] - a[1]) * (b[0] - a[0]);
+}
+
+// Linear THREE.Color → sRGB bytes
+function toBytes(color, opacity = 1) {
+    const { r, g, b } = color.getRGB({}, THREE.SRGBColorSpace);
+    return [r, g, b, opacity].map(value => Math.round(THREE.MathUtils.clamp(value, 0, 1) * 255));
+}
@@ -0,0 +1,14 @@
+import { FakeElement } from './dom.js';
+import { SoftwareRenderer } from './software-renderer.js';
+import { CatViewer } from '../../cat-viewer.js';
+
+/**
+ * A CatViewer in a fake 160 × 120 container, drawing with the SoftwareRenderer.
+ * Frames only run when the test calls `frames.run(now)` (see dom.js).
+ */
+export function createTestViewer({ width = 160, height = 120, ...options } = {}) {
+    const container = new FakeElement('div', { width, height });
+    const canvas = new FakeElement('canvas', { width, height });
+    const renderer = new SoftwareRenderer({ width, height });
+    return new CatViewer(container, { canvas, renderer, ...options });
+}
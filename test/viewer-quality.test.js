@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveQuality } from '../viewer-quality.js';
+
+// Feeds `count` frames of `elapsed` seconds; returns the tiers it changed to
+function run(quality, count, elapsed) {
+    const changes = [];
+    for (let i = 0; i < count; i++) {
+        if (quality.sample(elapsed)) changes.push(quality.tier);
+    }
+    return changes;
+}
+
+describe('AdaptiveQuality', () => {
+    it('stays at high quality while frames keep up', () => {
+        const quality = new AdaptiveQuality();
+        assert.deepEqual(run(quality, 600, 1 / 60), []);
+        assert.equal(quality.tier, 'high');
+    });
+
+    it('steps down one tier at a time on slow frames', () => {
+        const quality = new AdaptiveQuality();
+        assert.deepEqual(run(quality, 300, 1 / 30), ['medium', 'low']);
+        assert.deepEqual(run(quality, 300, 1 / 30), [], 'there is nothing below low');
+    });
+
+    it('ignores stalls and the first frames after a change', () => {
+        const quality = new AdaptiveQuality();
+        assert.deepEqual(run(quality, 10, 0.2), []);
+        assert.deepEqual(run(quality, 20, 0.5), []);
+        assert.deepEqual(run(quality, 600, 1 / 60), []);
+        assert.equal(quality.tier, 'high');
+    });
+
+    it('steps back up after a while at full speed, then waits longer after a failed try', () => {
+        const quality = new AdaptiveQuality({ tier: 'medium', upDelay: 1.9 });
+        assert.deepEqual(run(quality, 130, 1 / 60), ['high']);
+
+        // The higher tier is too slow: back down, and the next try waits twice as long
+        assert.deepEqual(run(quality, 70, 1 / 30), ['medium']);
+        assert.equal(quality.upDelay, 3.8);
+        assert.deepEqual(run(quality, 200, 1 / 60), []);
+        assert.deepEqual(run(quality, 60, 1 / 60), ['high']);
+    });
+});
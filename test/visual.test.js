@@ -0,0 +1,104 @@
+import { frames } from './helpers/dom.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CatModel } from '../cat-model.js';
+import { SoftwareRenderer } from './helpers/software-renderer.js';
+import { compareSnapshot, pixelDiff } from './helpers/snapshots.js';
+import { createTestViewer } from './helpers/viewer.js';
+
+// Share of pixels a render may differ from its snapshot (edge pixels move with float rounding)
+const MAX_DIFF = 0.005;
+
+const VIEWS = {
+    front: [0, 1.1, 5.5],
+    side: [5.5, 1.1, 0],
+    threeQuarter: [3.2, 2.2, 4.4],
+};
+
+// Renders `cat` in `pose` from one of VIEWS with the software renderer
+function render(cat, { pose = 'idle', time = 0, view = 'threeQuarter' } = {}) {
+    cat.behaviours.enabled = false;
+    cat.play(pose, { fadeDuration: 0 });
+    cat.update(time);
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x202030);
+    scene.add(cat.getGroup());
+    const camera = new THREE.PerspectiveCamera(40, 4 / 3, 0.1, 50);
+    camera.position.fromArray(VIEWS[view]);
+    camera.lookAt(0, 0.7, 0);
+
+    const renderer = new SoftwareRenderer({ width: 160, height: 120 });
+    renderer.render(scene, camera);
+    scene.remove(cat.getGroup());
+    return renderer;
+}
+
+function assertSnapshot(t, name, renderer) {
+    const { created, diff } = compareSnapshot(name, renderer);
+    if (created) t.diagnostic(`wrote snapshot ${name}.png`);
+    assert.ok(diff <= MAX_DIFF, `${name} differs from its snapshot in ${(diff * 100).toFixed(2)}% of pixels (see test/snapshots/${name}.actual.png)`);
+}
+
+describe('Visual snapshots', () => {
+    [
+        ['idle-front', { view: 'front' }],
+        ['idle-side', { view: 'side' }],
+        ['sit', { pose: 'sit', time: 1 }],
+        ['stand', { pose: 'stand', time: 1 }],
+        ['walk', { pose: 'walk', time: 0.3, view: 'side' }],
+    ].forEach(([name, options]) => {
+        it(name, (t) => {
+            assertSnapshot(t, name, render(new CatModel(), options));
+        });
+    });
+
+    it('kitten', (t) => {
+        const cat = new CatModel();
+        cat.setMorph({ age: 0, weight: 0.5 });
+        assertSnapshot(t, 'kitten', render(cat));
+    });
+
+    it('generated cat', (t) => {
+        assertSnapshot(t, 'random-7', render(CatModel.random(7)));
+    });
+
+    it('accessories', async (t) => {
+        const cat = new CatModel();
+        await cat.setAccessories({ neck: { item: 'bowTie' }, headTop: { item: 'hat' }, face: { item: 'glasses' } });
+        assertSnapshot(t, 'accessories', render(cat, { pose: 'sit', time: 1 }));
+    });
+
+    it('wireframe', (t) => {
+        const cat = new CatModel();
+        cat.toggleWireframe(true);
+        assertSnapshot(t, 'wireframe', render(cat, { view: 'side' }));
+    });
+
+    it('viewer', (t) => {
+        const viewer = createTestViewer({ state: { pose: 'sit', autoRotate: false, environment: { name: 'garden', props: ['yarn'] } } });
+        viewer.catModel.behaviours.enabled = false;
+        const start = performance.now();
+        for (let i = 1; i <= 60; i++) frames.run(start + i * 1000 / 60);
+        assertSnapshot(t, 'viewer-garden', viewer.renderer);
+        viewer.dispose();
+    });
+
+    it('shows fur colour and wireframe changes', () => {
+        const cat = new CatModel();
+        const plain = Uint8ClampedArray.from(render(cat).pixels);
+
+        cat.setFurColor(0xff8800);
+        const orange = render(cat).pixels;
+        assert.ok(pixelDiff(plain, orange) > 0.05, 'the coat colour shows');
+
+        cat.setFurColor(0x1a1a1a);
+        cat.toggleWireframe(true);
+        // At this size the lines nearly fill the body; the gaps between them show
+        assert.ok(pixelDiff(plain, render(cat).pixels) > MAX_DIFF, 'the wireframe shows');
+
+        cat.toggleWireframe(false);
+        assert.equal(pixelDiff(plain, render(cat).pixels), 0, 'switching back restores the picture');
+    });
+});
@@ -0,0 +1,99 @@
+import { CatViewer } from './cat-viewer.js';
+import { COAT_PATTERNS } from './cat-patterns.js';
+import { LIGHTING_PRESETS } from './lighting-rig.js';
+import { CAT_ENVIRONMENTS } from './cat-environments.js';
+import { POSES } from './viewer-state.js';
+
+/**
+ * <tuxedo-cat> - drop-in cat for any page (the page needs the `three` import map):
+ *
+ *   <script type="module" src="tuxedo-cat-element.js"></script>
+ *   <tuxedo-cat pose="sit" coat="tabby" seed="42" lighting="night" auto-rotate></tuxedo-cat>
+ *   <tuxedo-cat environment="garden" props="yarn bowl"></tuxedo-cat>
+ *
+ * `coat` takes a pattern name or a `#rrggbb` coat colour, `lighting` a preset
+ * name, `environment` a scene from cat-environments.js and `props` a list of
+ * props. The element fires `posechange`, `catclick` and `propclick` (bubbling,
+ * with the viewer's event detail) and exposes the underlying CatViewer as `.viewer`.
+ */
+
+const STYLE = `
+:host {
+    display: block;
+    position: relative;
+    width: 100%;
+    height: 320px;
+}
+
+.container {
+    position: absolute;
+    inset: 0;
+    overflow: hidden;
+}
+`;
+
+// Attribute value → partial viewer state
+const ATTRIBUTES = {
+    pose: value => ({ pose: POSES[value] ? value : 'idle' }),
+    coat: (value) => {
+        if (/^#[0-9a-f]{6}$/i.test(value ?? '')) return { coat: { color: value.toLowerCase() } };
+        const pattern = COAT_PATTERNS[value] ? value : 'tuxedo';
+        return { coat: { pattern, color: COAT_PATTERNS[pattern].baseColor, params: {} } };
+    },
+    lighting: value => ({ lighting: { preset: LIGHTING_PRESETS[value] ? value : 'studio' } }),
+    environment: value => ({ environment: { name: CAT_ENVIRONMENTS[value] ? value : 'void' } }),
+    props: value => ({ environment: { props: value ? value.split(/[\s,]+/).filter(Boolean) : [] } }),
+    'auto-rotate': value => ({ autoRotate: value !== null && value !== 'false' }),
+    seed: value => (value ? { seed: /^\d+$/.test(value) ? Number(value) : value } : {}),
+};
+
+export class TuxedoCatElement extends HTMLElement {
+    static get observedAttributes() {
+        return Object.keys(ATTRIBUTES);
+    }
+
+    constructor() {
+        super();
+        const shadow = this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = STYLE;
+        this.container = document.createElement('div');
+        this.container.className = 'container';
+        shadow.append(style, this.container);
+    }
+
+    get viewer() {
+        return this._viewer ?? null;
+    }
+
+    connectedCallback() {
+        if (this._viewer) return;
+
+        // Only attributes that are present override the viewer defaults
+        const state = {};
+        Object.entries(ATTRIBUTES).forEach(([name, toState]) => {
+            if (this.hasAttribute(name)) Object.assign(state, toState(this.getAttribute(name)));
+        });
+
+        this._viewer = new CatViewer(this.container, { state });
+        ['posechange', 'catclick', 'propclick'].forEach((type) => {
+            this._viewer.addEventListener(type, (e) => {
+                this.dispatchEvent(new CustomEvent(type, { detail: e.detail, bubbles: true, composed: true }));
+            });
+        });
+    }
+
+    disconnectedCallback() {
+        this._viewer?.dispose();
+        this._viewer = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this._viewer || oldValue === value) return;
+        this._viewer.setState(ATTRIBUTES[name](value));
+    }
+}
+
+if (!customElements.get('tuxedo-cat')) {
+    customElements.define('tuxedo-cat', TuxedoCatElement);
+}
@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+import { COAT_PATTERNS } from './cat-patterns.js';
+import { DEFAULT_VIEWER_STATE } from './viewer-state.js';
+
+/**
+ * Viewer accessibility - keyboard control of the camera and pose, a spoken
+ * description of the cat for screen readers, and the system's
+ * reduced-motion setting.
+ *
+ * Keys, while the canvas has focus:
+ * - arrows orbit, Shift + arrows pan, + / - (or Page Up / Down) zoom
+ * - 1 to 6 pick a pose (POSE_KEYS), Space pauses or plays, Home resets the camera
+ */
+
+// Poses in the order of the number keys
+export const POSE_KEYS = ['idle', 'sit', 'stand', 'walk', 'stretch', 'groom'];
+
+const POSE_NAMES = {
+    idle: 'Idle',
+    sit: 'Sitting',
+    stand: 'Standing',
+    walk: 'Walking',
+    stretch: 'Stretching',
+    groom: 'Grooming',
+};
+
+// Names for the coat and eye colours the generator uses; a colour is called after the nearest one
+const COAT_COLOR_NAMES = {
+    black: '#1a1a1a',
+    charcoal: '#3a3a40',
+    'dark brown': '#3d2b22',
+    grey: '#8c8478',
+    brown: '#a6794f',
+    ginger: '#c98a4b',
+    orange: '#d98c3a',
+    cream: '#efe3cf',
+    white: '#ffffff',
+};
+const EYE_COLOR_NAMES = {
+    gold: '#ffd700',
+    amber: '#e0a526',
+    copper: '#d97a1a',
+    green: '#7fbf3f',
+    hazel: '#a8b545',
+    blue: '#3d8fd9',
+};
+
+// Radians per orbit key press
+const ORBIT_STEP = Math.PI / 24;
+
+// Camera distance factor per zoom key press
+const ZOOM_STEP = 1.15;
+
+// Pan per key press, as a share of the camera distance
+const PAN_STEP = 0.05;
+
+// Keeps the keyboard orbit off the poles, where the azimuth flips
+const POLE_MARGIN = 0.01;
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+function colorName(color, names) {
+    const target = new THREE.Color(color);
+    const other = new THREE.Color();
+    let best = null;
+    let bestDistance = Infinity;
+    Object.entries(names).forEach(([name, hex]) => {
+        other.set(hex);
+        const distance = (target.r - other.r) ** 2 + (target.g - other.g) ** 2 + (target.b - other.b) ** 2;
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * One sentence about the cat in a viewer state, e.g.
+ * "Sitting tuxedo cat with a black coat and gold eyes."
+ */
+export function describeCat({ pose, coat, eyes }) {
+    const pattern = (COAT_PATTERNS[coat.pattern]?.label ?? coat.pattern).replace(/\s*\(.*\)$/, '').toLowerCase();
+    const posture = POSE_NAMES[pose] ?? pose;
+    return `${posture} ${pattern} cat with a ${colorName(coat.color, COAT_COLOR_NAMES)} coat and ${colorName(eyes, EYE_COLOR_NAMES)} eyes.`;
+}
+
+/**
+ * ViewerAccessibility - owned by a CatViewer (`viewer.accessibility`)
+ */
+export class ViewerAccessibility {
+    constructor(viewer) {
+        this.viewer = viewer;
+        const { canvas, container } = viewer;
+
+        // The canvas takes focus and says what it does
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-roledescription', '3D cat viewer');
+        canvas.setAttribute('aria-label', 'Cat viewer. Arrow keys orbit, Shift and arrows pan, plus and minus zoom, 1 to 6 change pose, Space pauses.');
+        canvas.setAttribute('aria-keyshortcuts', 'ArrowLeft ArrowRight ArrowUp ArrowDown Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown + - PageUp PageDown 1 2 3 4 5 6 Space Home');
+        viewer.listen(canvas, 'keydown', e => this.onKeyDown(e));
+
+        // Read out, not shown: what the cat looks like and is doing
+        this.live = document.createElement('div');
+        this.live.className = 'viewer-description';
+        this.live.setAttribute('aria-live', 'polite');
+        this.live.setAttribute('aria-atomic', 'true');
+        Object.assign(this.live.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            whiteSpace: 'nowrap',
+        });
+        container.appendChild(this.live);
+        viewer.addEventListener('statechange', () => this.announce());
+        viewer.addEventListener('timeupdate', ({ detail }) => {
+            if (detail.paused !== this.paused) this.announce();
+        });
+
+        // Reduced motion: no auto-rotate or camera inertia, and the animation starts paused
+        this.media = typeof matchMedia !== 'undefined' ? matchMedia(REDUCED_MOTION) : null;
+        this.reducedMotion = this.media?.matches ?? false;
+        if (this.media) {
+            viewer.listen(this.media, 'change', () => {
+                this.reducedMotion = this.media.matches;
+                this.applyMotion();
+            });
+        }
+        this.applyMotion();
+        this.announce();
+    }
+
+    applyMotion() {
+        const { viewer, reducedMotion } = this;
+        viewer.controls.autoRotate = viewer.state.autoRotate && !reducedMotion;
+        viewer.controls.enableDamping = !reducedMotion;
+
+        // Only undo a pause this made; one the user chose stays
+        if (reducedMotion && !viewer.clock.paused) {
+            viewer.pause();
+            this.pausedForMotion = true;
+        } else if (!reducedMotion && this.pausedForMotion) {
+            viewer.play();
+            this.pausedForMotion = false;
+        }
+    }
+
+    /**
+     * Updates the live region when the description has changed
+     */
+    announce() {
+        this.paused = this.viewer.clock.paused;
+        const text = `${describeCat(this.viewer.state)}${this.paused ? ' Animation paused.' : ''}`;
+        if (this.live.textContent !== text) this.live.textContent = text;
+    }
+
+    onKeyDown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const { viewer } = this;
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        const pose = POSE_KEYS[Number(e.key) - 1];
+
+        if (arrows[e.key] && e.shiftKey) {
+            const [x, y] = arrows[e.key];
+            this.pan(x, -y);
+        } else if (arrows[e.key]) {
+            const [x, y] = arrows[e.key];
+            this.orbit(x * ORBIT_STEP, y * ORBIT_STEP);
+        } else if (['+', '=', 'PageUp'].includes(e.key)) {
+            this.orbit(0, 0, 1 / ZOOM_STEP);
+        } else if (['-', '_', 'PageDown'].includes(e.key)) {
+            this.orbit(0, 0, ZOOM_STEP);
+        } else if (pose) {
+            viewer.setState({ pose });
+        } else if (e.key === ' ') {
+            if (viewer.clock.paused) viewer.play();
+            else viewer.pause();
+            this.pausedForMotion = false;
+        } else if (e.key === 'Home') {
+            viewer.setState({ camera: DEFAULT_VIEWER_STATE.camera });
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Turns the camera around its target by `theta` (left / right) and `phi`
+     * (up / down) radians and scales its distance by `zoom`, within the controls' limits
+     */
+    orbit(theta, phi, zoom = 1) {
+        const { camera, controls } = this.viewer;
+        const offset = camera.position.clone().sub(controls.target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta -= theta;
+        spherical.phi = THREE.MathUtils.clamp(
+            spherical.phi + phi,
+            Math.max(controls.minPolarAngle, POLE_MARGIN),
+            Math.min(controls.maxPolarAngle, Math.PI - POLE_MARGIN)
+        );
+        spherical.radius = THREE.MathUtils.clamp(spherical.radius * zoom, controls.minDistance, controls.maxDistance);
+        offset.setFromSpherical(spherical);
+        this.moveCamera(controls.target.clone().add(offset), controls.target);
+    }
+
+    /**
+     * Moves camera and target together, `x` steps right and `y` steps up on screen
+     */
+    pan(x, y) {
+        const { camera, controls } = this.viewer;
+        const step = camera.position.distanceTo(controls.target) * PAN_STEP;
+        const shift = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0).multiplyScalar(x * step)
+            .add(new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1).multiplyScalar(y * step));
+        this.moveCamera(camera.position.clone().add(shift), controls.target.clone().add(shift));
+    }
+
+    // Through the state, so the URL and panel follow like after a drag
+    moveCamera(position, target) {
+        this.viewer.setState({ camera: { position: position.toArray(), target: target.toArray() } });
+    }
+
+    dispose() {
+        this.live.remove();
+    }
+}
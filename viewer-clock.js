@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+
+/**
+ * Viewer clock - turns the browser's frame times into fixed animation steps,
+ * with pause and a speed multiplier.
+ *
+ * The scene always moves on in steps of `step` × `speed` seconds, however
+ * often frames arrive, so the cat moves the same on a 30 Hz phone and a
+ * 144 Hz monitor and a long stall can't make it jump.
+ */
+
+export const SPEED_RANGE = { min: 0.1, max: 4 };
+
+// Longest real time one frame may account for (a tab coming back, a stall)
+const MAX_ELAPSED = 0.25;
+
+// Frame times jitter round the step; this much of a step early still counts,
+// so a 60 Hz display gets one step a frame rather than alternating 0 and 2
+const SLACK = 0.1;
+
+/**
+ * ViewerClock - owned by a CatViewer (`viewer.clock`)
+ */
+export class ViewerClock {
+    constructor({ step = 1 / 60 } = {}) {
+        this.step = step;
+        this.speed = 1;
+        this.paused = false;
+
+        // Time of the last tick (ms) and the real seconds it covered
+        this.last = null;
+        this.elapsed = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Scene seconds per step at the current speed
+     */
+    get delta() {
+        return this.step * this.speed;
+    }
+
+    setSpeed(speed) {
+        this.speed = THREE.MathUtils.clamp(speed, SPEED_RANGE.min, SPEED_RANGE.max);
+    }
+
+    pause() {
+        this.paused = true;
+        this.accumulator = 0;
+    }
+
+    play() {
+        this.paused = false;
+    }
+
+    /**
+     * Takes the frame time `now` (ms, as passed to requestAnimationFrame) and
+     * returns how many steps of `delta` seconds the scene should advance
+     */
+    tick(now) {
+        // A frame's timestamp can be a little older than a performance.now() taken during it
+        this.elapsed = this.last === null ? 0 : THREE.MathUtils.clamp((now - this.last) / 1000, 0, MAX_ELAPSED);
+        this.last = now;
+        if (this.paused) return 0;
+
+        this.accumulator += this.elapsed;
+        const steps = Math.max(Math.floor(this.accumulator / this.step + SLACK), 0);
+        this.accumulator -= steps * this.step;
+        return steps;
+    }
+}
@@ -0,0 +1,586 @@
+import { ACCESSORIES, ACCESSORY_SOCKETS } from './cat-accessories.js';
+import { COAT_PATTERNS } from './cat-patterns.js';
+import { DEFAULT_MORPH, MORPH_PARAMS } from './cat-morph.js';
+import { resolveLighting } from './lighting-rig.js';
+import { DEFAULT_VIEWER_STATE, PresetStore, encodeState, mergeState } from './viewer-state.js';
+
+// Narrow screens start with the panel closed, so it doesn't cover the cat
+const COMPACT_LAYOUT = '(max-width: 768px)';
+
+/**
+ * ViewerPanel - wires the floating panel's controls (see index.html) to a
+ * CatViewer. Every input goes through `viewer.setState`, and the panel
+ * re-syncs on `statechange`, so URL, presets and panel never disagree.
+ */
+export class ViewerPanel {
+    constructor(viewer, root = document) {
+        this.viewer = viewer;
+        this.root = root;
+        this.presets = new PresetStore();
+        this.selectedLight = 'key';
+        this.selectedSocket = 'neck';
+
+        this.setupPanelToggle();
+        this.setupControls();
+        viewer.addEventListener('statechange', () => this.syncPanel());
+        viewer.addEventListener('timeupdate', e => this.syncPlayback(e.detail));
+        this.syncPanel();
+        this.syncPlayback(viewer.getPlayback());
+    }
+
+    element(id) {
+        return this.root.querySelector(`#${id}`);
+    }
+
+    // The panel's open and close buttons; Escape inside the panel closes it too
+    setupPanelToggle() {
+        const panel = this.element('controls');
+        if (!panel) return;
+        this.element('toggle-panel')?.addEventListener('click', () => this.setPanelOpen(true));
+        this.element('close-panel')?.addEventListener('click', () => this.setPanelOpen(false));
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.setPanelOpen(false);
+        });
+
+        const compact = typeof matchMedia !== 'undefined' && matchMedia(COMPACT_LAYOUT).matches;
+        this.setPanelOpen(!compact, { focus: false });
+    }
+
+    /**
+     * Shows or hides the floating panel. Focus moves into it on opening and back
+     * to the toggle on closing; whichever is hidden is taken out of the tab order.
+     */
+    setPanelOpen(open, { focus = true } = {}) {
+        const panel = this.element('controls');
+        const toggle = this.element('toggle-panel');
+        if (!panel) return;
+
+        panel.classList.toggle('hidden', !open);
+        panel.inert = !open;
+        if (toggle) {
+            toggle.classList.toggle('hidden', open);
+            toggle.inert = open;
+            toggle.setAttribute('aria-expanded', String(open));
+        }
+
+        if (!focus) return;
+        if (open) {
+            (this.element('close-panel') ?? panel).focus();
+        } else {
+            toggle?.focus();
+        }
+    }
+
+    setupControls() {
+        // Panel inputs feed the viewer state; statechange brings the panel back in sync
+        const input = (id, event, toState) => {
+            const element = this.element(id);
+            if (element) {
+                element.addEventListener(event, e => this.viewer.setState(toState(e.target)));
+            }
+        };
+
+        input('furColor', 'input', target => ({ coat: { color: target.value } }));
+
+        // Switching pattern resets the params and base colour to the pattern's defaults
+        input('coatPattern', 'change', target => ({
+            coat: { pattern: target.value, color: COAT_PATTERNS[target.value].baseColor, params: {} },
+        }));
+
+        // Seed: rebuilds the cat
+        input('seed', 'change', (target) => {
+            const value = target.value.trim();
+            return { seed: /^\d+$/.test(value) ? Number(value) : value || DEFAULT_VIEWER_STATE.seed };
+        });
+        const shuffleSeed = this.element('shuffleSeed');
+        if (shuffleSeed) {
+            shuffleSeed.addEventListener('click', () => this.viewer.setState({ seed: Math.floor(Math.random() * 100000) }));
+        }
+
+        // Randomise: a whole new generated cat (coat, eyes, shape, whiskers)
+        this.element('randomiseCat')?.addEventListener('click', () => this.viewer.randomise());
+
+        // Body shape sliders, built from MORPH_PARAMS
+        this.renderMorphParams();
+        this.element('resetMorph')?.addEventListener('click', () => this.viewer.setState({ morph: DEFAULT_MORPH }));
+
+        this.setupAccessoryControls();
+
+        // Fur quality and shell settings
+        input('furQuality', 'input', target => ({ fur: { quality: target.value } }));
+        [['furLength', 'length'], ['furDensity', 'density'], ['furGravity', 'gravity'], ['furSheen', 'sheen']].forEach(([id, key]) => {
+            input(id, 'input', target => ({ fur: { [key]: parseFloat(target.value) } }));
+        });
+
+        // Environment and props
+        input('scene', 'change', target => ({ environment: { name: target.value } }));
+        input('contactShadow', 'change', target => ({ environment: { contactShadow: target.checked } }));
+        input('reflection', 'change', target => ({ environment: { reflection: target.checked } }));
+        this.root.querySelectorAll('[data-prop]').forEach((checkbox) => {
+            checkbox.addEventListener('change', () => {
+                const props = [...this.root.querySelectorAll('[data-prop]:checked')].map(element => element.dataset.prop);
+                this.viewer.setState({ environment: { props } });
+            });
+        });
+
+        this.setupLightingControls();
+
+        input('wireframe', 'change', target => ({ wireframe: target.checked }));
+        input('animation', 'change', target => ({ pose: target.value }));
+        input('idleBehaviours', 'change', target => ({ idleBehaviours: target.checked }));
+        input('interactive', 'change', target => ({ interactive: target.checked }));
+        input('soundMuted', 'change', target => ({ audio: { muted: target.checked } }));
+        input('soundVolume', 'input', target => ({ audio: { volume: parseFloat(target.value) } }));
+        input('autoRotate', 'change', target => ({ autoRotate: target.checked }));
+        input('quality', 'change', target => ({ quality: target.value }));
+        input('showStats', 'change', target => ({ stats: target.checked }));
+
+        this.setupPlaybackControls();
+
+        // Micro-behaviour buttons
+        this.root.querySelectorAll('[data-behaviour]').forEach((button) => {
+            button.addEventListener('click', () => {
+                this.viewer.catModel.trigger(button.dataset.behaviour);
+            });
+        });
+
+        // Export buttons
+        const exportGLB = this.element('exportGLB');
+        if (exportGLB) {
+            exportGLB.addEventListener('click', () => this.viewer.exportModel(true));
+        }
+        const exportGLTF = this.element('exportGLTF');
+        if (exportGLTF) {
+            exportGLTF.addEventListener('click', () => this.viewer.exportModel(false));
+        }
+
+        // Custom model import (file picker and drag-and-drop onto the canvas)
+        const importModel = this.element('importModel');
+        if (importModel) {
+            importModel.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.viewer.loadExternalModel(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+        this.viewer.listen(this.viewer.canvas, 'dragover', (e) => e.preventDefault());
+        this.viewer.listen(this.viewer.canvas, 'drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file) this.viewer.loadExternalModel(file);
+        });
+
+        const proceduralCat = this.element('proceduralCat');
+        if (proceduralCat) {
+            proceduralCat.addEventListener('click', () => this.viewer.swapModel(this.viewer.createCatModel()));
+        }
+
+        this.setupCaptureControls();
+        this.setupPresetControls();
+
+        // Reset camera button
+        const resetCamera = this.element('resetCamera');
+        if (resetCamera) {
+            resetCamera.addEventListener('click', () => {
+                this.viewer.setState({ camera: DEFAULT_VIEWER_STATE.camera });
+            });
+        }
+    }
+
+    setupLightingControls() {
+        const input = (id, event, toLighting) => {
+            this.element(id)?.addEventListener(event, e => this.viewer.setState({ lighting: toLighting(e.target) }));
+        };
+        // Edits go to whichever light #lightSelect points at
+        const light = settings => ({ lights: { [this.selectedLight]: settings } });
+
+        input('lightingPreset', 'change', target => ({ preset: target.value }));
+        input('lightColor', 'input', target => light({ color: target.value }));
+        input('lightIntensity', 'input', target => light({ intensity: parseFloat(target.value) }));
+        ['lightX', 'lightY', 'lightZ'].forEach((id) => {
+            input(id, 'input', () => light({
+                position: ['lightX', 'lightY', 'lightZ'].map(axis => parseFloat(this.element(axis).value)),
+            }));
+        });
+        input('lightShadow', 'change', target => light({ castShadow: target.checked }));
+        input('toneMapping', 'change', target => ({ toneMapping: target.value }));
+        input('exposure', 'input', target => ({ exposure: parseFloat(target.value) }));
+        input('environment', 'change', target => ({ environment: target.value }));
+        input('environmentIntensity', 'input', target => ({ environmentIntensity: parseFloat(target.value) }));
+        input('environmentBackground', 'change', target => ({ environmentBackground: target.checked }));
+
+        this.element('lightSelect')?.addEventListener('change', (e) => {
+            this.selectedLight = e.target.value;
+            this.syncPanel();
+        });
+
+        this.element('environmentFile')?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.viewer.loadEnvironment(e.target.files[0]);
+            e.target.value = '';
+        });
+    }
+
+    // Edits go to whichever socket #accessorySocket points at
+    setupAccessoryControls() {
+        const sockets = this.element('accessorySocket');
+        if (!sockets) return;
+        Object.entries(ACCESSORY_SOCKETS).forEach(([name, socket]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = socket.label;
+            sockets.appendChild(option);
+        });
+        sockets.addEventListener('change', (e) => {
+            this.selectedSocket = e.target.value;
+            this.syncPanel();
+        });
+
+        // The state's accessories are replaced whole, so each edit sends them all
+        const wear = (accessory) => {
+            this.viewer.setState({ accessories: { ...this.viewer.state.accessories, [this.selectedSocket]: accessory } });
+        };
+        this.element('accessoryItem')?.addEventListener('change', (e) => {
+            wear(e.target.value ? { item: e.target.value, params: {} } : null);
+        });
+        this.element('accessoryParams')?.addEventListener('input', (e) => {
+            const worn = this.viewer.state.accessories[this.selectedSocket];
+            if (worn) wear({ ...worn, params: { ...worn.params, [e.target.dataset.param]: e.target.value } });
+        });
+        this.element('accessoryFile')?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.viewer.loadAccessory(e.target.files[0], this.selectedSocket);
+            e.target.value = '';
+        });
+        this.element('removeAccessories')?.addEventListener('click', () => this.viewer.setState({ accessories: {} }));
+    }
+
+    // Play / pause, frame stepping, speed and the clip timeline (not part of the state)
+    setupPlaybackControls() {
+        this.element('playPause')?.addEventListener('click', () => {
+            if (this.viewer.clock.paused) {
+                this.viewer.play();
+            } else {
+                this.viewer.pause();
+            }
+        });
+        this.element('stepFrame')?.addEventListener('click', () => this.viewer.step());
+        this.element('speed')?.addEventListener('input', e => this.viewer.setSpeed(parseFloat(e.target.value)));
+        this.element('timeline')?.addEventListener('input', (e) => {
+            const { duration } = this.viewer.getPlayback();
+            this.viewer.seek(parseFloat(e.target.value) * duration);
+        });
+    }
+
+    syncPlayback({ paused, speed, time, duration }) {
+        const set = (id, property, value) => {
+            const element = this.element(id);
+            if (element) element[property] = value;
+        };
+        set('playPause', 'textContent', paused ? 'Play' : 'Pause');
+        set('stepFrame', 'disabled', !paused);
+        set('speed', 'value', speed);
+        set('speedValue', 'textContent', `${speed.toFixed(1)}×`);
+        set('timeline', 'value', duration > 0 ? time / duration : 0);
+    }
+
+    setupCaptureControls() {
+        const number = id => parseInt(this.element(id)?.value, 10) || undefined;
+        const options = () => ({
+            width: number('captureWidth'),
+            height: number('captureHeight'),
+            transparent: this.element('captureTransparent')?.checked ?? false,
+        });
+
+        // Buttons stay disabled while their capture runs; failures go to the error overlay
+        const capture = (id, run) => {
+            const button = this.element(id);
+            button?.addEventListener('click', async () => {
+                const label = button.textContent;
+                button.disabled = true;
+                try {
+                    await run(button);
+                } catch (error) {
+                    this.viewer.showError(error.message);
+                } finally {
+                    button.disabled = false;
+                    button.textContent = label;
+                }
+            });
+        };
+
+        capture('captureSnapshot', async () => {
+            this.viewer.download(await this.viewer.snapshot(options()), 'cat.png');
+        });
+        capture('captureTurntable', async (button) => {
+            const video = await this.viewer.recordTurntable({
+                ...options(),
+                onProgress: (done) => { button.textContent = `Recording ${Math.round(done * 100)}%`; },
+            });
+            this.viewer.download(video, 'cat-turntable.webm');
+        });
+        capture('captureSprites', async () => {
+            const { pose } = this.viewer.state;
+            const { image, atlas } = await this.viewer.captureSpriteSheet({
+                pose,
+                angles: number('spriteAngles'),
+                frames: number('spriteFrames'),
+                transparent: options().transparent,
+            });
+            this.viewer.download(image, `${pose}.png`);
+            this.viewer.download(new Blob([JSON.stringify(atlas, null, 2)], { type: 'application/json' }), `${pose}.json`);
+        });
+    }
+
+    setupPresetControls() {
+        const presetList = this.element('presetList');
+        if (!presetList) return;
+
+        presetList.addEventListener('change', (e) => {
+            if (e.target.value) this.loadPreset(e.target.value);
+        });
+
+        this.element('savePreset')?.addEventListener('click', () => {
+            const name = window.prompt('Preset name', presetList.value || 'My cat');
+            if (!name) return;
+            this.presets.save(name.trim(), this.viewer.getState());
+            this.renderPresetList(name.trim());
+        });
+
+        this.element('deletePreset')?.addEventListener('click', () => {
+            if (!presetList.value) return;
+            this.presets.remove(presetList.value);
+            this.renderPresetList();
+        });
+
+        this.element('exportPresets')?.addEventListener('click', () => {
+            this.viewer.download(new Blob([this.presets.exportJSON()], { type: 'application/json' }), 'cat-presets.json');
+        });
+
+        this.element('importPresets')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const names = this.presets.importJSON(await file.text());
+                this.renderPresetList(names[0]);
+            } catch (error) {
+                this.viewer.showError(error.message);
+            }
+        });
+
+        // The page's own query (e.g. an embed's options) stays on the link
+        this.element('copyLink')?.addEventListener('click', async () => {
+            const hash = encodeState(this.viewer.getState());
+            const url = `${window.location.href.split('#')[0]}${hash ? `#${hash}` : ''}`;
+            try {
+                // Only secure pages have a clipboard
+                if (!navigator.clipboard) throw new Error('the clipboard is not available on this page');
+                await navigator.clipboard.writeText(url);
+            } catch (error) {
+                this.viewer.showError(`Could not copy the link: ${error.message}`);
+            }
+        });
+
+        this.renderPresetList();
+    }
+
+    renderPresetList(selected = '') {
+        const presetList = this.element('presetList');
+        if (!presetList) return;
+
+        presetList.innerHTML = '<option value="">Saved presets…</option>';
+        this.presets.list().forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            presetList.appendChild(option);
+        });
+        presetList.value = selected;
+    }
+
+    loadPreset(name) {
+        const preset = this.presets.get(name);
+        if (preset) {
+            this.viewer.setState(mergeState(DEFAULT_VIEWER_STATE, preset));
+        }
+    }
+
+    /**
+     * Writes the state back into the panel inputs
+     */
+    syncPanel() {
+        const set = (id, key, value) => {
+            const element = this.element(id);
+            if (element) element[key] = value;
+        };
+        const { state } = this.viewer;
+        const { coat, fur } = state;
+
+        set('furColor', 'value', coat.color);
+        set('coatPattern', 'value', coat.pattern);
+        set('seed', 'value', state.seed);
+        set('furQuality', 'value', fur.quality);
+        set('furLength', 'value', fur.length);
+        set('furDensity', 'value', fur.density);
+        set('furGravity', 'value', fur.gravity);
+        set('furSheen', 'value', fur.sheen);
+
+        // Lighting shows the resolved values, so preset defaults appear too
+        const { lighting } = state;
+        const settings = resolveLighting(lighting);
+        const light = settings.lights[this.selectedLight];
+        set('lightingPreset', 'value', lighting.preset);
+        set('lightSelect', 'value', this.selectedLight);
+        set('lightColor', 'value', light.color);
+        set('lightIntensity', 'value', light.intensity);
+        if (light.position) {
+            ['lightX', 'lightY', 'lightZ'].forEach((id, i) => set(id, 'value', light.position[i]));
+        }
+        set('lightShadow', 'checked', light.castShadow === true);
+        this.root.querySelectorAll('[data-positional]').forEach((element) => {
+            element.hidden = !light.position;
+        });
+        set('toneMapping', 'value', settings.toneMapping);
+        set('exposure', 'value', settings.exposure);
+        set('environment', 'value', lighting.environment);
+        set('environmentIntensity', 'value', lighting.environmentIntensity);
+        set('environmentBackground', 'checked', lighting.environmentBackground);
+
+        set('animation', 'value', state.pose);
+        set('autoRotate', 'checked', state.autoRotate);
+        set('wireframe', 'checked', state.wireframe);
+        set('quality', 'value', state.quality);
+        set('showStats', 'checked', state.stats);
+        set('idleBehaviours', 'checked', state.idleBehaviours);
+        set('interactive', 'checked', state.interactive);
+        set('soundMuted', 'checked', state.audio.muted);
+        set('soundVolume', 'value', state.audio.volume);
+        set('scene', 'value', state.environment.name);
+        set('contactShadow', 'checked', state.environment.contactShadow);
+        set('reflection', 'checked', state.environment.reflection);
+        this.root.querySelectorAll('[data-prop]').forEach((element) => {
+            element.checked = state.environment.props.includes(element.dataset.prop);
+        });
+
+        this.root.querySelectorAll('#morphParams [data-morph]').forEach((element) => {
+            element.value = state.morph[element.dataset.morph];
+        });
+
+        this.syncAccessories();
+
+        if (this.renderedPattern !== coat.pattern) {
+            this.renderPatternParams(coat.pattern);
+        }
+        this.root.querySelectorAll('#patternParams [data-param]').forEach((element) => {
+            element.value = coat.params[element.dataset.param] ?? COAT_PATTERNS[coat.pattern].params[element.dataset.param].default;
+        });
+    }
+
+    // The selected socket's accessory and its colours; the list only offers what fits there
+    syncAccessories() {
+        const items = this.element('accessoryItem');
+        const container = this.element('accessoryParams');
+        if (!items) return;
+        this.element('accessorySocket').value = this.selectedSocket;
+        const worn = this.viewer.state.accessories[this.selectedSocket];
+        const key = `${this.selectedSocket}:${worn?.item ?? ''}`;
+
+        if (this.renderedAccessory !== key) {
+            this.renderedAccessory = key;
+            items.innerHTML = '<option value="">None</option>';
+            Object.entries(ACCESSORIES).forEach(([name, accessory]) => {
+                // A glTF accessory comes from a file, so it is only listed while worn
+                if (!accessory.sockets.includes(this.selectedSocket) || (name === 'gltf' && worn?.item !== 'gltf')) return;
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = accessory.label;
+                items.appendChild(option);
+            });
+
+            if (container) {
+                container.innerHTML = '';
+                Object.entries(worn ? ACCESSORIES[worn.item].params : {}).forEach(([name, param]) => {
+                    const label = document.createElement('label');
+                    label.textContent = param.label;
+
+                    const input = document.createElement('input');
+                    input.type = 'color';
+                    input.className = 'color-picker';
+                    input.dataset.param = name;
+
+                    const wrapper = document.createElement('div');
+                    wrapper.append(label, input);
+                    container.appendChild(wrapper);
+                });
+            }
+        }
+
+        items.value = worn?.item ?? '';
+        container?.querySelectorAll('[data-param]').forEach((element) => {
+            element.value = worn.params?.[element.dataset.param] ?? ACCESSORIES[worn.item].params[element.dataset.param].default;
+        });
+    }
+
+    /**
+     * Fills #morphParams with one slider per body-shape parameter
+     */
+    renderMorphParams() {
+        const container = this.element('morphParams');
+        if (!container) return;
+
+        Object.entries(MORPH_PARAMS).forEach(([key, param]) => {
+            const label = document.createElement('label');
+            label.textContent = param.label;
+
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'slider';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = param.default;
+            input.dataset.morph = key;
+            input.addEventListener('input', () => {
+                this.viewer.setState({ morph: { [key]: parseFloat(input.value) } });
+            });
+
+            const wrapper = document.createElement('div');
+            wrapper.append(label, input);
+            container.appendChild(wrapper);
+        });
+    }
+
+    /**
+     * Fills #patternParams with one control per parameter of the pattern
+     */
+    renderPatternParams(name) {
+        const container = this.element('patternParams');
+        if (!container) return;
+
+        this.renderedPattern = name;
+        container.innerHTML = '';
+        Object.entries(COAT_PATTERNS[name].params).forEach(([key, param]) => {
+            const label = document.createElement('label');
+            label.textContent = param.label;
+
+            const input = document.createElement('input');
+            input.type = param.type;
+            input.value = param.default;
+            input.dataset.param = key;
+            if (param.type === 'range') {
+                input.className = 'slider';
+                input.min = param.min;
+                input.max = param.max;
+                input.step = param.step;
+            } else {
+                input.className = 'color-picker';
+            }
+            input.addEventListener('input', () => {
+                const value = param.type === 'range' ? parseFloat(input.value) : input.value;
+                this.viewer.setState({ coat: { params: { [key]: value } } });
+            });
+
+            const wrapper = document.createElement('div');
+            wrapper.append(label, input);
+            container.appendChild(wrapper);
+        });
+    }
+}
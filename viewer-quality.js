@@ -0,0 +1,87 @@
+/**
+ * Viewer quality - rendering quality tiers and the controller that picks one
+ * from measured frame times, so low-end devices keep a steady frame rate.
+ */
+
+// Each tier caps the pixel ratio, scales the shadow maps (see LightingRig.setShadowScale)
+// and caps the cat's geometry detail (see DETAIL_LEVELS) and fur quality (see FUR_QUALITY)
+export const QUALITY_TIERS = {
+    high: { label: 'High', pixelRatio: 2, shadowScale: 1, detail: 'high', fur: 'high' },
+    medium: { label: 'Medium', pixelRatio: 1.5, shadowScale: 0.5, detail: 'medium', fur: 'medium' },
+    low: { label: 'Low', pixelRatio: 0.75, shadowScale: 0.25, detail: 'low', fur: 'low' },
+};
+
+// Best tier first
+const TIER_ORDER = Object.keys(QUALITY_TIERS);
+
+// Frame times (s): over SLOW on average steps down, under FAST steps up
+const SLOW = 1 / 45;
+const FAST = 1 / 55;
+
+// The first frames after a start or a change pay for shader compiles and uploads
+const SETTLE = 10;
+
+// Frames to average before the first decision and after every change
+const WARMUP = 60;
+
+// Longer frames are stalls (a hidden tab, a shader compile), not the device being slow
+const STALL = 0.25;
+
+// How the average follows new frames
+const SMOOTHING = 0.05;
+
+// Longest wait (s of fast frames) before trying a better tier again after stepping up failed
+const MAX_UP_DELAY = 60;
+
+/**
+ * AdaptiveQuality - owned by a CatViewer (`viewer.quality`) and fed the real
+ * time of every drawn frame while the viewer's quality is 'auto'
+ */
+export class AdaptiveQuality {
+    constructor({ tier = 'high', upDelay = 5 } = {}) {
+        this.tier = tier;
+        this.upDelay = upDelay;
+        // Whether the last change was a step up, so dropping straight back can be told apart
+        this.raised = false;
+        this.reset();
+    }
+
+    reset() {
+        this.average = 0;
+        this.frames = 0;
+        this.good = 0;
+    }
+
+    /**
+     * Records one frame; returns true when the tier changed
+     */
+    sample(elapsed) {
+        if (elapsed <= 0 || elapsed >= STALL) return false;
+
+        this.frames++;
+        if (this.frames <= SETTLE) return false;
+
+        this.average = this.frames === SETTLE + 1 ? elapsed : this.average + (elapsed - this.average) * SMOOTHING;
+        this.good = elapsed < FAST ? this.good + elapsed : 0;
+        if (this.frames < SETTLE + WARMUP) return false;
+
+        const index = TIER_ORDER.indexOf(this.tier);
+        if (this.average > SLOW && index < TIER_ORDER.length - 1) {
+            // Dropping straight back after a step up: wait longer before the next try
+            if (this.raised) this.upDelay = Math.min(this.upDelay * 2, MAX_UP_DELAY);
+            this.raised = false;
+            return this.setTier(TIER_ORDER[index + 1]);
+        }
+        if (this.good >= this.upDelay && index > 0) {
+            this.raised = true;
+            return this.setTier(TIER_ORDER[index - 1]);
+        }
+        return false;
+    }
+
+    setTier(tier) {
+        this.tier = tier;
+        this.reset();
+        return true;
+    }
+}
@@ -0,0 +1,413 @@
+import { ACCESSORIES, ACCESSORY_SOCKETS } from './cat-accessories.js';
+import { COAT_PATTERNS } from './cat-patterns.js';
+import { FUR_QUALITY } from './cat-fur.js';
+import { CAT_ENVIRONMENTS, DEFAULT_ENVIRONMENT } from './cat-environments.js';
+import { DEFAULT_LIGHTING, ENVIRONMENTS, LIGHTING_PRESETS, LIGHT_NAMES, TONE_MAPPINGS } from './lighting-rig.js';
+import { DEFAULT_MORPH, MORPH_PARAMS } from './cat-morph.js';
+import { DEFAULT_EYE_COLOR, DEFAULT_WHISKERS } from './cat-generator.js';
+import { QUALITY_TIERS } from './viewer-quality.js';
+
+/**
+ * Viewer state - everything needed to reproduce a view of the cat, as a
+ * plain object that round-trips through the URL hash and saved presets.
+ */
+
+export const STATE_VERSION = 2;
+
+export const DEFAULT_VIEWER_STATE = {
+    seed: 1,
+    morph: DEFAULT_MORPH,
+    whiskers: DEFAULT_WHISKERS,
+    coat: { color: '#1a1a1a', pattern: 'tuxedo', params: {} },
+    eyes: DEFAULT_EYE_COLOR,
+    fur: { quality: 'medium', length: 0.05, density: 0.65, gravity: 0.4, sheen: 0.6 },
+    lighting: DEFAULT_LIGHTING,
+    pose: 'idle',
+    autoRotate: true,
+    wireframe: false,
+    idleBehaviours: true,
+    interactive: true,
+    audio: { muted: true, volume: 0.6 },
+    environment: DEFAULT_ENVIRONMENT,
+    accessories: {}, // { [socket]: { item, params, url? } }; a null socket is bare
+    camera: { position: [3, 2, 5], target: [0, 0.5, 0] },
+    quality: 'auto', // A QUALITY_TIERS key, or 'auto' to follow the frame rate
+    stats: false,
+};
+
+// Base clips a view can hold; additive ones (blinks, touch reactions) only play on top of them
+export const POSES = {
+    idle: { label: 'Idle' },
+    sit: { label: 'Sitting' },
+    stand: { label: 'Standing' },
+    walk: { label: 'Walking' },
+    stretch: { label: 'Stretch' },
+    groom: { label: 'Grooming' },
+};
+
+// Rendering quality choices: the fixed tiers and 'auto'
+const QUALITIES = { auto: { label: 'Auto' }, ...QUALITY_TIERS };
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Whether `url` is on this page's own server (blob URLs it made included), so a
+// shared link or preset can't have the viewer fetch models from anywhere else
+function isSameOrigin(url) {
+    const page = globalThis.location?.href ?? 'http://localhost/';
+    try {
+        return new URL(url, page).origin === new URL(page).origin;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Deep-merges `partial` over `base` without touching either; arrays are replaced
+ */
+export function mergeState(base, partial = {}) {
+    const merged = structuredClone(base);
+    Object.entries(partial).forEach(([key, value]) => {
+        if (value === undefined) return;
+        merged[key] = isObject(value) && isObject(merged[key]) ? mergeState(merged[key], value) : structuredClone(value);
+    });
+    return merged;
+}
+
+// No upper limit
+const POSITIVE = [0, Infinity];
+
+// Hash keys for the fixed fields: [key, path, type, range]; object types list the
+// allowed values, and numbers are clamped to the [min, max] range if there is one
+const FIELDS = [
+    ['seed', ['seed'], 'seed'],
+    // Body shape, e.g. morph.age=0.2
+    ...Object.entries(MORPH_PARAMS).map(([key, { min, max }]) => [`morph.${key}`, ['morph', key], 'number', [min, max]]),
+    ...Object.keys(DEFAULT_WHISKERS).map(key => [`whiskers.${key}`, ['whiskers', key], 'number', POSITIVE]),
+    ['color', ['coat', 'color'], 'color'],
+    ['pattern', ['coat', 'pattern'], COAT_PATTERNS],
+    ['eyes', ['eyes'], 'color'],
+    ['fur', ['fur', 'quality'], FUR_QUALITY],
+    ['fur.length', ['fur', 'length'], 'number', POSITIVE],
+    ['fur.density', ['fur', 'density'], 'number', [0, 1]],
+    ['fur.gravity', ['fur', 'gravity'], 'number', POSITIVE],
+    ['fur.sheen', ['fur', 'sheen'], 'number', [0, 1]],
+    ['lighting', ['lighting', 'preset'], LIGHTING_PRESETS],
+    ['tone', ['lighting', 'toneMapping'], TONE_MAPPINGS],
+    ['exposure', ['lighting', 'exposure'], 'number', POSITIVE],
+    ['env', ['lighting', 'environment'], ENVIRONMENTS],
+    ['env.intensity', ['lighting', 'environmentIntensity'], 'number', POSITIVE],
+    ['env.bg', ['lighting', 'environmentBackground'], 'boolean'],
+    // Per-light overrides of the preset, e.g. light.rim.color=ff0000
+    ...LIGHT_NAMES.flatMap(name => [
+        [`light.${name}.color`, ['lighting', 'lights', name, 'color'], 'color'],
+        [`light.${name}.intensity`, ['lighting', 'lights', name, 'intensity'], 'number', POSITIVE],
+        [`light.${name}.pos`, ['lighting', 'lights', name, 'position'], 'vector'],
+        [`light.${name}.shadow`, ['lighting', 'lights', name, 'castShadow'], 'boolean'],
+    ]),
+    ['pose', ['pose'], POSES],
+    ['rotate', ['autoRotate'], 'boolean'],
+    ['wire', ['wireframe'], 'boolean'],
+    ['idle', ['idleBehaviours'], 'boolean'],
+    ['touch', ['interactive'], 'boolean'],
+    ['mute', ['audio', 'muted'], 'boolean'],
+    ['volume', ['audio', 'volume'], 'number', [0, 1]],
+    ['scene', ['environment', 'name'], CAT_ENVIRONMENTS],
+    ['props', ['environment', 'props'], 'list'],
+    ['reflect', ['environment', 'reflection'], 'boolean'],
+    ['contact', ['environment', 'contactShadow'], 'boolean'],
+    ['quality', ['quality'], QUALITIES],
+    ['stats', ['stats'], 'boolean'],
+];
+
+const getPath = (object, path) => path.reduce((value, key) => (isObject(value) ? value[key] : undefined), object);
+
+const setPath = (object, path, value) => {
+    const last = path[path.length - 1];
+    const parent = path.slice(0, -1).reduce((node, key) => (node[key] ??= {}), object);
+    parent[last] = value;
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+function encodeValue(value, type) {
+    switch (type) {
+        case 'color': return value.replace('#', '').toLowerCase();
+        case 'boolean': return value ? '1' : '0';
+        case 'number': return String(round(value));
+        case 'vector': return value.map(round).join(',');
+        case 'list': return value.join(',');
+        default: return String(value);
+    }
+}
+
+function decodeValue(text, type) {
+    switch (type) {
+        case 'color': return /^[0-9a-f]{6}$/i.test(text) ? `#${text.toLowerCase()}` : undefined;
+        case 'boolean': return text === '1' || text === 'true';
+        case 'number': {
+            const value = parseFloat(text);
+            return Number.isFinite(value) ? value : undefined;
+        }
+        case 'vector': {
+            const value = text.split(',').map(Number);
+            return value.length === 3 && value.every(Number.isFinite) ? value : undefined;
+        }
+        case 'list': return text ? text.split(',') : [];
+        case 'seed': return /^\d+$/.test(text) ? Number(text) : text;
+        case 'string': return text;
+        default: return Object.hasOwn(type, text) ? text : undefined;
+    }
+}
+
+// `value` if it has the field's type (as decoded from the hash, or read from JSON), else undefined
+function checkValue(value, type, range) {
+    switch (type) {
+        case 'color': return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value : undefined;
+        case 'boolean': return typeof value === 'boolean' ? value : undefined;
+        case 'number': return Number.isFinite(value) ? Math.min(Math.max(value, range?.[0] ?? -Infinity), range?.[1] ?? Infinity) : undefined;
+        case 'vector': return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite) ? [...value] : undefined;
+        case 'list': return Array.isArray(value) ? value.filter(item => typeof item === 'string') : undefined;
+        case 'seed': return Number.isInteger(value) || (typeof value === 'string' && value !== '') ? value : undefined;
+        case 'string': return typeof value === 'string' ? value : undefined;
+        default: return typeof value === 'string' && Object.hasOwn(type, value) ? value : undefined;
+    }
+}
+
+/**
+ * Keeps the fields of a partial state (decoded from a hash, or a saved preset)
+ * that have the right type, with numbers clamped to their ranges; anything
+ * malformed or unknown is dropped, so it can't break the viewer
+ */
+export function sanitizeState(state) {
+    const clean = {};
+    if (!isObject(state)) return clean;
+
+    FIELDS.forEach(([, path, type, range]) => {
+        const value = checkValue(getPath(state, path), type, range);
+        if (value !== undefined) setPath(clean, path, value);
+    });
+
+    // Pattern params are checked against the pattern they belong to
+    const pattern = COAT_PATTERNS[clean.coat?.pattern];
+    if (pattern && isObject(state.coat.params)) {
+        clean.coat.params = {};
+        Object.entries(pattern.params).forEach(([name, param]) => {
+            const value = param.type === 'color'
+                ? checkValue(state.coat.params[name], 'color')
+                : checkValue(state.coat.params[name], 'number', [param.min, param.max]);
+            if (value !== undefined) clean.coat.params[name] = value;
+        });
+    }
+
+    // Accessories on sockets they fit, with their own colours; glTF models only from this site
+    if (isObject(state.accessories)) {
+        clean.accessories = {};
+        Object.entries(state.accessories).forEach(([socket, accessory]) => {
+            const item = ACCESSORIES[accessory?.item];
+            if (!item?.sockets.includes(socket)) return;
+            const params = {};
+            Object.keys(item.params).forEach((name) => {
+                const value = checkValue(accessory.params?.[name], 'color');
+                if (value !== undefined) params[name] = value;
+            });
+            if (accessory.item !== 'gltf') {
+                clean.accessories[socket] = { item: accessory.item, params };
+            } else if (checkValue(accessory.url, 'string') && isSameOrigin(accessory.url)) {
+                clean.accessories[socket] = { item: accessory.item, params, url: accessory.url };
+            }
+        });
+    }
+
+    const position = checkValue(state.camera?.position, 'vector');
+    const target = checkValue(state.camera?.target, 'vector');
+    if (position && target) clean.camera = { position, target };
+
+    return clean;
+}
+
+/**
+ * Encodes a state as `key=value` pairs for the URL hash, leaving out
+ * anything that matches the defaults so links stay short
+ */
+export function encodeState(state) {
+    const params = new URLSearchParams();
+    FIELDS.forEach(([key, path, type]) => {
+        const value = getPath(state, path);
+        const fallback = getPath(DEFAULT_VIEWER_STATE, path);
+        if (value === undefined || value === null) return;
+        if (fallback !== undefined && fallback !== null && encodeValue(value, type) === encodeValue(fallback, type)) return;
+        params.set(key, encodeValue(value, type));
+    });
+
+    const pattern = COAT_PATTERNS[state.coat?.pattern];
+    Object.entries(pattern?.params ?? {}).forEach(([name, param]) => {
+        const value = state.coat.params?.[name];
+        if (value !== undefined && value !== param.default) {
+            params.set(`pattern.${name}`, encodeValue(value, param.type === 'color' ? 'color' : 'number'));
+        }
+    });
+
+    // Accessories, e.g. acc.neck=bowTie&acc.neck.color=2244aa
+    Object.entries(state.accessories ?? {}).forEach(([socket, accessory]) => {
+        const item = ACCESSORIES[accessory?.item];
+        if (!item || !ACCESSORY_SOCKETS[socket]) return;
+        // Blob URLs of local files die with the page, and links only load models from this site
+        if (accessory.item === 'gltf' && (!accessory.url || accessory.url.startsWith('blob:') || !isSameOrigin(accessory.url))) return;
+        params.set(`acc.${socket}`, accessory.item);
+        Object.entries(item.params).forEach(([name, param]) => {
+            const value = accessory.params?.[name];
+            if (value !== undefined && value !== param.default) params.set(`acc.${socket}.${name}`, encodeValue(value, 'color'));
+        });
+        if (accessory.item === 'gltf') params.set(`acc.${socket}.url`, accessory.url);
+    });
+
+    const { position, target } = state.camera ?? DEFAULT_VIEWER_STATE.camera;
+    const camera = [...position, ...target].map(round).join(',');
+    if (camera !== [...DEFAULT_VIEWER_STATE.camera.position, ...DEFAULT_VIEWER_STATE.camera.target].join(',')) {
+        params.set('cam', camera);
+    }
+
+    return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Decodes a URL hash (with or without the leading '#') into a partial state;
+ * unknown keys and malformed values are ignored (see sanitizeState)
+ */
+export function decodeState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    FIELDS.forEach(([key, path, type]) => {
+        if (!params.has(key)) return;
+        const value = decodeValue(params.get(key), type);
+        if (value !== undefined && value !== '') setPath(state, path, value);
+    });
+
+    // Links from before the lighting presets only carried the key light's intensity
+    const light = parseFloat(params.get('light'));
+    if (Number.isFinite(light) && !params.has('light.key.intensity')) {
+        setPath(state, ['lighting', 'lights', 'key', 'intensity'], light);
+    }
+
+    const pattern = COAT_PATTERNS[state.coat?.pattern];
+    if (pattern) {
+        state.coat.params = {};
+        Object.entries(pattern.params).forEach(([name, param]) => {
+            if (!params.has(`pattern.${name}`)) return;
+            const value = decodeValue(params.get(`pattern.${name}`), param.type === 'color' ? 'color' : 'number');
+            if (value !== undefined) state.coat.params[name] = value;
+        });
+    }
+
+    Object.keys(ACCESSORY_SOCKETS).forEach((socket) => {
+        const name = params.get(`acc.${socket}`);
+        if (!ACCESSORIES[name]?.sockets.includes(socket)) return;
+        const accessory = { item: name, params: {} };
+        Object.keys(ACCESSORIES[name].params).forEach((param) => {
+            const value = params.has(`acc.${socket}.${param}`) ? decodeValue(params.get(`acc.${socket}.${param}`), 'color') : undefined;
+            if (value !== undefined) accessory.params[param] = value;
+        });
+        if (params.has(`acc.${socket}.url`)) accessory.url = params.get(`acc.${socket}.url`);
+        (state.accessories ??= {})[socket] = accessory;
+    });
+
+    const camera = params.get('cam')?.split(',').map(Number);
+    if (camera?.length === 6) {
+        state.camera = { position: camera.slice(0, 3), target: camera.slice(3) };
+    }
+
+    // Accessories that didn't survive the checks leave no trace
+    const clean = sanitizeState(state);
+    if (clean.accessories && !Object.keys(clean.accessories).length) delete clean.accessories;
+    return clean;
+}
+
+/**
+ * Brings a state saved by an older viewer up to the current shape
+ */
+export function migrateState(state) {
+    if (!isObject(state) || state.light === undefined) return state;
+    const { light, ...rest } = state;
+    return mergeState(rest, { lighting: { lights: { key: { intensity: light } } } });
+}
+
+/**
+ * PresetStore - named viewer states kept in localStorage
+ */
+export class PresetStore {
+    constructor(storage = globalThis.localStorage, key = 'tuxedo-cat-presets') {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    read() {
+        try {
+            const data = JSON.parse(this.storage?.getItem(this.key) ?? '{}');
+            return isObject(data.presets) ? data.presets : {};
+        } catch {
+            return {};
+        }
+    }
+
+    write(presets) {
+        this.storage?.setItem(this.key, JSON.stringify({ version: STATE_VERSION, presets }));
+    }
+
+    list() {
+        return Object.keys(this.read()).sort();
+    }
+
+    get(name) {
+        const preset = this.read()[name];
+        return preset ? sanitizeState(migrateState(preset)) : null;
+    }
+
+    /**
+     * Saves `state` as `name`, without accessories from local files: their blob: URLs die with the page
+     */
+    save(name, state) {
+        const saved = structuredClone(state);
+        Object.entries(saved.accessories ?? {}).forEach(([socket, accessory]) => {
+            if (accessory?.url?.startsWith('blob:')) delete saved.accessories[socket];
+        });
+        this.write({ ...this.read(), [name]: saved });
+    }
+
+    remove(name) {
+        const presets = this.read();
+        delete presets[name];
+        this.write(presets);
+    }
+
+    /**
+     * All presets as a JSON document (for download)
+     */
+    exportJSON() {
+        return JSON.stringify({ version: STATE_VERSION, presets: this.read() }, null, 2);
+    }
+
+    /**
+     * Merges presets from a JSON document made by exportJSON; returns the imported names
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Preset file is not valid JSON: ${error.message}`);
+        }
+        if (!isObject(data) || !isObject(data.presets)) {
+            throw new Error('Preset file has no "presets" object');
+        }
+        if (data.version > STATE_VERSION) {
+            throw new Error(`Preset file version ${data.version} is newer than this viewer supports (${STATE_VERSION})`);
+        }
+
+        const imported = Object.entries(data.presets)
+            .filter(([, state]) => isObject(state))
+            .map(([name, state]) => [name, sanitizeState(migrateState(state))]);
+        this.write({ ...this.read(), ...Object.fromEntries(imported) });
+        return imported.map(([name]) => name);
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * Stats overlay - frames per second, draw calls and triangles of a viewer,
+ * plus the quality it is running at, in a corner of its container.
+ */
+
+// Seconds between updates of the figures, so they can be read
+const UPDATE_INTERVAL = 0.5;
+
+/**
+ * StatsOverlay - owned by a CatViewer (`viewer.stats`), shown with the `stats` state
+ */
+export class StatsOverlay {
+    constructor(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'viewer-stats';
+        Object.assign(this.element.style, {
+            position: 'absolute',
+            top: '8px',
+            left: '8px',
+            padding: '4px 8px',
+            font: '12px/1.4 monospace',
+            color: '#e0e0e0',
+            background: 'rgba(0, 0, 0, 0.6)',
+            borderRadius: '4px',
+            pointerEvents: 'none',
+            whiteSpace: 'pre',
+            display: 'none',
+        });
+        container.appendChild(this.element);
+
+        this.visible = false;
+        this.elapsed = 0;
+        this.frames = 0;
+        this.fps = 0;
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.style.display = visible ? 'block' : 'none';
+    }
+
+    /**
+     * Counts one animation frame of `elapsed` seconds; `info` is the renderer's
+     * info of the last draw and `quality`, if given, is `{ tier, detail }`
+     */
+    tick(elapsed, rendered, info, quality) {
+        this.elapsed += elapsed;
+        if (rendered) this.frames++;
+        if (this.elapsed < UPDATE_INTERVAL) return;
+
+        this.fps = Math.round(this.frames / this.elapsed);
+        this.elapsed = 0;
+        this.frames = 0;
+        if (!this.visible) return;
+
+        const { calls, triangles } = info.render;
+        const lines = [`${this.fps} fps`, `${calls} draw calls`, `${triangles.toLocaleString()} triangles`];
+        if (quality) lines.push(`${quality.tier} quality, ${quality.detail} detail`);
+        this.element.textContent = lines.join('\n');
+    }
+
+    dispose() {
+        this.element.remove();
+    }
+}